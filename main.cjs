@@ -1,22 +1,195 @@
-const { app, BrowserWindow } = require('electron');
+const { app, BrowserWindow, dialog, ipcMain, screen } = require('electron');
+const fs = require('fs');
 const path = require('path');
 
+// 开发环境（npm run electron:dev）加载 Vite 开发服务器，否则加载 dist/index.html
+const DEV_SERVER_URL = process.env.VITE_DEV_SERVER_URL || 'http://localhost:5173';
+const isDev = !app.isPackaged && process.argv.includes('--dev');
+
+// 数据文件和窗口状态都保存在用户的应用数据目录下。默认档案沿用原来的数据文件名
+const dataFilePath = (profileId) => path.join(
+  app.getPath('userData'),
+  profileId === 'default' ? 'persona-data.json' : `persona-data-${profileId}.json`
+);
+const windowStatePath = () => path.join(app.getPath('userData'), 'window-state.json');
+const backupDirPath = () => path.join(app.getPath('userData'), 'backups');
+
+const DEFAULT_WINDOW_STATE = { width: 800, height: 600 };
+
+/**
+ * 先写临时文件再重命名，避免写到一半时崩溃导致文件损坏
+ */
+function writeFileAtomic(filePath, content) {
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, content, 'utf8');
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * 读取上次关闭时的窗口位置和大小；如果窗口已不在任何显示器范围内，则只保留大小
+ */
+function loadWindowState() {
+  try {
+    const state = JSON.parse(fs.readFileSync(windowStatePath(), 'utf8'));
+    const visible = screen.getAllDisplays().some(({ workArea }) =>
+      state.x >= workArea.x &&
+      state.y >= workArea.y &&
+      state.x < workArea.x + workArea.width &&
+      state.y < workArea.y + workArea.height
+    );
+    if (!visible) {
+      delete state.x;
+      delete state.y;
+    }
+    return { ...DEFAULT_WINDOW_STATE, ...state };
+  } catch {
+    return DEFAULT_WINDOW_STATE;
+  }
+}
+
+function saveWindowState(win) {
+  try {
+    const bounds = win.getNormalBounds();
+    writeFileAtomic(windowStatePath(), JSON.stringify({ ...bounds, isMaximized: win.isMaximized() }));
+  } catch (e) {
+    console.error('保存窗口状态失败:', e);
+  }
+}
+
 function createWindow() {
+  const state = loadWindowState();
   const win = new BrowserWindow({
-    width: 800,
-    height: 600,
+    x: state.x,
+    y: state.y,
+    width: state.width,
+    height: state.height,
     webPreferences: {
-      nodeIntegration: true
-    }
+      preload: path.join(__dirname, 'preload.cjs'),
+      contextIsolation: true,
+      nodeIntegration: false,
+      sandbox: true,
+    },
   });
+  if (state.isMaximized) win.maximize();
+
+  win.on('close', () => saveWindowState(win));
 
-  // 加载打包后的 index.html
-  // 注意：如果是开发环境，可以加载 localhost:5173
-  win.loadFile(path.join(__dirname, 'dist/index.html'));
+  // 不允许页面打开新窗口或跳转到其他地址
+  win.webContents.setWindowOpenHandler(() => ({ action: 'deny' }));
+  win.webContents.on('will-navigate', (event, url) => {
+    if (!(isDev && url.startsWith(DEV_SERVER_URL))) event.preventDefault();
+  });
+
+  if (isDev) {
+    win.loadURL(DEV_SERVER_URL);
+  } else {
+    win.loadFile(path.join(__dirname, 'dist/index.html'));
+  }
 }
 
+// ---------------------------------
+// 提供给渲染进程的功能（通过 preload.cjs 暴露）
+// ---------------------------------
+
+const isValidFilters = (filters) =>
+  filters === undefined ||
+  (Array.isArray(filters) && filters.every(f => typeof f.name === 'string' && Array.isArray(f.extensions)));
+
+// 另存为对话框并写入文件，取消时返回 null
+ipcMain.handle('dialog:saveFile', async (event, { defaultName, content, filters } = {}) => {
+  if (typeof defaultName !== 'string' || typeof content !== 'string' || !isValidFilters(filters)) {
+    throw new Error('无效的参数');
+  }
+  const win = BrowserWindow.fromWebContents(event.sender);
+  const { canceled, filePath } = await dialog.showSaveDialog(win, {
+    defaultPath: path.join(app.getPath('documents'), path.basename(defaultName)),
+    filters,
+  });
+  if (canceled || !filePath) return null;
+  writeFileAtomic(filePath, content);
+  return filePath;
+});
+
+// 打开文件对话框并读取文件内容，取消时返回 null
+ipcMain.handle('dialog:openFile', async (event, { filters } = {}) => {
+  if (!isValidFilters(filters)) {
+    throw new Error('无效的参数');
+  }
+  const win = BrowserWindow.fromWebContents(event.sender);
+  const { canceled, filePaths } = await dialog.showOpenDialog(win, {
+    properties: ['openFile'],
+    filters,
+  });
+  if (canceled || filePaths.length === 0) return null;
+  return { name: path.basename(filePaths[0]), content: fs.readFileSync(filePaths[0], 'utf8') };
+});
+
+// 档案 id 会用在文件名中，只允许小写字母、数字和连字符
+const isValidProfileId = (profileId) => typeof profileId === 'string' && /^[a-z0-9-]+$/.test(profileId);
+
+// 读取应用数据目录下档案的数据文件，不存在时返回 null
+ipcMain.handle('storage:read', async (event, profileId) => {
+  if (!isValidProfileId(profileId)) {
+    throw new Error('无效的参数');
+  }
+  try {
+    return fs.readFileSync(dataFilePath(profileId), 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+});
+
+// 写入应用数据目录下档案的数据文件
+ipcMain.handle('storage:write', async (event, profileId, content) => {
+  if (!isValidProfileId(profileId) || typeof content !== 'string') {
+    throw new Error('无效的参数');
+  }
+  writeFileAtomic(dataFilePath(profileId), content);
+});
+
+// 删除档案时一并删除它的数据文件
+ipcMain.handle('storage:delete', async (event, profileId) => {
+  if (!isValidProfileId(profileId)) {
+    throw new Error('无效的参数');
+  }
+  fs.rmSync(dataFilePath(profileId), { force: true });
+});
+
+// 自动备份只允许在备份目录中读写 .json 文件，文件名不能包含路径
+const isValidBackupName = (name) =>
+  typeof name === 'string' && name.endsWith('.json') && path.basename(name) === name;
+
+ipcMain.handle('backups:write', async (event, name, content) => {
+  if (!isValidBackupName(name) || typeof content !== 'string') {
+    throw new Error('无效的参数');
+  }
+  fs.mkdirSync(backupDirPath(), { recursive: true });
+  writeFileAtomic(path.join(backupDirPath(), name), content);
+});
+
+ipcMain.handle('backups:list', async () => {
+  try {
+    return fs.readdirSync(backupDirPath()).filter(isValidBackupName);
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+});
+
+ipcMain.handle('backups:delete', async (event, name) => {
+  if (!isValidBackupName(name)) {
+    throw new Error('无效的参数');
+  }
+  fs.rmSync(path.join(backupDirPath(), name), { force: true });
+});
+
 app.whenReady().then(createWindow);
 
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') app.quit();
-});
\ No newline at end of file
+});
+
+app.on('activate', () => {
+  if (BrowserWindow.getAllWindows().length === 0) createWindow();
+});
@@ -0,0 +1,13 @@
+const { contextBridge, ipcRenderer } = require('electron');
+
+// 只暴露这几个固定的功能，渲染进程无法直接访问 Node 或 ipcRenderer
+contextBridge.exposeInMainWorld('personaDesktop', {
+  saveFile: (options) => ipcRenderer.invoke('dialog:saveFile', options),
+  openFile: (options) => ipcRenderer.invoke('dialog:openFile', options),
+  readDataFile: (profileId) => ipcRenderer.invoke('storage:read', profileId),
+  writeDataFile: (profileId, content) => ipcRenderer.invoke('storage:write', profileId, content),
+  deleteDataFile: (profileId) => ipcRenderer.invoke('storage:delete', profileId),
+  writeBackup: (name, content) => ipcRenderer.invoke('backups:write', name, content),
+  listBackups: () => ipcRenderer.invoke('backups:list'),
+  deleteBackup: (name) => ipcRenderer.invoke('backups:delete', name),
+});
@@ -1,111 +1,83 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import { Filesystem, Directory, Encoding } from '@capacitor/filesystem';
+import React, { useState, useEffect, useMemo, useRef, useCallback, useDeferredValue } from 'react';
+import { LocalNotifications } from '@capacitor/local-notifications';
+
+import {
+  DEFAULT_STAT_DEFINITIONS, MIN_GAIN, MAX_GAIN, activeStats, statName, clampGain, computeStats, rebaseGains, mergeStatDefinitions,
+  emptySummary, summarizeEntries, summaryTotals,
+} from './lib/stats.js';
+import { AI_PROVIDERS, callAiModel, defaultAiConfig, testAiConnection } from './lib/ai.js';
+import { DEFAULT_SCORING_RULES, parseKeywords } from './lib/rules.js';
+import { scoreActivity } from './lib/scoring.js';
+import { CHART_RANGES, sumGainsByDate, buildStatSeries, getRangeBounds } from './lib/history.js';
+import { toDateStr, parseDateStr, addDays, TIME_SLOTS, timeSlotOf, timeSlotLabel, timeSlotOrder } from './lib/dates.js';
+import { SCHEMA_VERSION, migrateData, parseBackup, buildBackup } from './lib/schema.js';
+import {
+  loadAllEntries, loadEntry, loadEntrySummary, loadEntriesByDateRange, loadEntriesByConfidant, saveEntryChanges, replaceAllEntries,
+} from './lib/entryStore.js';
+import {
+  isDesktop, saveExportFile, saveRollingBackup, openImportFile, readDesktopDataFile, writeDesktopDataFile,
+} from './lib/platform.js';
+import { isEncryptedBackup, encryptBackup, decryptBackup } from './lib/backupCrypto.js';
+import { planMerge, resolveNewest, applyMerge, entryTimestamp } from './lib/merge.js';
+import { RANK_PRESETS, DEFAULT_RANK_PRESET, getRank, getRankTable, findRankUps } from './lib/ranks.js';
+import {
+  ARCANA, createConfidant, getConfidantRank,
+  findConfidantRankUps, matchConfidantsInText, resolvePeople, mergeConfidants,
+} from './lib/confidants.js';
+import { GOAL_TYPES, clampTargetRank, createGoal, evaluateGoal, resolveGoals } from './lib/goals.js';
+import { SEARCH_SOURCES, buildSearchIndex, searchEntries } from './lib/search.js';
+import { STALL_DAYS, analyzeFocus, getAdvice } from './lib/advisor.js';
+import { MAX_SCORE_CACHE_ENTRIES, scoreCacheKey, lookupScore, storeScore } from './lib/scoreCache.js';
+import { splitDiary, mergeDiaryItems, diaryItemsToEntries } from './lib/diary.js';
+import { TEMPLATE_GAINS_MODES, createTemplate, templateGains, entryFromTemplate } from './lib/templates.js';
+import {
+  DEFAULT_PROFILE_ID, DEFAULT_PROFILES, profileStorageKey, profileBackupPrefix, createProfile,
+  buildProfilesBundle, isProfilesBundle, parseProfilesBundle, restoreProfile, snapshotProfile, restoreProfileSnapshot, deleteProfileData,
+} from './lib/profiles.js';
+import { UNMAPPED, entriesToCsv, parseCsv, guessCsvMapping, csvRowsToEntries } from './lib/csv.js';
+import { entriesToMarkdown } from './lib/journal.js';
+import { DEFAULT_REMINDER_CONFIG, requestReminderPermission, syncReminders, cancelReminders, listenForReminderTaps } from './lib/reminders.js';
+import { EMPTY_SYNC_STATE, MAX_REJECT_ATTEMPTS, SYNC_SPACE_PATTERN, createHttpTransport, resolveSyncSpace, syncEntries } from './lib/sync.js';
+import { REPORT_PERIODS, getPeriodBounds, reportId, generateReport, upsertReport, mergeReports } from './lib/reports.js';
+import {
+  FREEZE_EARN_DAYS, MAX_STREAK_FREEZES, WEEKLY_STREAK_MIN_DAYS,
+  buildAchievements, computeAchievements, findNewAchievements,
+} from './lib/achievements.js';
 
 // ---------------------------------
 // 1. 常量和配置
 // ---------------------------------
 
-// Gemini API配置
-// 将来您可以在这里替换为您自己的API密钥（如果需要）
-// 目前，空字符串将使用画布环境中提供的默认凭据。
-const API_KEY = ""; 
-const API_URL = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${API_KEY}`;
-// const API_URL = '/api/send_to_pc';
+// AI服务配置保存在本机，默认使用 Gemini
+// 服务商、模型、接口地址和密钥均可在“设置”中修改
+const DEFAULT_AI_CONFIG = defaultAiConfig('gemini');
 
-// 五维的定义
-const STAT_NAMES = {
-  diligence: "毅力",
-  knowledge: "知识",
-  courage: "勇气",
-  understanding: "宽容",
-  expression: "表达力",
-};
+// 有临时评分的记录时，每隔多久尝试一次重新评分
+const RESCORE_INTERVAL_MS = 5 * 60 * 1000;
 
-// ---------------------------------
-// 2. 帮助函数 (Helpers)
-// ---------------------------------
+// 桌面版写入数据文件前等待的时间，合并连续的修改
+const DESKTOP_SAVE_DELAY_MS = 2000;
 
-/**
- * 指数退避重试 Fetch
- */
-const fetchWithBackoff = async (url, options, retries = 5, delay = 1000) => {
-  try {
-    const response = await fetch(url, options);
-    if (!response.ok) {
-      if (response.status === 429 && retries > 0) {
-        // console.warn(`Retrying request (attempts left: ${retries})...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-        return fetchWithBackoff(url, options, retries - 1, delay * 2);
-      }
-      throw new Error(`API request failed with status ${response.status}`);
-    }
-    return response.json();
-  } catch (error) {
-    console.error("API request error:", error);
-    throw error;
-  }
-};
+// 记录变化后等待多久再写入自动备份，合并连续的修改
+const AUTO_BACKUP_DELAY_MS = 60 * 1000;
 
-/**
- * 调用 Gemini API 来计算五维提升
- * @param {string} activity - 用户输入的活动
- * @param {string} feeling - 用户输入的感受
- * @returns {Promise<object>} - 包含五维提升点数的对象
- */
-const callAiModel = async (activity, feeling) => {
-  const systemPrompt = `你是一个模拟《女神异闻录》系列中五维系统的AI助手。
-请根据用户提交的“今日事项”和“完成感受”，分析这项活动对用户的五维（毅力, 知识, 勇气, 宽容, 表达力）带来了哪些提升。
-- 事项: ${activity}
-- 感受: ${feeling}
-
-请评估每一项的提升点数，范围从0到5。
-请只返回一个JSON对象，格式如下：
-{ "diligence": 0, "knowledge": 0, "courage": 0, "understanding": 0, "expression": 0 }
-不要添加任何markdown标记或解释性文字。`;
-
-  const payload = {
-    contents: [{ parts: [{ text: systemPrompt }] }],
-    generationConfig: {
-      responseMimeType: "application/json",
-      responseSchema: {
-        type: "OBJECT",
-        properties: {
-          diligence: { type: "NUMBER", description: "毅力" },
-          knowledge: { type: "NUMBER", description: "知识" },
-          courage: { type: "NUMBER", description: "勇气" },
-          understanding: { type: "NUMBER", description: "宽容" },
-          expression: { type: "NUMBER", description: "表达力" },
-        },
-        required: ["diligence", "knowledge", "courage", "understanding", "expression"],
-      },
-    },
-  };
-
-  try {
-    const result = await fetchWithBackoff(API_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json'},
-      body: JSON.stringify(payload)
-    });
-    console.log("API响应:", result);
+// 开启同步后每隔多久与服务器同步一次
+const SYNC_INTERVAL_MS = 5 * 60 * 1000;
 
-    const candidate = result.candidates?.[0];
-    if (candidate && candidate.content?.parts?.[0]?.text) {
-      const jsonText = candidate.content.parts[0].text;
-      return JSON.parse(jsonText);
-    } else {
-      console.error("无效的API响应:", result);
-      throw new Error("AI未能返回有效的五维数据。");
-    }
-  } catch (error) {
-    console.error("AI计算失败:", error);
-    // 返回一个默认的0值，以防止应用崩溃
-    return { diligence: 0, knowledge: 0, courage: 0, understanding: 0, expression: 0 };
-  }
-};
+// 记录变化后等待多久再同步，合并连续的修改
+const SYNC_DELAY_MS = 5000;
+
+// “撤销”提示显示多久后自动消失
+const UNDO_TIMEOUT_MS = 10 * 1000;
+
+// 记录加载完成前使用的空汇总（加载完成前不显示任何屏幕）
+const EMPTY_SUMMARY = emptySummary();
+
+// 搜索结果每次显示的条数
+const SEARCH_PAGE_SIZE = 50;
 
 // ---------------------------------
-// 3. 自定义Hooks (用于本地存储)
+// 2. 自定义Hooks (用于本地存储)
 // ---------------------------------
 
 /**
@@ -144,12 +116,136 @@ function useLocalStorage(key, defaultValue) {
   return [value, setValue];
 }
 
+/**
+ * 记录存储的 Hook，数据保存在 IndexedDB 中，内存中只保留记录的汇总（见 stats.js 的 addToSummary）。
+ * 需要具体记录的地方按日期范围、羁绊对象或 id 从数据库读取。
+ * @returns {{
+ *   summary: object|null, isLoaded: boolean, loadError: Error|null, revision: number,
+ *   saveEntries: Function, replaceEntries: Function,
+ * }}
+ *   saveEntries({ put, remove }) 写入或删除记录，replaceEntries(entries) 替换全部记录；
+ *   revision 在每次写入数据库完成后加一，汇总和按范围查询数据库的组件据此重新读取；
+ *   加载失败时 isLoaded 始终为 false，loadError 为失败原因
+ */
+function useEntryStore(profileId) {
+  const [summary, setSummary] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [revision, setRevision] = useState(0);
+  const isLoaded = summary !== null;
+
+  useEffect(() => {
+    let cancelled = false;
+    loadEntrySummary(profileId)
+      .then(async loaded => {
+        // 桌面版：数据库为空但应用数据目录中有数据文件时（例如浏览器数据被清除），从文件恢复
+        if (revision === 0 && loaded.count === 0 && isDesktop()) {
+          const fileData = await readDesktopDataFile(profileId);
+          if (fileData?.allEntries?.length > 0) {
+            await replaceAllEntries(profileId, migrateData(fileData).allEntries);
+            return loadEntrySummary(profileId);
+          }
+        }
+        return loaded;
+      })
+      .then(loaded => {
+        if (!cancelled) setSummary(loaded);
+      })
+      .catch(e => {
+        // 首次加载失败时保持未加载状态：不写数据库，也不用空列表覆盖桌面数据文件
+        console.error("无法从IndexedDB加载记录:", e);
+        if (!cancelled && revision === 0) setLoadError(e);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [profileId, revision]);
+
+  const saveEntries = useCallback(
+    (changes) => saveEntryChanges(profileId, changes)
+      .then(() => setRevision(r => r + 1))
+      .catch(e => console.error("无法保存到IndexedDB:", e)),
+    [profileId]
+  );
+
+  const replaceEntries = useCallback(
+    (entries) => replaceAllEntries(profileId, entries)
+      .then(() => setRevision(r => r + 1))
+      .catch(e => console.error("无法保存到IndexedDB:", e)),
+    [profileId]
+  );
+
+  // 桌面版：同时在应用数据目录保存一份数据文件，连续修改时只写最后一次
+  useEffect(() => {
+    if (!isLoaded || !isDesktop()) return;
+    const timer = setTimeout(() => {
+      loadAllEntries(profileId)
+        .then(entries => writeDesktopDataFile(profileId, { schemaVersion: SCHEMA_VERSION, allEntries: entries }))
+        .catch(e => console.error("无法写入桌面数据文件:", e));
+    }, DESKTOP_SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [profileId, revision, isLoaded]);
+
+  return { summary, isLoaded, loadError, revision, saveEntries, replaceEntries };
+}
+
+/**
+ * 从数据库按日期范围读取记录，revision 变化时重新读取
+ * @param {string} profileId
+ * @param {string|null} start - YYYY-MM-DD，为 null 时读取全部记录
+ * @param {string|null} end - YYYY-MM-DD
+ * @param {number} revision - useEntryStore 返回的 revision
+ * @returns {Array<object>}
+ */
+function useEntriesInRange(profileId, start, end, revision) {
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = start === null ? loadAllEntries(profileId) : loadEntriesByDateRange(profileId, start, end);
+    load
+      .then(result => {
+        if (!cancelled) setEntries(result);
+      })
+      .catch(e => console.error("按日期读取记录失败:", e));
+    return () => {
+      cancelled = true;
+    };
+  }, [profileId, start, end, revision]);
+
+  return entries;
+}
+
+/**
+ * 从数据库读取关联了某个羁绊对象的记录，revision 变化时重新读取
+ * @param {string} profileId
+ * @param {string} confidantId
+ * @param {number} revision - useEntryStore 返回的 revision
+ * @returns {Array<object>}
+ */
+function useEntriesByConfidant(profileId, confidantId, revision) {
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadEntriesByConfidant(profileId, confidantId)
+      .then(result => {
+        if (!cancelled) setEntries(result);
+      })
+      .catch(e => console.error("读取羁绊记录失败:", e));
+    return () => {
+      cancelled = true;
+    };
+  }, [profileId, confidantId, revision]);
+
+  return entries;
+}
+
 
 // ---------------------------------
-// 4. React 组件
+// 3. React 组件
 // ---------------------------------
 
-// --- 4.1 图标组件 ---
+// --- 3.1 图标组件 ---
 
 const HomeIcon = () => (
   <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 12l2-2m0 0l7-7 7 7M5 10v10a1 1 0 001 1h3m10-11l2 2m-2-2v10a1 1 0 01-1 1h-3m-6-4a1 1 0 001 1h2a1 1 0 001-1v-1a1 1 0 00-1-1h-2a1 1 0 00-1 1v1z" /></svg>
@@ -167,13 +263,18 @@ const SettingsIcon = () => (
   <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z" /><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" /></svg>
 );
 
-// --- 4.2 底部导航栏 ---
+const ConfidantIcon = () => (
+  <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z" /></svg>
+);
+
+// --- 3.2 底部导航栏 ---
 
 const BottomNav = ({ activeScreen, setActiveScreen }) => {
   const navItems = [
     { id: 'home', label: '主页', icon: <HomeIcon /> },
     { id: 'calendar', label: '日历', icon: <CalendarIcon /> },
-    { id: 'stats', label: '五维', icon: <StatsIcon /> },
+    { id: 'stats', label: '属性', icon: <StatsIcon /> },
+    { id: 'confidants', label: '羁绊', icon: <ConfidantIcon /> },
     { id: 'settings', label: '设置', icon: <SettingsIcon /> },
   ];
 
@@ -197,9 +298,34 @@ const BottomNav = ({ activeScreen, setActiveScreen }) => {
   );
 };
 
-// --- 4.3 屏幕组件：主页 ---
+// --- 3.3 屏幕组件：主页 ---
+
+const GOAL_STATUS_LABELS = {
+  onTrack: { text: '进度正常', className: 'bg-green-800 text-green-200' },
+  behind: { text: '落后', className: 'bg-yellow-800 text-yellow-200' },
+  done: { text: '已完成', className: 'bg-blue-800 text-blue-200' },
+  missed: { text: '已错过', className: 'bg-red-800 text-red-200' },
+  ended: { text: '已结束', className: 'bg-gray-600 text-gray-200' },
+};
+
+/**
+ * 目标的一句话描述，例如“2026-12-31 前知识达到 Rank 5「教授级」”
+ */
+const describeGoal = (goal, statDefinitions, rankPreset) => {
+  const name = statName(statDefinitions, goal.stat);
+  if (goal.type === 'rank') {
+    const table = getRankTable(rankPreset, goal.stat);
+    const targetRank = clampTargetRank(goal.targetRank, table);
+    const title = table[targetRank - 1]?.title;
+    return `${goal.deadline} 前${name}达到 Rank ${targetRank}${title ? `「${title}」` : ''}`;
+  }
+  return `每周 ${goal.count} 次${name}活动${goal.deadline ? `（至 ${goal.deadline}）` : ''}`;
+};
 
-const HomeScreen = ({ setActiveScreen, playerStats }) => {
+const HomeScreen = ({
+  setActiveScreen, profileName, playerStats, stats, goals, goalProgress, statDefinitions, rankPreset,
+  achievementState, achievementCount, templates, onQuickLog,
+}) => {
   const getGreeting = () => {
     const hour = new Date().getHours();
     if (hour < 6) return "夜深了...还在记录吗？";
@@ -210,21 +336,104 @@ const HomeScreen = ({ setActiveScreen, playerStats }) => {
 
   return (
     <div className="p-6 flex flex-col h-full">
+      <button onClick={() => setActiveScreen('profiles')} className="self-end text-sm text-blue-400 mb-2">
+        档案：{profileName}
+      </button>
       <h1 className="text-3xl font-bold text-white mb-2">{getGreeting()}</h1>
       <p className="text-lg text-gray-400 mb-8">今天有什么新的进展吗？</p>
 
+      <button
+        onClick={() => setActiveScreen('trophies')}
+        className="bg-gray-800 hover:bg-gray-700 p-4 rounded-lg shadow-lg mb-8 grid grid-cols-3 gap-2 text-center"
+      >
+        <div>
+          <div className="text-2xl font-bold text-orange-400">{achievementState.dailyStreak}</div>
+          <div className="text-xs text-gray-400">
+            连续天数{achievementState.dailyStreak > 0 && !achievementState.loggedToday && '（今天还没记录）'}
+          </div>
+        </div>
+        <div>
+          <div className="text-2xl font-bold text-white">{achievementState.weeklyStreak}</div>
+          <div className="text-xs text-gray-400">连续周数</div>
+        </div>
+        <div>
+          <div className="text-2xl font-bold text-yellow-300">
+            {Object.keys(achievementState.unlocked).length}/{achievementCount}
+          </div>
+          <div className="text-xs text-gray-400">徽章</div>
+        </div>
+      </button>
+
       <div className="bg-gray-800 p-4 rounded-lg shadow-lg mb-8">
-        <h2 className="text-xl font-semibold mb-4 text-white">当前五维总览</h2>
+        <h2 className="text-xl font-semibold mb-4 text-white">当前属性总览</h2>
         <div className="grid grid-cols-3 gap-4 text-center">
-          {Object.entries(playerStats).map(([key, value]) => (
-            <div key={key} className="bg-gray-700 p-3 rounded-lg">
-              <div className="text-sm text-blue-300">{STAT_NAMES[key]}</div>
-              <div className="text-2xl font-bold text-white">{value}</div>
+          {stats.map(stat => (
+            <div key={stat.key} className="bg-gray-700 p-3 rounded-lg">
+              <div className="text-sm" style={{ color: stat.color }}>{stat.name}</div>
+              <div className="text-2xl font-bold text-white">{playerStats[stat.key] || 0}</div>
             </div>
           ))}
         </div>
       </div>
 
+      <div className="bg-gray-800 p-4 rounded-lg shadow-lg mb-8">
+        <div className="flex justify-between items-baseline mb-3">
+          <h2 className="text-xl font-semibold text-white">目标</h2>
+          <button onClick={() => setActiveScreen('goals')} className="text-sm text-blue-400">管理</button>
+        </div>
+        {goals.length > 0 ? (
+          <ul className="space-y-3">
+            {goals.map(goal => {
+              const { status, progress, current, target } = goalProgress[goal.id];
+              return (
+                <li key={goal.id}>
+                  <div className="flex justify-between items-center text-sm mb-1">
+                    <span className="text-gray-200">{describeGoal(goal, statDefinitions, rankPreset)}</span>
+                    <span className={`flex-shrink-0 ml-2 text-xs px-2 py-0.5 rounded-full ${GOAL_STATUS_LABELS[status].className}`}>
+                      {GOAL_STATUS_LABELS[status].text}
+                    </span>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <div className="flex-grow bg-gray-900 rounded-full h-2 overflow-hidden">
+                      <div className="h-2 bg-blue-500 rounded-full" style={{ width: `${progress}%` }} />
+                    </div>
+                    <span className="text-xs text-gray-400">{current} / {target}</span>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        ) : (
+          <p className="text-gray-500 text-sm">还没有进行中的目标。</p>
+        )}
+      </div>
+
+      {templates.length > 0 && (
+        <div className="bg-gray-800 p-4 rounded-lg shadow-lg mb-8">
+          <h2 className="text-xl font-semibold text-white mb-1">常用事项</h2>
+          <p className="text-xs text-gray-500 mb-3">点一下直接记录，不需要等待AI评分</p>
+          <div className="flex flex-wrap gap-2">
+            {templates.map(template => (
+              <button
+                key={template.id}
+                onClick={() => onQuickLog(template)}
+                className="bg-gray-700 hover:bg-gray-600 text-white text-sm px-3 py-2 rounded-lg"
+              >
+                {template.name}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <button
+        onClick={() => setActiveScreen('advisor')}
+        className="bg-indigo-950 hover:bg-indigo-900 border border-indigo-800 p-4 rounded-lg shadow-lg mb-8 text-left"
+      >
+        <div className="text-indigo-200 font-semibold">天鹅绒房间</div>
+        <div className="text-xs text-indigo-300">不知道接下来做什么？听听针对薄弱属性的建议</div>
+      </button>
+
       <div className="flex-grow flex items-center justify-center">
         <button
           onClick={() => setActiveScreen('add')}
@@ -238,40 +447,169 @@ const HomeScreen = ({ setActiveScreen, playerStats }) => {
   );
 };
 
-// --- 4.4 屏幕组件：添加事项 ---
+// --- 3.4 屏幕组件：添加事项 ---
+
+const GainReview = ({ score, gains, setGains, stats }) => {
+  const adjust = (key, delta) => {
+    setGains({ ...gains, [key]: clampGain(gains[key] + delta) });
+  };
+
+  return (
+    <ul className="space-y-3">
+      {stats.map(({ key, name }) => (
+        <li key={key} className="bg-gray-800 p-3 rounded-lg">
+          <div className="flex justify-between items-center">
+            <span className="text-lg font-semibold text-white">{name}</span>
+            <div className="flex items-center gap-2">
+              <button
+                type="button"
+                onClick={() => adjust(key, -1)}
+                disabled={gains[key] <= MIN_GAIN}
+                className="w-8 h-8 bg-gray-700 rounded-full text-white disabled:opacity-30"
+              >
+                −
+              </button>
+              <span className="w-6 text-center text-xl font-bold text-white">{gains[key]}</span>
+              <button
+                type="button"
+                onClick={() => adjust(key, 1)}
+                disabled={gains[key] >= MAX_GAIN}
+                className="w-8 h-8 bg-gray-700 rounded-full text-white disabled:opacity-30"
+              >
+                +
+              </button>
+            </div>
+          </div>
+          {score.reasons?.[key] && (
+            <p className="text-gray-400 text-sm mt-1">{score.reasons[key]}</p>
+          )}
+          {gains[key] !== score.gains[key] && (
+            <p className="text-yellow-400 text-xs mt-1">原评分: {score.gains[key]}</p>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+/**
+ * 选择记录的日期（可以补记以前的日子）和时段
+ */
+const DateSlotFields = ({ date, setDate, timeSlot, setTimeSlot }) => (
+  <div className="space-y-2">
+    <input
+      type="date"
+      value={date}
+      max={toDateStr(new Date())}
+      onChange={(e) => e.target.value && setDate(e.target.value)}
+      className="w-full p-2 bg-gray-800 border border-gray-600 rounded-lg text-white"
+    />
+    <div className="flex gap-2">
+      {TIME_SLOTS.map(slot => (
+        <button
+          key={slot.key}
+          type="button"
+          onClick={() => setTimeSlot(slot.key)}
+          className={`flex-grow py-1 rounded-lg text-sm ${
+            timeSlot === slot.key ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300'
+          }`}
+        >
+          {slot.label}
+        </button>
+      ))}
+    </div>
+  </div>
+);
+
+/**
+ * 为记录标记羁绊对象：点选已登记的人，或把AI识别出的新名字登记为羁绊
+ */
+const ConfidantPicker = ({ confidants, selectedIds, setSelectedIds, newNames, onAddConfidant }) => {
+  const toggle = (id) => {
+    setSelectedIds(selectedIds.includes(id) ? selectedIds.filter(item => item !== id) : [...selectedIds, id]);
+  };
+
+  if (confidants.length === 0 && newNames.length === 0) return null;
+
+  return (
+    <div className="mt-4">
+      <h2 className="text-lg font-semibold text-white mb-2">一起的人</h2>
+      <div className="flex flex-wrap gap-2">
+        {confidants.map(confidant => (
+          <button
+            key={confidant.id}
+            type="button"
+            onClick={() => toggle(confidant.id)}
+            className={`px-3 py-1 rounded-full text-sm ${
+              selectedIds.includes(confidant.id) ? 'bg-purple-600 text-white' : 'bg-gray-700 text-gray-300'
+            }`}
+          >
+            {confidant.name}
+          </button>
+        ))}
+        {newNames.map(name => (
+          <button
+            key={name}
+            type="button"
+            onClick={() => onAddConfidant(name)}
+            className="px-3 py-1 rounded-full text-sm border border-dashed border-purple-400 text-purple-300"
+          >
+            + 登记「{name}」
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
 
-const AddActivityScreen = ({ onSave, setActiveScreen }) => {
-  const [activity, setActivity] = useState("");
+const AddActivityScreen = ({
+  onSave, setActiveScreen, aiConfig, scoringRules, stats, confidants, setConfidants, draft,
+  templates, setTemplates, scoreCache, setScoreCache,
+}) => {
+  // 从天鹅绒房间的建议进入时预先填好事项
+  const [activity, setActivity] = useState(draft?.activity || "");
   const [feeling, setFeeling] = useState("");
+  // 默认是现在所在的日期和时段，补记时可以改成更早的日期
+  const [date, setDate] = useState(() => toDateStr(new Date()));
+  const [timeSlot, setTimeSlot] = useState(() => timeSlotOf(new Date()));
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
+  // 评分结果出来后进入确认步骤，用户可以查看理由并调整
+  const [review, setReview] = useState(null);
+  const [adjustedGains, setAdjustedGains] = useState(null);
+  // 关联的羁绊对象，以及AI提到但尚未登记的名字
+  const [confidantIds, setConfidantIds] = useState([]);
+  const [newNames, setNewNames] = useState([]);
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    if (!activity.trim() || !feeling.trim()) {
-      setError("事项和感受都不能为空哦。");
-      return;
-    }
+  // 保存为模板后不再重复提示
+  const [savedTemplate, setSavedTemplate] = useState(false);
 
+  // useCache 为 false 时（“重新评分”）跳过缓存，强制请求AI
+  const requestScore = async (useCache = true) => {
     setIsLoading(true);
     setError(null);
 
     try {
-      const gains = await callAiModel(activity, feeling);
-      
-      const newEntry = {
-        id: new Date().toISOString() + Math.random(), // 确保ID唯一
-        date: new Date().toISOString().split('T')[0], // YYYY-MM-DD
-        activity,
-        feeling,
-        gains,
-      };
-
-      onSave(newEntry);
-      setActivity("");
-      setFeeling("");
-      setActiveScreen('stats'); // 提交后跳转到五维界面看提升
-      
+      const cacheKey = scoreCacheKey(activity, feeling, stats.map(stat => stat.key));
+      const cached = useCache ? lookupScore(scoreCache, cacheKey, Date.now()) : null;
+      let score;
+      if (cached) {
+        score = { ...cached, scoredBy: 'ai', provisional: false, fromCache: true };
+      } else {
+        const knownPeople = confidants.map(confidant => confidant.name);
+        score = await scoreActivity(activity, feeling, aiConfig, scoringRules, stats, knownPeople);
+        if (score.scoredBy === 'ai') {
+          setScoreCache(prev => storeScore(prev, cacheKey, score, Date.now()));
+        }
+      }
+      setReview(score);
+      setAdjustedGains(score.gains);
+      setSavedTemplate(false);
+      // AI识别出的人和文本中直接出现的名字都作为建议，保留用户已做的选择
+      const { ids, newNames: unknown } = resolvePeople(score.people, confidants);
+      const suggested = [...ids, ...matchConfidantsInText(`${activity} ${feeling}`, confidants)];
+      setConfidantIds(prev => [...new Set([...prev, ...suggested])]);
+      setNewNames(unknown);
     } catch (err) {
       console.error(err);
       setError("AI计算失败，请稍后重试。");
@@ -280,19 +618,151 @@ const AddActivityScreen = ({ onSave, setActiveScreen }) => {
     }
   };
 
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!activity.trim() || !feeling.trim()) {
+      setError("事项和感受都不能为空哦。");
+      return;
+    }
+    requestScore();
+  };
+
+  const applyTemplate = (template) => {
+    setActivity(template.activity);
+    setFeeling(template.feeling || '');
+    setConfidantIds((template.confidantIds || []).filter(id => confidants.some(confidant => confidant.id === id)));
+  };
+
+  const handleSaveTemplate = () => {
+    setTemplates([
+      ...templates,
+      createTemplate({ activity, feeling, gains: adjustedGains, confidantIds }),
+    ]);
+    setSavedTemplate(true);
+  };
+
+  const handleAddConfidant = (name) => {
+    const confidant = createConfidant(name);
+    setConfidants([...confidants, confidant]);
+    setConfidantIds([...confidantIds, confidant.id]);
+    setNewNames(newNames.filter(item => item !== name));
+  };
+
+  const handleConfirm = () => {
+    const now = new Date();
+    const newEntry = {
+      id: now.toISOString() + Math.random(), // 确保ID唯一
+      date, // 本地日期 YYYY-MM-DD
+      timeSlot,
+      createdAt: now.toISOString(), // 记录的时间
+      activity,
+      feeling,
+      gains: adjustedGains, // 用户确认后的数值，计入属性
+      originalGains: review.gains, // AI（或离线规则）给出的原始数值
+      reasons: review.reasons,
+      scoredBy: review.scoredBy,
+      provisional: review.provisional,
+      confidantIds,
+    };
+
+    // 保存后由 App 决定跳转到升级画面还是属性界面
+    onSave(newEntry);
+    setActivity("");
+    setFeeling("");
+    setReview(null);
+    setConfidantIds([]);
+    setNewNames([]);
+  };
+
+  if (review) {
+    return (
+      <div className="p-6 h-full flex flex-col">
+        <div className="flex-shrink-0 flex items-center mb-6">
+          <button onClick={() => setReview(null)} className="text-blue-400 mr-4">
+            &lt; 修改
+          </button>
+          <h1 className="text-2xl font-bold text-white">确认属性提升</h1>
+        </div>
+
+        {isLoading && (
+          <div className="fixed inset-0 bg-black bg-opacity-75 flex flex-col items-center justify-center z-50">
+            <div className="animate-spin rounded-full h-16 w-16 border-t-4 border-blue-500"></div>
+            <p className="text-white text-lg mt-4">AI正在重新计算...</p>
+          </div>
+        )}
+
+        {error && (
+          <div className="bg-red-800 border border-red-600 text-red-200 p-3 rounded-lg mb-4">
+            {error}
+          </div>
+        )}
+
+        {review.fromCache && (
+          <div className="bg-gray-800 text-gray-300 p-3 rounded-lg mb-4 text-sm">
+            这件事之前已经评过分，直接使用了缓存的AI评分。需要的话可以重新评分。
+          </div>
+        )}
+
+        {review.provisional && (
+          <div className="bg-yellow-900 text-yellow-200 p-3 rounded-lg mb-4 text-sm">
+            AI暂时不可用，这是离线规则给出的临时评分，AI恢复后会自动重新评分。
+          </div>
+        )}
+
+        <div className="flex-grow overflow-y-auto mb-4">
+          <p className="text-white font-semibold">{activity}</p>
+          <p className="text-gray-400 text-sm mb-4">{feeling}</p>
+          <GainReview score={review} gains={adjustedGains} setGains={setAdjustedGains} stats={stats} />
+          <ConfidantPicker
+            confidants={confidants}
+            selectedIds={confidantIds}
+            setSelectedIds={setConfidantIds}
+            newNames={newNames}
+            onAddConfidant={handleAddConfidant}
+          />
+          <button
+            onClick={handleSaveTemplate}
+            disabled={savedTemplate}
+            className="mt-4 text-sm text-blue-400 hover:text-blue-300 disabled:text-gray-500"
+          >
+            {savedTemplate ? '已保存为常用事项' : '保存为常用事项'}
+          </button>
+        </div>
+
+        <div className="flex-shrink-0 flex gap-3">
+          <button
+            onClick={() => requestScore(false)}
+            disabled={isLoading}
+            className="flex-1 bg-gray-700 hover:bg-gray-600 text-white font-bold py-4 rounded-lg disabled:opacity-50"
+          >
+            重新评分
+          </button>
+          <button
+            onClick={handleConfirm}
+            disabled={isLoading}
+            className="flex-[2] bg-blue-600 hover:bg-blue-700 text-white font-bold py-4 rounded-lg text-lg disabled:opacity-50"
+          >
+            确认保存
+          </button>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="p-6 h-full flex flex-col">
       <div className="flex-shrink-0 flex items-center mb-6">
         <button onClick={() => setActiveScreen('home')} className="text-blue-400 mr-4">
           &lt; 返回
         </button>
-        <h1 className="text-2xl font-bold text-white">记录新事项</h1>
+        <h1 className="flex-grow text-2xl font-bold text-white">记录新事项</h1>
+        <button onClick={() => setActiveScreen('diary')} className="text-blue-400 hover:text-blue-300">日记模式</button>
       </div>
 
       {isLoading && (
         <div className="fixed inset-0 bg-black bg-opacity-75 flex flex-col items-center justify-center z-50">
           <div className="animate-spin rounded-full h-16 w-16 border-t-4 border-blue-500"></div>
-          <p className="text-white text-lg mt-4">AI正在计算您的五维提升...</p>
+          <p className="text-white text-lg mt-4">AI正在计算您的属性提升...</p>
         </div>
       )}
 
@@ -302,10 +772,37 @@ const AddActivityScreen = ({ onSave, setActiveScreen }) => {
         </div>
       )}
 
+      {draft && (
+        <div className="bg-indigo-950 border border-indigo-800 text-indigo-200 p-3 rounded-lg mb-4 text-sm">
+          天鹅绒房间的建议，预计提升：
+          {stats.filter(stat => draft.gains[stat.key] > 0).map(stat => `${stat.name}+${draft.gains[stat.key]}`).join(' ') || '无'}
+          。完成后写下感受，实际提升以评分为准。
+        </div>
+      )}
+
+      {templates.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-4">
+          {templates.map(template => (
+            <button
+              key={template.id}
+              type="button"
+              onClick={() => applyTemplate(template)}
+              className="bg-gray-800 hover:bg-gray-700 text-gray-200 text-sm px-3 py-1 rounded-full"
+            >
+              {template.name}
+            </button>
+          ))}
+        </div>
+      )}
+
       <form onSubmit={handleSubmit} className="flex-grow flex flex-col">
+        <div className="mb-6">
+          <DateSlotFields date={date} setDate={setDate} timeSlot={timeSlot} setTimeSlot={setTimeSlot} />
+        </div>
+
         <div className="mb-6">
           <label className="block text-lg font-medium text-gray-300 mb-2" htmlFor="activity">
-            今天干了什么？
+            {date === toDateStr(new Date()) ? '今天干了什么？' : `${date} 干了什么？`}
           </label>
           <input
             id="activity"
@@ -335,18 +832,189 @@ const AddActivityScreen = ({ onSave, setActiveScreen }) => {
           disabled={isLoading}
           className="w-full bg-blue-600 hover:bg-blue-700 text-black font-bold py-4 px-4 rounded-lg text-lg shadow-lg transition-all duration-200 disabled:bg-gray-600 disabled:opacity-50"
         >
-          {isLoading ? "计算中..." : "提交并查看五维提升"}
+          {isLoading ? "计算中..." : "提交并查看评分"}
         </button>
       </form>
     </div>
   );
 };
 
-// --- 4.5 屏幕组件：日历 ---
+// --- 3.5 屏幕组件：日历 ---
+
+const EntryCard = ({ entry, onUpdate, onDelete, onRescore, statDefinitions, confidants }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [isRescoring, setIsRescoring] = useState(false);
+  const [draft, setDraft] = useState(null);
+  // 编辑时显示所有启用的属性，以及这条记录中已退役但有数值的属性
+  const editableKeys = useMemo(() => {
+    const keys = activeStats(statDefinitions).map(stat => stat.key);
+    return [...keys, ...Object.keys(entry.gains).filter(key => !keys.includes(key) && entry.gains[key] > 0)];
+  }, [statDefinitions, entry.gains]);
+  const [showReasons, setShowReasons] = useState(false);
+  // 从日记拆分出的记录可以查看原文
+  const [showDiary, setShowDiary] = useState(false);
+  const hasReasons = entry.reasons && Object.values(entry.reasons).some(Boolean);
+
+  const startEditing = () => {
+    setDraft({
+      activity: entry.activity,
+      feeling: entry.feeling,
+      gains: { ...entry.gains },
+      date: entry.date,
+      timeSlot: entry.timeSlot,
+    });
+    setIsEditing(true);
+  };
+
+  const handleSave = () => {
+    if (!draft.activity.trim() || !draft.feeling.trim()) return;
+    onUpdate(entry.id, draft);
+    setIsEditing(false);
+  };
+
+  const handleRescore = async () => {
+    setIsRescoring(true);
+    try {
+      await onRescore(entry);
+    } finally {
+      setIsRescoring(false);
+    }
+  };
+
+  if (isEditing) {
+    return (
+      <li className="bg-gray-700 p-3 rounded-lg shadow space-y-2">
+        <DateSlotFields
+          date={draft.date}
+          setDate={(value) => setDraft({ ...draft, date: value })}
+          timeSlot={draft.timeSlot}
+          setTimeSlot={(value) => setDraft({ ...draft, timeSlot: value })}
+        />
+        <input
+          type="text"
+          value={draft.activity}
+          onChange={(e) => setDraft({ ...draft, activity: e.target.value })}
+          className="w-full p-2 bg-gray-800 border border-gray-600 rounded-lg text-white"
+        />
+        <textarea
+          value={draft.feeling}
+          onChange={(e) => setDraft({ ...draft, feeling: e.target.value })}
+          className="w-full p-2 bg-gray-800 border border-gray-600 rounded-lg text-white min-h-[80px]"
+        />
+        <div className="grid grid-cols-2 gap-2 text-sm">
+          {editableKeys.map(key => (
+            <label key={key} className="flex items-center justify-between bg-gray-800 px-2 py-1 rounded-lg text-gray-300">
+              {statName(statDefinitions, key)}
+              <input
+                type="number"
+                min={MIN_GAIN}
+                max={MAX_GAIN}
+                value={draft.gains[key] ?? 0}
+                onChange={(e) => setDraft({
+                  ...draft,
+                  gains: { ...draft.gains, [key]: Math.min(MAX_GAIN, Math.max(MIN_GAIN, Number(e.target.value) || 0)) },
+                })}
+                className="w-14 p-1 bg-gray-700 border border-gray-600 rounded text-white text-right"
+              />
+            </label>
+          ))}
+        </div>
+        <div className="flex gap-2">
+          <button onClick={handleSave} className="flex-grow bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 rounded-lg">
+            保存
+          </button>
+          <button onClick={() => setIsEditing(false)} className="flex-grow bg-gray-600 hover:bg-gray-500 text-white py-2 rounded-lg">
+            取消
+          </button>
+        </div>
+      </li>
+    );
+  }
+
+  return (
+    <li className="bg-gray-700 p-3 rounded-lg shadow">
+      <div className="flex justify-between items-start">
+        <p className="font-semibold text-white text-lg">
+          {entry.timeSlot && (
+            <span className="mr-2 text-xs font-normal bg-gray-600 text-gray-200 px-2 py-0.5 rounded-full align-middle">
+              {timeSlotLabel(entry.timeSlot)}
+            </span>
+          )}
+          {entry.activity}
+        </p>
+        {entry.provisional && (
+          <span className="flex-shrink-0 ml-2 text-xs bg-yellow-800 text-yellow-200 px-2 py-0.5 rounded-full">
+            临时评分
+          </span>
+        )}
+      </div>
+      <p className="text-gray-300 text-sm mt-1 mb-2">{entry.feeling}</p>
+      <div className="flex flex-wrap gap-x-3 gap-y-1 text-xs">
+        {Object.entries(entry.gains).map(([key, value]) => 
+          value > 0 && (
+            <span key={key} className="bg-blue-800 text-blue-200 px-2 py-0.5 rounded-full">
+              {statName(statDefinitions, key)} +{value}
+            </span>
+          )
+        )}
+        {confidants.filter(confidant => entry.confidantIds?.includes(confidant.id)).map(confidant => (
+          <span key={confidant.id} className="bg-purple-800 text-purple-200 px-2 py-0.5 rounded-full">
+            {confidant.name}
+          </span>
+        ))}
+      </div>
+      {showDiary && (
+        <p className="mt-2 p-2 bg-gray-800 rounded-lg text-xs text-gray-400 whitespace-pre-wrap">{entry.diaryText}</p>
+      )}
+      {showReasons && (
+        <ul className="mt-2 space-y-1 text-xs text-gray-400">
+          {Object.keys(entry.reasons).filter(key => entry.reasons[key]).map(key => (
+            <li key={key}>
+              <span className="text-gray-300">{statName(statDefinitions, key)}</span>
+              {entry.originalGains && entry.originalGains[key] !== entry.gains[key] && (
+                <span className="text-yellow-400"> (原评分 {entry.originalGains[key]})</span>
+              )}
+              ：{entry.reasons[key]}
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex justify-end gap-4 mt-2 text-sm">
+        {entry.diaryText && (
+          <button onClick={() => setShowDiary(!showDiary)} className="text-gray-400 hover:text-gray-300">
+            {showDiary ? "收起日记" : "来自日记"}
+          </button>
+        )}
+        {hasReasons && (
+          <button onClick={() => setShowReasons(!showReasons)} className="text-gray-400 hover:text-gray-300">
+            {showReasons ? "收起理由" : "理由"}
+          </button>
+        )}
+        <button onClick={startEditing} className="text-blue-400 hover:text-blue-300">编辑</button>
+        <button onClick={handleRescore} disabled={isRescoring} className="text-blue-400 hover:text-blue-300 disabled:opacity-50">
+          {isRescoring ? "评分中..." : "重新评分"}
+        </button>
+        <button onClick={() => onDelete(entry.id)} className="text-red-400 hover:text-red-300">删除</button>
+      </div>
+    </li>
+  );
+};
+
+const CalendarScreen = ({
+  profileId, entriesRevision, onUpdateEntry, onDeleteEntry, onRescoreEntry, statDefinitions, confidants,
+  initialDate, onOpenSearch, reports, onOpenReports,
+}) => {
+  // initialDate 用于从搜索结果跳转到某一天
+  const [currentDate, setCurrentDate] = useState(() => (initialDate ? parseDateStr(initialDate) : new Date()));
+  const [selectedDate, setSelectedDate] = useState(() => initialDate || toDateStr(new Date()));
+  // 当天记录的排序：'slot' 按时段从早到晚，'recent' 按记录时间从新到旧
+  const [sortOrder, setSortOrder] = useState('slot');
 
-const CalendarScreen = ({ allEntries }) => {
-  const [currentDate, setCurrentDate] = useState(new Date());
-  const [selectedDate, setSelectedDate] = useState(new Date().toISOString().split('T')[0]);
+  // 只读取当前月份和选中日期的记录
+  const monthStart = toDateStr(new Date(currentDate.getFullYear(), currentDate.getMonth(), 1));
+  const monthEnd = toDateStr(new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0));
+  const monthEntries = useEntriesInRange(profileId, monthStart, monthEnd, entriesRevision);
+  const selectedDayEntries = useEntriesInRange(profileId, selectedDate, selectedDate, entriesRevision);
 
   const daysInMonth = useMemo(() => {
     const year = currentDate.getFullYear();
@@ -354,12 +1022,12 @@ const CalendarScreen = ({ allEntries }) => {
     const firstDayOfMonth = new Date(year, month, 1).getDay();
     const daysInMonth = new Date(year, month + 1, 0).getDate();
     
-    const entriesByDate = allEntries.reduce((acc, entry) => {
+    const entriesByDate = monthEntries.reduce((acc, entry) => {
       acc[entry.date] = true;
       return acc;
     }, {});
 
-    const todayStr = new Date().toISOString().split('T')[0];
+    const todayStr = toDateStr(new Date());
 
     let days = [];
     // 填充空白
@@ -377,21 +1045,28 @@ const CalendarScreen = ({ allEntries }) => {
       });
     }
     return days;
-  }, [currentDate, allEntries]);
+  }, [currentDate, monthEntries]);
 
   const changeMonth = (offset) => {
     setCurrentDate(prev => new Date(prev.getFullYear(), prev.getMonth() + offset, 1));
   };
 
   const selectedDateEntries = useMemo(() => {
-    return allEntries
-      .filter(entry => entry.date === selectedDate)
-      .sort((a, b) => new Date(b.id) - new Date(a.id)); // 按提交时间排序
-  }, [allEntries, selectedDate]);
+    const byRecent = (a, b) => entryTimestamp(b) - entryTimestamp(a);
+    return [...selectedDayEntries].sort(sortOrder === 'slot'
+      ? (a, b) => timeSlotOrder(a.timeSlot) - timeSlotOrder(b.timeSlot) || -byRecent(a, b)
+      : byRecent);
+  }, [selectedDayEntries, sortOrder]);
 
   return (
     <div className="p-4 h-full flex flex-col">
-      <h1 className="text-2xl font-bold text-white mb-4">活动日历</h1>
+      <div className="flex justify-between items-center mb-4">
+        <h1 className="text-2xl font-bold text-white">活动日历</h1>
+        <div className="flex gap-4">
+          <button onClick={() => onOpenReports(null)} className="text-blue-400 hover:text-blue-300">回顾</button>
+          <button onClick={onOpenSearch} className="text-blue-400 hover:text-blue-300">搜索</button>
+        </div>
+      </div>
       
       {/* 月份控制器 */}
       <div className="flex justify-between items-center mb-4 p-2 bg-gray-800 rounded-lg">
@@ -402,6 +1077,15 @@ const CalendarScreen = ({ allEntries }) => {
         <button onClick={() => changeMonth(1)} className="text-blue-400 p-2 rounded-lg hover:bg-gray-700">下一月 &gt;</button>
       </div>
 
+      {reports.some(report => report.id === reportId('month', monthStart)) && (
+        <button
+          onClick={() => onOpenReports(reportId('month', monthStart))}
+          className="mb-4 w-full bg-gray-800 hover:bg-gray-700 text-left text-sm text-blue-300 p-2 rounded-lg"
+        >
+          查看 {currentDate.getMonth() + 1} 月的回顾
+        </button>
+      )}
+
       {/* 日历网格 */}
       <div className="grid grid-cols-7 gap-1 text-center mb-4">
         {['一', '二', '三', '四', '五', '六', '日'].map(day => (
@@ -433,25 +1117,31 @@ const CalendarScreen = ({ allEntries }) => {
 
       {/* 选中日期的记录 */}
       <div className="flex-grow overflow-y-auto bg-gray-800 rounded-lg p-4">
-        <h3 className="text-lg font-semibold text-white mb-3">
-          {selectedDate} 的记录
-        </h3>
+        <div className="flex justify-between items-center mb-3">
+          <h3 className="text-lg font-semibold text-white">
+            {selectedDate} 的记录
+          </h3>
+          <select
+            value={sortOrder}
+            onChange={(e) => setSortOrder(e.target.value)}
+            className="p-1 bg-gray-700 border border-gray-600 rounded-lg text-sm text-white"
+          >
+            <option value="slot">按时段</option>
+            <option value="recent">按记录时间</option>
+          </select>
+        </div>
         {selectedDateEntries.length > 0 ? (
           <ul className="space-y-3">
             {selectedDateEntries.map((entry) => (
-              <li key={entry.id} className="bg-gray-700 p-3 rounded-lg shadow">
-                <p className="font-semibold text-white text-lg">{entry.activity}</p>
-                <p className="text-gray-300 text-sm mt-1 mb-2">{entry.feeling}</p>
-                <div className="flex flex-wrap gap-x-3 gap-y-1 text-xs">
-                  {Object.entries(entry.gains).map(([key, value]) => 
-                    value > 0 && (
-                      <span key={key} className="bg-blue-800 text-blue-200 px-2 py-0.5 rounded-full">
-                        {STAT_NAMES[key]} +{value}
-                      </span>
-                    )
-                  )}
-                </div>
-              </li>
+              <EntryCard
+                key={entry.id}
+                entry={entry}
+                onUpdate={onUpdateEntry}
+                onDelete={onDeleteEntry}
+                onRescore={onRescoreEntry}
+                statDefinitions={statDefinitions}
+                confidants={confidants}
+              />
             ))}
           </ul>
         ) : (
@@ -462,88 +1152,951 @@ const CalendarScreen = ({ allEntries }) => {
   );
 };
 
-// --- 4.6 屏幕组件：五维统计 ---
+// --- 3.6 屏幕组件：属性统计 ---
 
-const StatBar = ({ name, value, color }) => {
-  const level = Math.floor(value / 10); // 每10点升一级
-  const progress = (value % 10) * 10; // 当前等级的进度百分比
+const StatBar = ({ name, value, color, table }) => {
+  const { rank, title, nextThreshold, progress } = getRank(value, table);
   
   return (
     <div className="bg-gray-800 p-4 rounded-lg shadow-lg">
       <div className="flex justify-between items-baseline mb-2">
-        <span className="text-xl font-semibold text-white">{name}</span>
         <div className="flex items-baseline">
-          <span className="text-sm text-gray-400 mr-1">Lv.</span>
-          <span className="text-2xl font-bold text-white">{level}</span>
-          <span className="text-lg text-gray-400 ml-2">(总点数: {value})</span>
+          <span className="text-xl font-semibold text-white">{name}</span>
+          <span className="text-sm text-blue-300 ml-2">{title}</span>
+        </div>
+        <div className="flex items-baseline">
+          <span className="text-sm text-gray-400 mr-1">Rank</span>
+          <span className="text-2xl font-bold text-white">{rank}</span>
+          <span className="text-lg text-gray-400 ml-2">
+            ({value}{nextThreshold !== null ? ` / ${nextThreshold}` : ''})
+          </span>
         </div>
       </div>
       <div className="w-full bg-gray-900 rounded-full h-4 overflow-hidden border border-gray-700">
         <div
-          className={`h-4 rounded-full transition-all duration-500 ${color}`}
-          style={{ width: `${progress}%`, textShadow: '0 1px 2px rgba(0,0,0,0.5)' }}
+          className="h-4 rounded-full transition-all duration-500"
+          style={{ width: `${progress}%`, backgroundColor: color, textShadow: '0 1px 2px rgba(0,0,0,0.5)' }}
         >
-          <span className="text-xs font-medium text-white px-2">{progress}%</span>
+          <span className="text-xs font-medium text-white px-2">{nextThreshold !== null ? `${progress}%` : 'MAX'}</span>
         </div>
       </div>
     </div>
   );
 };
 
-const StatsScreen = ({ playerStats }) => {
-  const statColors = {
-    diligence: "bg-pink-500",
-    knowledge: "bg-blue-500",
-    courage: "bg-red-500",
-    understanding: "bg-green-500",
-    expression: "bg-yellow-500",
+/**
+ * 属性雷达图：每个轴的长度表示该维在等级表中的进度
+ */
+const RadarChart = ({ playerStats, rankPreset, stats }) => {
+  const size = 240;
+  const center = size / 2;
+  const radius = 80;
+  const keys = stats.map(stat => stat.key);
+
+  const pointAt = (index, ratio) => {
+    const angle = -Math.PI / 2 + (index * 2 * Math.PI) / keys.length;
+    return [center + Math.cos(angle) * radius * ratio, center + Math.sin(angle) * radius * ratio];
   };
 
+  const ratios = keys.map(key => {
+    const table = getRankTable(rankPreset, key);
+    const { rank, progress, nextThreshold } = getRank(playerStats[key] || 0, table);
+    if (nextThreshold === null || table.length < 2) return 1;
+    return (rank - 1 + progress / 100) / (table.length - 1);
+  });
+
+  const toPoints = (values) => values.map((ratio, i) => pointAt(i, ratio).join(',')).join(' ');
+
   return (
-    <div className="p-6 h-full overflow-y-auto">
-      <h1 className="text-3xl font-bold text-white mb-6">我的五维</h1>
-      <div className="space-y-5">
-        {Object.entries(playerStats).map(([key, value]) => (
-          <StatBar 
-            key={key} 
-            name={STAT_NAMES[key]} 
-            value={value} 
-            color={statColors[key]}
-          />
-        ))}
-      </div>
-    </div>
+    <svg viewBox={`0 0 ${size} ${size}`} className="w-full max-w-xs mx-auto">
+      {[0.25, 0.5, 0.75, 1].map(level => (
+        <polygon
+          key={level}
+          points={toPoints(keys.map(() => level))}
+          fill="none"
+          stroke="#374151"
+          strokeWidth={1}
+        />
+      ))}
+      {keys.map((key, i) => {
+        const [x, y] = pointAt(i, 1);
+        const [lx, ly] = pointAt(i, 1.25);
+        return (
+          <g key={key}>
+            <line x1={center} y1={center} x2={x} y2={y} stroke="#374151" strokeWidth={1} />
+            <text x={lx} y={ly} fill="#d1d5db" fontSize="12" textAnchor="middle" dominantBaseline="middle">
+              {stats[i].name}
+            </text>
+          </g>
+        );
+      })}
+      <polygon
+        points={toPoints(ratios.map(ratio => Math.max(ratio, 0.02)))}
+        fill="rgba(96, 165, 250, 0.35)"
+        stroke="#60a5fa"
+        strokeWidth={2}
+      />
+    </svg>
   );
 };
 
-// --- 4.7 屏幕组件：设置 ---
+/**
+ * 简单的SVG折线图，可以叠加一条对比线（虚线）
+ */
+const LineChart = ({ series, compareSeries, color }) => {
+  const width = 300;
+  const height = 140;
+  const padding = { top: 10, right: 10, bottom: 20, left: 30 };
+  const innerWidth = width - padding.left - padding.right;
+  const innerHeight = height - padding.top - padding.bottom;
 
-const SettingsScreen = ({ allEntries, playerStats, setAllEntries, setPlayerStats }) => {
-  const [message, setMessage] = useState(null);
+  const allValues = [...series, ...(compareSeries || [])].map(point => point.value);
+  const maxValue = Math.max(1, ...allValues);
+  const minValue = Math.min(0, ...allValues);
+  const count = Math.max(series.length, compareSeries?.length || 0);
 
-  const handleExport = async () => {
-    setMessage(null);
-    try {
-      const data = {
-        allEntries,
-        playerStats,
-        exportDate: new Date().toISOString(),
-      };
-      const jsonString = JSON.stringify(data, null, 2);
-      const fileName = `persona_data_${new Date().toISOString().split('T')[0]}.json`;
-
-      // 使用Capacitor Filesystem API
-      const result = await Filesystem.writeFile({
-        path: fileName,
-        data: jsonString,
-        directory: Directory.Documents, // 保存到应用"文档"目录
-        encoding: Encoding.UTF8,
-      });
+  const toPoints = (points) => points.map((point, i) => {
+    const x = padding.left + (count > 1 ? (i / (count - 1)) * innerWidth : innerWidth / 2);
+    const y = padding.top + innerHeight - ((point.value - minValue) / (maxValue - minValue)) * innerHeight;
+    return `${x},${y}`;
+  }).join(' ');
 
-      // result.uri 会返回文件的真实路径, e.g., "file:///..."
-      // console.log('File saved at:', result.uri);
-      
-      setMessage({ type: 'success', text: `数据已成功导出！保存位置: 文档/${fileName}` });
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full">
+      <line x1={padding.left} y1={padding.top} x2={padding.left} y2={padding.top + innerHeight} stroke="#4b5563" />
+      <line x1={padding.left} y1={padding.top + innerHeight} x2={width - padding.right} y2={padding.top + innerHeight} stroke="#4b5563" />
+      <text x={padding.left - 4} y={padding.top + 4} fill="#9ca3af" fontSize="10" textAnchor="end">{maxValue}</text>
+      <text x={padding.left - 4} y={padding.top + innerHeight} fill="#9ca3af" fontSize="10" textAnchor="end">{minValue}</text>
+      {series.length > 0 && (
+        <>
+          <text x={padding.left} y={height - 4} fill="#9ca3af" fontSize="10">{series[0].date}</text>
+          <text x={width - padding.right} y={height - 4} fill="#9ca3af" fontSize="10" textAnchor="end">
+            {series[series.length - 1].date}
+          </text>
+        </>
+      )}
+      {compareSeries && (
+        <polyline points={toPoints(compareSeries)} fill="none" stroke="#9ca3af" strokeWidth={1.5} strokeDasharray="4 3" />
+      )}
+      <polyline points={toPoints(series)} fill="none" stroke={color} strokeWidth={2} />
+    </svg>
+  );
+};
+
+const StatHistoryCard = ({ profileId, playerStats, entriesRevision, stats }) => {
+  const [selectedStat, setStat] = useState(stats[0].key);
+  // 选中的属性被退役后退回第一个属性
+  const stat = stats.some(({ key }) => key === selectedStat) ? selectedStat : stats[0].key;
+  const [rangeKey, setRangeKey] = useState('month');
+  const [mode, setMode] = useState('cumulative');
+  const [compare, setCompare] = useState(false);
+
+  // “全部”范围没有可以对比的上一周期
+  const canCompare = CHART_RANGES[rangeKey].days !== null;
+  const showCompare = compare && canCompare;
+
+  // 只从数据库读取图表需要的日期范围（对比时包含上一周期）
+  const today = toDateStr(new Date());
+  const queryStart = canCompare ? getRangeBounds({}, rangeKey, showCompare ? 1 : 0, today).start : null;
+  const rangeEntries = useEntriesInRange(profileId, queryStart, today, entriesRevision);
+
+  const dailyTotals = useMemo(() => sumGainsByDate(rangeEntries), [rangeEntries]);
+  // 范围之前的累计值由当前总数倒推
+  const total = canCompare ? playerStats[stat] : undefined;
+  const series = useMemo(
+    () => buildStatSeries(dailyTotals, stat, rangeKey, mode, { today, total }),
+    [dailyTotals, stat, rangeKey, mode, today, total]
+  );
+  const compareSeries = useMemo(
+    () => (showCompare ? buildStatSeries(dailyTotals, stat, rangeKey, mode, { periodOffset: 1, today, total }) : null),
+    [showCompare, dailyTotals, stat, rangeKey, mode, today, total]
+  );
+
+  const tabClass = (active) =>
+    `px-3 py-1 rounded-lg text-sm ${active ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300'}`;
+
+  return (
+    <div className="bg-gray-800 p-4 rounded-lg shadow-lg">
+      <h2 className="text-xl font-semibold text-white mb-3">成长曲线</h2>
+      <div className="flex flex-wrap gap-2 mb-3">
+        {stats.map(({ key, name }) => (
+          <button key={key} onClick={() => setStat(key)} className={tabClass(stat === key)}>
+            {name}
+          </button>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-2 mb-3">
+        {Object.entries(CHART_RANGES).map(([key, range]) => (
+          <button key={key} onClick={() => setRangeKey(key)} className={tabClass(rangeKey === key)}>
+            {range.label}
+          </button>
+        ))}
+        <button
+          onClick={() => setMode(mode === 'cumulative' ? 'gain' : 'cumulative')}
+          className={tabClass(false)}
+        >
+          {mode === 'cumulative' ? '累计' : CHART_RANGES[rangeKey].bucket === 1 ? '每日提升' : '每周提升'}
+        </button>
+      </div>
+      <LineChart series={series} compareSeries={compareSeries} color={stats.find(({ key }) => key === stat).color} />
+      {canCompare && (
+        <label className="flex items-center gap-2 mt-2 text-sm text-gray-400">
+          <input type="checkbox" checked={compare} onChange={(e) => setCompare(e.target.checked)} />
+          与上一{CHART_RANGES[rangeKey].label}对比（虚线）
+        </label>
+      )}
+    </div>
+  );
+};
+
+const StatsScreen = ({ profileId, playerStats, entriesRevision, rankPreset, rankHistory, statDefinitions }) => {
+  const stats = activeStats(statDefinitions);
+
+  return (
+    <div className="p-6 h-full overflow-y-auto">
+      <h1 className="text-3xl font-bold text-white mb-6">我的属性</h1>
+      <div className="bg-gray-800 p-4 rounded-lg shadow-lg mb-5">
+        <RadarChart playerStats={playerStats} rankPreset={rankPreset} stats={stats} />
+      </div>
+      <div className="space-y-5">
+        {stats.map(stat => (
+          <StatBar
+            key={stat.key}
+            name={stat.name}
+            value={playerStats[stat.key] || 0}
+            color={stat.color}
+            table={getRankTable(rankPreset, stat.key)}
+          />
+        ))}
+        <StatHistoryCard profileId={profileId} playerStats={playerStats} entriesRevision={entriesRevision} stats={stats} />
+      </div>
+
+      {rankHistory.length > 0 && (
+        <div className="mt-8">
+          <h2 className="text-xl font-semibold text-white mb-3">升级记录</h2>
+          <ul className="space-y-2">
+            {[...rankHistory].reverse().map(item => (
+              <li key={item.id} className="flex justify-between bg-gray-800 px-4 py-2 rounded-lg text-sm">
+                <span className="text-white">
+                  {statName(statDefinitions, item.stat)} → Rank {item.rank}「{item.title}」
+                </span>
+                <span className="text-gray-500">{item.date}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// --- 3.7 屏幕组件：设置 ---
+
+const StatEditorCard = ({ statDefinitions, setStatDefinitions }) => {
+  const activeCount = activeStats(statDefinitions).length;
+
+  const updateStat = (key, changes) => {
+    setStatDefinitions(statDefinitions.map(stat => stat.key === key ? { ...stat, ...changes } : stat));
+  };
+
+  // key 创建后不再改变，记录中的数值始终对应这个 key
+  const addStat = () => {
+    setStatDefinitions([
+      ...statDefinitions,
+      { key: `custom_${Date.now().toString(36)}`, name: '新属性', color: '#a855f7', description: '', retired: false },
+    ]);
+  };
+
+  return (
+    <div className="bg-gray-800 p-4 rounded-lg">
+      <h2 className="text-xl font-semibold text-white mb-2">属性</h2>
+      <p className="text-gray-400 text-sm mb-4">
+        自定义要培养的属性。说明会提供给AI作为评分依据。退役的属性不再评分和显示，但历史记录中的数值会保留。
+      </p>
+      <ul className="space-y-3">
+        {statDefinitions.map(stat => (
+          <li key={stat.key} className={`bg-gray-700 p-3 rounded-lg space-y-2 ${stat.retired ? 'opacity-50' : ''}`}>
+            <div className="flex items-center gap-2">
+              <input
+                type="color"
+                value={stat.color}
+                onChange={(e) => updateStat(stat.key, { color: e.target.value })}
+                className="w-10 h-10 bg-transparent"
+              />
+              <input
+                type="text"
+                defaultValue={stat.name}
+                onBlur={(e) => updateStat(stat.key, { name: e.target.value.trim() || stat.name })}
+                className="flex-grow p-2 bg-gray-800 border border-gray-600 rounded-lg text-white"
+              />
+              <button
+                onClick={() => updateStat(stat.key, { retired: !stat.retired })}
+                disabled={!stat.retired && activeCount <= 1}
+                className="text-sm text-gray-300 px-2 disabled:opacity-30"
+              >
+                {stat.retired ? '恢复' : '退役'}
+              </button>
+            </div>
+            <input
+              type="text"
+              defaultValue={stat.description}
+              onBlur={(e) => updateStat(stat.key, { description: e.target.value.trim() })}
+              placeholder="说明，例如：运动、饮食、作息"
+              className="w-full p-2 bg-gray-800 border border-gray-600 rounded-lg text-white text-sm placeholder-gray-500"
+            />
+          </li>
+        ))}
+      </ul>
+      <button
+        onClick={addStat}
+        className="mt-4 w-full bg-gray-700 hover:bg-gray-600 text-white font-bold py-3 px-4 rounded-lg transition-colors"
+      >
+        添加属性
+      </button>
+    </div>
+  );
+};
+
+const ScoringRulesCard = ({ scoringRules, setScoringRules, stats }) => {
+  const updateRule = (id, changes) => {
+    setScoringRules(scoringRules.map(rule => rule.id === id ? { ...rule, ...changes } : rule));
+  };
+
+  const addRule = () => {
+    setScoringRules([
+      ...scoringRules,
+      { id: `rule-${Date.now()}`, keywords: [], stat: stats[0].key, points: 1 },
+    ]);
+  };
+
+  const removeRule = (id) => {
+    setScoringRules(scoringRules.filter(rule => rule.id !== id));
+  };
+
+  return (
+    <div className="bg-gray-800 p-4 rounded-lg">
+      <h2 className="text-xl font-semibold text-white mb-2">离线评分规则</h2>
+      <p className="text-gray-400 text-sm mb-4">
+        AI不可用时，事项或感受中出现关键词即给对应维度加分。多个关键词用逗号分隔。
+      </p>
+      <ul className="space-y-3">
+        {scoringRules.map(rule => (
+          <li key={rule.id} className="bg-gray-700 p-3 rounded-lg space-y-2">
+            <input
+              type="text"
+              defaultValue={rule.keywords.join('，')}
+              onBlur={(e) => updateRule(rule.id, { keywords: parseKeywords(e.target.value) })}
+              placeholder="关键词，例如：读书，上课"
+              className="w-full p-2 bg-gray-800 border border-gray-600 rounded-lg text-white placeholder-gray-500"
+            />
+            <div className="flex items-center gap-2">
+              <select
+                value={rule.stat}
+                onChange={(e) => updateRule(rule.id, { stat: e.target.value })}
+                className="flex-grow p-2 bg-gray-800 border border-gray-600 rounded-lg text-white"
+              >
+                {stats.map(({ key, name }) => (
+                  <option key={key} value={key}>{name}</option>
+                ))}
+              </select>
+              <span className="text-gray-400">+</span>
+              <input
+                type="number"
+                min={1}
+                max={MAX_GAIN}
+                value={rule.points}
+                onChange={(e) => updateRule(rule.id, { points: Number(e.target.value) })}
+                className="w-16 p-2 bg-gray-800 border border-gray-600 rounded-lg text-white"
+              />
+              <button onClick={() => removeRule(rule.id)} className="text-red-400 px-2">删除</button>
+            </div>
+          </li>
+        ))}
+      </ul>
+      <div className="flex gap-2 mt-4">
+        <button
+          onClick={addRule}
+          className="flex-grow bg-gray-700 hover:bg-gray-600 text-white font-bold py-3 px-4 rounded-lg transition-colors"
+        >
+          添加规则
+        </button>
+        <button
+          onClick={() => setScoringRules(DEFAULT_SCORING_RULES)}
+          className="bg-gray-700 hover:bg-gray-600 text-gray-300 py-3 px-4 rounded-lg transition-colors"
+        >
+          恢复默认
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const TemplatesCard = ({ templates, setTemplates, stats, allEntries }) => {
+  const keys = stats.map(stat => stat.key);
+
+  const updateTemplate = (id, changes) => {
+    setTemplates(templates.map(template => template.id === id ? { ...template, ...changes } : template));
+  };
+
+  const removeTemplate = (id) => {
+    setTemplates(templates.filter(template => template.id !== id));
+  };
+
+  return (
+    <div className="bg-gray-800 p-4 rounded-lg">
+      <h2 className="text-xl font-semibold text-white mb-2">常用事项</h2>
+      <p className="text-gray-400 text-sm mb-4">
+        在确认评分时可以把事项保存为常用事项，之后在首页一键记录。“沿用上次”使用最近一次同名记录的提升。
+      </p>
+      {templates.length > 0 ? (
+        <ul className="space-y-3">
+          {templates.map(template => {
+            const gains = templateGains(template, allEntries, keys);
+            return (
+              <li key={template.id} className="bg-gray-700 p-3 rounded-lg space-y-2">
+                <input
+                  type="text"
+                  defaultValue={template.name}
+                  onBlur={(e) => e.target.value.trim() && updateTemplate(template.id, { name: e.target.value.trim() })}
+                  className="w-full p-2 bg-gray-800 border border-gray-600 rounded-lg text-white"
+                />
+                <p className="text-xs text-gray-400">{template.activity}</p>
+                <div className="flex items-center gap-2">
+                  <select
+                    value={template.gainsMode}
+                    onChange={(e) => updateTemplate(template.id, { gainsMode: e.target.value })}
+                    className="p-2 bg-gray-800 border border-gray-600 rounded-lg text-white text-sm"
+                  >
+                    {Object.entries(TEMPLATE_GAINS_MODES).map(([mode, label]) => (
+                      <option key={mode} value={mode}>{label}</option>
+                    ))}
+                  </select>
+                  <span className="flex-grow text-xs text-gray-300">
+                    {stats.filter(stat => gains[stat.key] > 0).map(stat => `${stat.name}+${gains[stat.key]}`).join(' ') || '无提升'}
+                  </span>
+                  <button onClick={() => removeTemplate(template.id)} className="text-red-400 px-2">删除</button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      ) : (
+        <p className="text-gray-500 text-sm">还没有常用事项。</p>
+      )}
+    </div>
+  );
+};
+
+const MergePreview = ({ plan, onConfirm, onCancel, statDefinitions }) => {
+  // 默认每个冲突都保留本机记录
+  const [resolutions, setResolutions] = useState(() =>
+    Object.fromEntries(plan.conflicts.map(({ id }) => [id, 'current']))
+  );
+
+  const describe = (entry) => {
+    const gains = Object.keys(entry.gains || {}).filter(key => entry.gains[key] > 0)
+      .map(key => `${statName(statDefinitions, key)}+${entry.gains[key]}`)
+      .join(' ');
+    return `${entry.date} ${entry.activity}${gains ? `（${gains}）` : ''}`;
+  };
+
+  return (
+    <div className="mt-4 bg-gray-900 p-3 rounded-lg text-left text-sm space-y-3">
+      <ul className="text-gray-300 space-y-1">
+        <li>新增：<span className="text-green-400 font-bold">{plan.added.length}</span> 条</li>
+        <li>有差异：<span className="text-yellow-400 font-bold">{plan.conflicts.length}</span> 条</li>
+        <li>内容相同，跳过：{plan.unchanged} 条</li>
+        <li>仅本机有，保留：{plan.localOnly} 条</li>
+      </ul>
+
+      {plan.conflicts.length > 0 && (
+        <>
+          <button
+            onClick={() => setResolutions(resolveNewest(plan.conflicts))}
+            className="w-full bg-gray-700 hover:bg-gray-600 text-white py-2 rounded-lg"
+          >
+            全部保留较新的
+          </button>
+          <ul className="space-y-2 max-h-72 overflow-y-auto">
+            {plan.conflicts.map(({ id, current, incoming }) => (
+              <li key={id} className="bg-gray-800 p-2 rounded-lg space-y-1">
+                {[['current', '本机', current], ['incoming', '导入', incoming]].map(([side, label, entry]) => (
+                  <label key={side} className="flex items-start gap-2 text-gray-300">
+                    <input
+                      type="radio"
+                      name={`conflict-${id}`}
+                      checked={resolutions[id] === side}
+                      onChange={() => setResolutions({ ...resolutions, [id]: side })}
+                      className="mt-1"
+                    />
+                    <span><span className="text-gray-500">{label}：</span>{describe(entry)}</span>
+                  </label>
+                ))}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      <div className="flex gap-2">
+        <button
+          onClick={() => onConfirm(resolutions)}
+          className="flex-grow bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 rounded-lg"
+        >
+          确认合并
+        </button>
+        <button onClick={onCancel} className="flex-grow bg-gray-700 hover:bg-gray-600 text-white py-2 rounded-lg">
+          取消
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const ReminderCard = ({ reminders, setReminders, onMessage }) => {
+  const update = (changes) => setReminders({ ...reminders, ...changes });
+
+  // 开启通知前先请求权限，被拒绝时保持关闭
+  const enable = async (field) => {
+    onMessage(null);
+    try {
+      if (!(await requestReminderPermission(LocalNotifications))) {
+        onMessage({ type: 'error', text: '没有通知权限，请在系统设置中允许本应用发送通知。' });
+        return;
+      }
+      update({ [field]: true });
+    } catch (e) {
+      console.error("请求通知权限失败:", e);
+      onMessage({ type: 'error', text: `无法开启通知: ${e.message}` });
+    }
+  };
+
+  const toggle = (field) => (e) => {
+    if (e.target.checked) {
+      enable(field);
+    } else {
+      update({ [field]: false });
+    }
+  };
+
+  const timeInputClass = 'p-2 bg-gray-700 border border-gray-600 rounded-lg text-white disabled:opacity-50';
+
+  return (
+    <div className="bg-gray-800 p-4 rounded-lg">
+      <h2 className="text-xl font-semibold text-white mb-2">提醒</h2>
+      <p className="text-gray-400 text-sm mb-4">
+        每天到点提醒记录，当天已经记录过就不再提醒。晚间总结会列出今天的提升，今天没有记录时不发送。点击通知会打开添加事项。
+      </p>
+      <div className="space-y-3">
+        <div className="flex justify-between items-center">
+          <label className="flex items-center gap-2 text-gray-300 text-sm">
+            <input type="checkbox" checked={reminders.enabled} onChange={toggle('enabled')} />
+            每日提醒
+          </label>
+          <input
+            type="time"
+            value={reminders.time}
+            onChange={(e) => e.target.value && update({ time: e.target.value })}
+            disabled={!reminders.enabled}
+            className={timeInputClass}
+          />
+        </div>
+        <div className="flex justify-between items-center">
+          <label className="flex items-center gap-2 text-gray-300 text-sm">
+            <input type="checkbox" checked={reminders.summaryEnabled} onChange={toggle('summaryEnabled')} />
+            晚间总结
+          </label>
+          <input
+            type="time"
+            value={reminders.summaryTime}
+            onChange={(e) => e.target.value && update({ summaryTime: e.target.value })}
+            disabled={!reminders.summaryEnabled}
+            className={timeInputClass}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const CSV_BASE_FIELDS = [
+  { field: 'date', label: '日期', required: true },
+  { field: 'activity', label: '事项', required: true },
+  { field: 'feeling', label: '感受' },
+  { field: 'timeSlot', label: '时段' },
+  { field: 'id', label: 'id' },
+];
+
+const SpreadsheetCard = ({ allEntries, statDefinitions, profileName, onImportEntries, onMessage }) => {
+  const stats = activeStats(statDefinitions);
+  // 选择了 CSV 文件后，等待确认列的对应关系：{ headers, rows, mapping }
+  const [csvImport, setCsvImport] = useState(null);
+  // 转换后的记录与本机记录的合并预览（planMerge 的结果）
+  const [mergePlan, setMergePlan] = useState(null);
+
+  const exportFile = async (fileName, content, mimeName) => {
+    onMessage(null);
+    try {
+      const location = await saveExportFile(fileName, content, mimeName);
+      if (!location) return; // 用户取消了保存对话框
+      onMessage({ type: 'success', text: `已成功导出！保存位置: ${location}` });
+    } catch (e) {
+      console.error("导出失败:", e);
+      onMessage({
+        type: 'error',
+        text: e.message.includes("permission") ? '导出失败：需要文件存储权限。' : '导出失败，请检查控制台。',
+      });
+    }
+  };
+
+  const today = toDateStr(new Date());
+  const handleExportCsv = () =>
+    exportFile(`persona_entries_${today}.csv`, entriesToCsv(allEntries, statDefinitions), 'CSV');
+  const handleExportMarkdown = () =>
+    exportFile(`persona_journal_${today}.md`, entriesToMarkdown(allEntries, statDefinitions, `${profileName}的日志`), 'Markdown');
+
+  const loadCsvText = (text) => {
+    setMergePlan(null);
+    const [headers, ...rows] = parseCsv(text);
+    if (!headers || rows.length === 0) {
+      onMessage({ type: 'error', text: 'CSV 文件中没有数据行。' });
+      return;
+    }
+    setCsvImport({ headers, rows, mapping: guessCsvMapping(headers, stats) });
+  };
+
+  const handleCsvFile = (event) => {
+    onMessage(null);
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => loadCsvText(e.target.result);
+    reader.onerror = () => {
+      onMessage({ type: 'error', text: '读取文件失败。' });
+    };
+    reader.readAsText(file);
+    // 重置input，以便下次可以导入同名文件
+    event.target.value = null;
+  };
+
+  const handleDesktopCsv = async () => {
+    onMessage(null);
+    try {
+      const file = await openImportFile(['csv']);
+      if (file) loadCsvText(file.content);
+    } catch (e) {
+      console.error("读取文件失败:", e);
+      onMessage({ type: 'error', text: '读取文件失败。' });
+    }
+  };
+
+  const setColumn = (column, field, statKey) => {
+    setCsvImport(prev => ({
+      ...prev,
+      mapping: statKey
+        ? { ...prev.mapping, gains: { ...prev.mapping.gains, [statKey]: column } }
+        : { ...prev.mapping, [field]: column },
+    }));
+  };
+
+  // 有问题的行会全部列出，可以调整对应关系后重试；通过后与本机记录合并，id 相同的记录不会重复
+  const handleConfirmCsv = () => {
+    onMessage(null);
+    const { entries, failures } = csvRowsToEntries(csvImport.rows, csvImport.mapping, stats, allEntries);
+    if (failures.length > 0) {
+      onMessage({
+        type: 'error',
+        text: `有 ${failures.length} 行未通过校验，未导入任何数据。`,
+        details: failures.map(failure => `第 ${failure.row} 行数据: ${failure.problems.join('；')}`),
+      });
+      return;
+    }
+    setMergePlan(planMerge(allEntries, entries));
+    setCsvImport(null);
+  };
+
+  const handleConfirmMerge = (resolutions) => {
+    const merged = applyMerge(allEntries, mergePlan, resolutions);
+    onImportEntries(merged);
+    onMessage({ type: 'success', text: `导入完成！现在共有 ${merged.length} 条记录。` });
+    setMergePlan(null);
+  };
+
+  const columnSelect = (value, onChange) => (
+    <select
+      value={value}
+      onChange={(e) => onChange(Number(e.target.value))}
+      className="flex-grow p-2 bg-gray-700 border border-gray-600 rounded-lg text-white text-sm"
+    >
+      <option value={UNMAPPED}>不导入</option>
+      {csvImport.headers.map((header, index) => (
+        <option key={index} value={index}>{header.trim() || `第 ${index + 1} 列`}</option>
+      ))}
+    </select>
+  );
+
+  const buttonClass = 'w-full bg-gray-700 hover:bg-gray-600 text-white font-bold py-3 px-4 rounded-lg transition-colors';
+
+  return (
+    <div className="bg-gray-800 p-4 rounded-lg">
+      <h2 className="text-xl font-semibold text-white mb-2">表格和日志</h2>
+      <p className="text-gray-400 text-sm mb-4">
+        导出 CSV 表格（每条记录一行，每个属性一列）用于分析，或导出按天整理的 Markdown 日志。也可以从 CSV 表格导入记录。
+      </p>
+      <div className="grid grid-cols-2 gap-2 mb-3">
+        <button onClick={handleExportCsv} className={buttonClass}>导出 CSV</button>
+        <button onClick={handleExportMarkdown} className={buttonClass}>导出日志</button>
+      </div>
+      {isDesktop() ? (
+        <button onClick={handleDesktopCsv} className={buttonClass}>从 CSV 导入</button>
+      ) : (
+        <>
+          <input type="file" id="import-csv" accept=".csv,text/csv" onChange={handleCsvFile} className="hidden" />
+          <label htmlFor="import-csv" className={`${buttonClass} text-center block cursor-pointer`}>
+            从 CSV 导入
+          </label>
+        </>
+      )}
+
+      {csvImport && (
+        <div className="mt-4 p-3 bg-gray-900 rounded-lg space-y-2">
+          <p className="text-sm text-gray-300">
+            共 {csvImport.rows.length} 行数据。请选择每一项对应的列，属性列为空时记为 0，数值范围为 {MIN_GAIN} 到 {MAX_GAIN}。
+          </p>
+          {CSV_BASE_FIELDS.map(({ field, label, required }) => (
+            <label key={field} className="flex items-center gap-2 text-sm text-gray-300">
+              <span className="w-16 flex-shrink-0">{label}{required && ' *'}</span>
+              {columnSelect(csvImport.mapping[field], (column) => setColumn(column, field))}
+            </label>
+          ))}
+          {stats.map(stat => (
+            <label key={stat.key} className="flex items-center gap-2 text-sm">
+              <span className="w-16 flex-shrink-0" style={{ color: stat.color }}>{stat.name}</span>
+              {columnSelect(csvImport.mapping.gains[stat.key] ?? UNMAPPED, (column) => setColumn(column, null, stat.key))}
+            </label>
+          ))}
+          <div className="flex gap-2 pt-2">
+            <button
+              onClick={handleConfirmCsv}
+              disabled={csvImport.mapping.date === UNMAPPED || csvImport.mapping.activity === UNMAPPED}
+              className="flex-grow bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg transition-colors disabled:opacity-50"
+            >
+              导入
+            </button>
+            <button
+              onClick={() => setCsvImport(null)}
+              className="flex-grow bg-gray-700 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-lg transition-colors"
+            >
+              取消
+            </button>
+          </div>
+        </div>
+      )}
+      {mergePlan && (
+        <MergePreview
+          key={mergePlan.conflicts.map(({ id }) => id).join()}
+          plan={mergePlan}
+          onConfirm={handleConfirmMerge}
+          onCancel={() => setMergePlan(null)}
+          statDefinitions={statDefinitions}
+        />
+      )}
+    </div>
+  );
+};
+
+const SYNC_STATUS_LABELS = {
+  idle: '尚未同步',
+  syncing: '同步中...',
+  ok: '已同步',
+  offline: '离线，恢复网络后继续同步',
+  error: '同步失败',
+};
+
+const SyncCard = ({ syncConfig, syncSpace, onSaveSyncConfig, syncStatus, lastSync, rejectedRecords, onSyncNow }) => {
+  const [serverUrl, setServerUrl] = useState(syncConfig.serverUrl);
+  const [token, setToken] = useState(syncConfig.token);
+  const [space, setSpace] = useState(syncSpace);
+  const spaceValid = SYNC_SPACE_PATTERN.test(space.trim());
+  const isDirty = serverUrl.trim() !== syncConfig.serverUrl || token !== syncConfig.token || space.trim() !== syncSpace;
+
+  return (
+    <div className="bg-gray-800 p-4 rounded-lg">
+      <h2 className="text-xl font-semibold text-white mb-2">同步</h2>
+      <p className="text-gray-400 text-sm mb-4">
+        手机和电脑连接同一个自建的同步服务器（npm run sync-server），即可互相同步记录。只同步记录，设置和羁绊对象不会同步。
+        每个档案同步到自己的同步空间，不同档案的记录互不影响；在各设备上给同一个档案填相同的空间名。
+        有同步空间之前就设置过服务器的档案继续使用 default 空间。
+      </p>
+      <label className="flex items-center gap-2 text-gray-300 text-sm mb-3">
+        <input
+          type="checkbox"
+          checked={syncConfig.enabled}
+          onChange={(e) => onSaveSyncConfig({ ...syncConfig, enabled: e.target.checked })}
+        />
+        开启同步
+      </label>
+      <div className="space-y-2">
+        <input
+          type="url"
+          value={serverUrl}
+          onChange={(e) => setServerUrl(e.target.value)}
+          placeholder="服务器地址，例如 http://192.168.1.10:8787"
+          className="w-full p-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-500"
+        />
+        <input
+          type="password"
+          value={token}
+          onChange={(e) => setToken(e.target.value)}
+          placeholder="访问令牌（服务器未设置时留空）"
+          autoComplete="off"
+          className="w-full p-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-500"
+        />
+        <input
+          type="text"
+          value={space}
+          onChange={(e) => setSpace(e.target.value)}
+          placeholder="同步空间，例如 default"
+          autoComplete="off"
+          className="w-full p-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-500"
+        />
+        {!spaceValid && (
+          <p className="text-xs text-red-400">同步空间只能包含小写字母、数字和连字符，最多 64 个字符。</p>
+        )}
+        {isDirty && (
+          <button
+            onClick={() => onSaveSyncConfig({ ...syncConfig, serverUrl: serverUrl.trim(), token, space: space.trim() })}
+            disabled={!spaceValid}
+            className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg transition-colors disabled:opacity-50"
+          >
+            保存服务器设置
+          </button>
+        )}
+      </div>
+      <p className={`text-sm mt-3 ${syncStatus.state === 'error' ? 'text-red-400' : 'text-gray-300'}`}>
+        {SYNC_STATUS_LABELS[syncStatus.state]}{syncStatus.message ? `：${syncStatus.message}` : ''}
+      </p>
+      {lastSync && (
+        <p className="text-xs text-gray-500 mt-1">
+          上次同步：{new Date(lastSync.time).toLocaleString()}，收到 {lastSync.pulled} 条，上传 {lastSync.pushed} 条
+          {lastSync.conflicts > 0 && `，合并了 ${lastSync.conflicts} 条两边都改过的记录`}
+        </p>
+      )}
+      {Object.keys(rejectedRecords).length > 0 && (
+        <div className="text-xs text-yellow-400 mt-1">
+          <p>
+            {Object.keys(rejectedRecords).length} 条收到的记录未通过校验，没有应用（可能来自更新版本的应用或使用了本机没有的属性）。
+            重试 {MAX_REJECT_ATTEMPTS} 次后跳过，不会阻挡其他记录：
+          </p>
+          <ul className="mt-1 max-h-24 overflow-y-auto list-disc list-inside">
+            {Object.entries(rejectedRecords).map(([id, item]) => (
+              <li key={id}>{id}：{item.problem}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+      <button
+        onClick={onSyncNow}
+        disabled={!syncConfig.serverUrl || isDirty || syncStatus.state === 'syncing'}
+        className="mt-3 w-full bg-gray-700 hover:bg-gray-600 text-white font-bold py-3 px-4 rounded-lg transition-colors disabled:opacity-50"
+      >
+        立即同步
+      </button>
+    </div>
+  );
+};
+
+const SettingsScreen = ({
+  entriesRevision, playerStats, onReplaceEntries,
+  aiConfig, setAiConfig, scoringRules, setScoringRules, onRescore,
+  rankPreset, setRankPreset, statDefinitions, setStatDefinitions, confidants, setConfidants,
+  reports, setReports, templates, setTemplates, scoreCache, setScoreCache,
+  autoBackup, setAutoBackup, lastAutoBackup, onBackupNow,
+  syncConfig, syncSpace, onSaveSyncConfig, syncStatus, lastSync, syncRejected, onSyncNow,
+  profileId, profiles, onExportProfiles, onImportProfiles, reminders, setReminders,
+}) => {
+  const stats = activeStats(statDefinitions);
+  const [message, setMessage] = useState(null);
+  const [isTesting, setIsTesting] = useState(false);
+  const [isRescoring, setIsRescoring] = useState(false);
+  // 导入方式：'replace' 覆盖全部数据，'merge' 与本机数据合并
+  const [importMode, setImportMode] = useState('replace');
+  const [mergePlan, setMergePlan] = useState(null);
+  // 导出范围：'profile' 当前档案，'all' 全部档案
+  const [exportScope, setExportScope] = useState('profile');
+  // 加密导出的口令（输入两次）
+  const [encryptExport, setEncryptExport] = useState(false);
+  const [exportPassphrase, setExportPassphrase] = useState('');
+  const [exportPassphraseConfirm, setExportPassphraseConfirm] = useState('');
+  // 选择了加密备份文件后，等待输入口令
+  const [pendingEncrypted, setPendingEncrypted] = useState(null);
+  const [importPassphrase, setImportPassphrase] = useState('');
+  const [isBackingUp, setIsBackingUp] = useState(false);
+  // 导出、合并和模板需要全部记录，只在设置页打开时读取
+  const allEntries = useEntriesInRange(profileId, null, null, entriesRevision);
+
+  const pendingCount = useMemo(
+    () => allEntries.filter(entry => entry.provisional).length,
+    [allEntries]
+  );
+
+  const handleRescore = async () => {
+    setMessage(null);
+    setIsRescoring(true);
+    const count = await onRescore();
+    setIsRescoring(false);
+    setMessage(count > 0
+      ? { type: 'success', text: `已重新评分 ${count} 条记录。` }
+      : { type: 'error', text: '重新评分失败，AI暂时不可用。' });
+  };
+
+  const provider = AI_PROVIDERS[aiConfig.provider] || AI_PROVIDERS.gemini;
+
+  // 切换服务商时换成该服务商的默认模型和地址，但保留已填写的密钥
+  const handleProviderChange = (e) => {
+    setAiConfig({ ...defaultAiConfig(e.target.value), apiKey: aiConfig.apiKey });
+  };
+
+  const updateAiConfig = (field) => (e) => {
+    setAiConfig({ ...aiConfig, [field]: e.target.value });
+  };
+
+  const handleTestAi = async () => {
+    setMessage(null);
+    setIsTesting(true);
+    try {
+      const { gains } = await testAiConnection(aiConfig, stats);
+      const summary = Object.entries(gains)
+        .map(([key, value]) => `${statName(statDefinitions, key)}+${value}`)
+        .join(' ');
+      setMessage({ type: 'success', text: `连接成功！示例评分: ${summary}` });
+    } catch (e) {
+      console.error("AI连接测试失败:", e);
+      setMessage({ type: 'error', text: `连接失败: ${e.message}` });
+    } finally {
+      setIsTesting(false);
+    }
+  };
+
+  const handleExport = async () => {
+    setMessage(null);
+    if (encryptExport && (!exportPassphrase || exportPassphrase !== exportPassphraseConfirm)) {
+      setMessage({ type: 'error', text: exportPassphrase ? '两次输入的口令不一致。' : '请输入加密口令。' });
+      return;
+    }
+    try {
+      const data = exportScope === 'all'
+        ? await onExportProfiles()
+        : buildBackup({ statDefinitions, confidants, reports, allEntries, playerStats });
+      const jsonString = JSON.stringify(data, null, 2);
+      const content = encryptExport ? await encryptBackup(jsonString, exportPassphrase) : jsonString;
+      const baseName = exportScope === 'all' ? 'persona_profiles' : 'persona_data';
+      const fileName = `${baseName}_${toDateStr(new Date())}${encryptExport ? '_encrypted' : ''}.json`;
+
+      const location = await saveExportFile(fileName, content);
+      if (!location) return; // 用户取消了保存对话框
+      
+      setMessage({ type: 'success', text: `数据已成功导出！保存位置: ${location}` });
     } catch (e) {
       console.error("导出失败:", e);
       // 处理可能的权限问题或错误
@@ -551,140 +2104,2165 @@ const SettingsScreen = ({ allEntries, playerStats, setAllEntries, setPlayerStats
       if (e.message.includes("permission")) {
         errorText = '导出失败：需要文件存储权限。';
       }
-      setMessage({ type: 'error', text: errorText });
+      setMessage({ type: 'error', text: errorText });
+    }
+  };
+
+  const showImportError = (e) => {
+    console.error("导入失败:", e);
+    setMessage({
+      type: 'error',
+      text: `导入失败: ${e.message}`,
+      details: e.failures?.map(failure =>
+        `第 ${failure.index + 1} 条${failure.id ? ` (${failure.id})` : ''}: ${failure.problems.join('；')}`
+      ),
+    });
+  };
+
+  // 覆盖导入当前档案：属性、羁绊对象和回顾与本机的合并，记录整体替换
+  const replaceWithImported = (data) => {
+    setStatDefinitions(mergeStatDefinitions(data.statDefinitions, statDefinitions));
+    setConfidants(mergeConfidants(data.confidants || [], confidants));
+    setReports(mergeReports(data.reports || [], reports));
+    onReplaceEntries(data.allEntries, '已导入数据');
+  };
+
+  // 全部档案的备份：同一 id 的档案覆盖记录，其余作为新档案加入，不区分覆盖或合并
+  const importProfilesBundle = async (text) => {
+    try {
+      const items = parseProfilesBundle(text);
+      const overwritten = items.filter(item => profiles.some(profile => profile.id === item.id));
+      const prompt = `文件中有 ${items.length} 个档案：${items.map(item => item.name).join('、')}。`
+        + (overwritten.length > 0 ? `其中 ${overwritten.length} 个会覆盖本机同一档案的记录（可以撤销），` : '')
+        + '其余作为新档案加入。继续吗？';
+      if (!window.confirm(prompt)) return;
+      await onImportProfiles(items);
+      setMessage({ type: 'success', text: `成功导入 ${items.length} 个档案！` });
+    } catch (e) {
+      showImportError(e);
+    }
+  };
+
+  const importText = (text) => {
+    if (isProfilesBundle(text)) {
+      importProfilesBundle(text);
+      return;
+    }
+    try {
+      // 解析、迁移到当前版本并逐条校验，任何一条有问题都不会导入
+      const data = parseBackup(text, statDefinitions.map(stat => stat.key));
+      if (importMode === 'merge') {
+        // 合并时保留本机的属性设置，只补上文件中新增的属性
+        setStatDefinitions(mergeStatDefinitions(statDefinitions, data.statDefinitions));
+        setConfidants(mergeConfidants(confidants, data.confidants || []));
+        setReports(mergeReports(reports, data.reports || []));
+        setMergePlan(planMerge(allEntries, data.allEntries));
+        return;
+      }
+      replaceWithImported(data);
+      // 属性总数由记录推导，文件中的总数仅用于校验
+      const fileStats = data.playerStats || {};
+      const derivedStats = computeStats(data.allEntries, Object.keys(fileStats));
+      const isConsistent = Object.keys(fileStats).every(key => (fileStats[key] || 0) === derivedStats[key]);
+      setMessage(isConsistent
+        ? { type: 'success', text: `成功导入 ${data.allEntries.length} 条记录！` }
+        : { type: 'success', text: `成功导入 ${data.allEntries.length} 条记录！文件中的属性总数与记录不一致，已按记录重新计算。` });
+    } catch (e) {
+      showImportError(e);
+    }
+  };
+
+  // 加密的备份先要求输入口令，解密后再按普通文件导入
+  const importFileText = (text) => {
+    setPendingEncrypted(null);
+    if (isEncryptedBackup(text)) {
+      setPendingEncrypted(text);
+      return;
+    }
+    importText(text);
+  };
+
+  const handleDecryptImport = async () => {
+    setMessage(null);
+    try {
+      const plainText = await decryptBackup(pendingEncrypted, importPassphrase);
+      setPendingEncrypted(null);
+      setImportPassphrase('');
+      importText(plainText);
+    } catch (e) {
+      console.error("解密失败:", e);
+      // 口令错误时可以重新输入，文件损坏或被改动时放弃这个文件
+      if (e.reason !== 'passphrase') setPendingEncrypted(null);
+      setMessage({ type: 'error', text: `导入失败: ${e.message}` });
+    }
+  };
+
+  const handleBackupNow = async () => {
+    setMessage(null);
+    setIsBackingUp(true);
+    try {
+      await onBackupNow();
+      setMessage({ type: 'success', text: '已写入一份加密备份。' });
+    } catch (e) {
+      console.error("备份失败:", e);
+      setMessage({ type: 'error', text: `备份失败: ${e.message}` });
+    } finally {
+      setIsBackingUp(false);
+    }
+  };
+
+  const handleImport = (event) => {
+    setMessage(null);
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => importFileText(e.target.result);
+    reader.onerror = () => {
+      setMessage({ type: 'error', text: '读取文件失败。' });
+    };
+    reader.readAsText(file);
+    
+    // 重置input，以便下次可以导入同名文件
+    event.target.value = null;
+  };
+
+  // 桌面版使用系统的打开文件对话框
+  const handleDesktopImport = async () => {
+    setMessage(null);
+    try {
+      const file = await openImportFile(['json']);
+      if (file) importFileText(file.content);
+    } catch (e) {
+      console.error("读取文件失败:", e);
+      setMessage({ type: 'error', text: '读取文件失败。' });
+    }
+  };
+
+  // 合并后的属性总数会随记录自动重新计算
+  const handleConfirmMerge = (resolutions) => {
+    const merged = applyMerge(allEntries, mergePlan, resolutions);
+    onReplaceEntries(merged, '已合并导入数据');
+    setMessage({ type: 'success', text: `合并完成！现在共有 ${merged.length} 条记录。` });
+    setMergePlan(null);
+  };
+
+  return (
+    <div className="p-6 h-full">
+      <h1 className="text-3xl font-bold text-white mb-6">设置</h1>
+
+      {message && (
+        <div className={`p-3 rounded-lg mb-4 ${
+          message.type === 'success' ? 'bg-green-800 text-green-200' : 'bg-red-800 text-red-200'
+        }`}>
+          {message.text}
+          {message.details && (
+            <ul className="mt-2 max-h-40 overflow-y-auto text-xs text-left list-disc list-inside">
+              {message.details.map((detail, i) => <li key={i}>{detail}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <div className="space-y-6">
+        {/* AI服务 */}
+        <div className="bg-gray-800 p-4 rounded-lg">
+          <h2 className="text-xl font-semibold text-white mb-2">AI 评分服务</h2>
+          <p className="text-gray-400 text-sm mb-4">
+            选择用于计算属性提升的模型。配置仅保存在本设备上。
+          </p>
+          <div className="space-y-3 text-left">
+            <label className="block text-sm text-gray-300">
+              服务商
+              <select
+                value={aiConfig.provider}
+                onChange={handleProviderChange}
+                className="mt-1 w-full p-2 bg-gray-700 border border-gray-600 rounded-lg text-white"
+              >
+                {Object.entries(AI_PROVIDERS).map(([key, item]) => (
+                  <option key={key} value={key}>{item.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block text-sm text-gray-300">
+              模型
+              <input
+                type="text"
+                value={aiConfig.model}
+                onChange={updateAiConfig('model')}
+                placeholder={provider.defaultModel}
+                className="mt-1 w-full p-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-500"
+              />
+            </label>
+            <label className="block text-sm text-gray-300">
+              接口地址
+              <input
+                type="text"
+                value={aiConfig.baseUrl}
+                onChange={updateAiConfig('baseUrl')}
+                placeholder={provider.defaultBaseUrl}
+                className="mt-1 w-full p-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-500"
+              />
+            </label>
+            <label className="block text-sm text-gray-300">
+              API 密钥{!provider.needsKey && '（可选）'}
+              <input
+                type="password"
+                value={aiConfig.apiKey}
+                onChange={updateAiConfig('apiKey')}
+                autoComplete="off"
+                className="mt-1 w-full p-2 bg-gray-700 border border-gray-600 rounded-lg text-white"
+              />
+            </label>
+          </div>
+          <button
+            onClick={handleTestAi}
+            disabled={isTesting}
+            className="mt-4 w-full bg-gray-700 hover:bg-gray-600 text-white font-bold py-3 px-4 rounded-lg transition-colors disabled:opacity-50"
+          >
+            {isTesting ? "测试中..." : "测试连接"}
+          </button>
+          {pendingCount > 0 && (
+            <div className="mt-4 p-3 bg-yellow-900 rounded-lg text-sm text-yellow-200">
+              <p className="mb-2">有 {pendingCount} 条记录使用了离线临时评分，AI恢复后会自动重新评分。</p>
+              <button
+                onClick={handleRescore}
+                disabled={isRescoring}
+                className="w-full bg-yellow-700 hover:bg-yellow-600 text-white font-bold py-2 px-4 rounded-lg transition-colors disabled:opacity-50"
+              >
+                {isRescoring ? "评分中..." : "立即重新评分"}
+              </button>
+            </div>
+          )}
+          <div className="mt-4 flex justify-between items-center text-sm text-gray-400">
+            <span>评分缓存：{Object.keys(scoreCache).length} / {MAX_SCORE_CACHE_ENTRIES} 条</span>
+            <button
+              onClick={() => setScoreCache({})}
+              disabled={Object.keys(scoreCache).length === 0}
+              className="text-blue-400 hover:text-blue-300 disabled:text-gray-600"
+            >
+              清空缓存
+            </button>
+          </div>
+        </div>
+
+        <StatEditorCard statDefinitions={statDefinitions} setStatDefinitions={setStatDefinitions} />
+
+        <ScoringRulesCard scoringRules={scoringRules} setScoringRules={setScoringRules} stats={stats} />
+
+        <TemplatesCard templates={templates} setTemplates={setTemplates} stats={stats} allEntries={allEntries} />
+
+        <ReminderCard reminders={reminders} setReminders={setReminders} onMessage={setMessage} />
+
+        {/* 等级表 */}
+        <div className="bg-gray-800 p-4 rounded-lg">
+          <h2 className="text-xl font-semibold text-white mb-2">等级表</h2>
+          <p className="text-gray-400 text-sm mb-4">
+            选择属性的等级名称和升级门槛。自定义的属性使用通用的等级名称。
+          </p>
+          <select
+            value={rankPreset}
+            onChange={(e) => setRankPreset(e.target.value)}
+            className="w-full p-2 bg-gray-700 border border-gray-600 rounded-lg text-white"
+          >
+            {Object.entries(RANK_PRESETS).map(([key, preset]) => (
+              <option key={key} value={key}>{preset.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {/* 导出 */}
+        <div className="bg-gray-800 p-4 rounded-lg">
+          <h2 className="text-xl font-semibold text-white mb-2">导出数据</h2>
+          <p className="text-gray-400 text-sm mb-4">
+            将您的所有记录和属性设置保存为 JSON 文件。文件中包含日记和感受，保存在共享目录时建议加密。
+          </p>
+          {profiles.length > 1 && (
+            <div className="flex gap-2 mb-3">
+              {[['profile', '当前档案'], ['all', `全部档案（${profiles.length} 个）`]].map(([scope, label]) => (
+                <button
+                  key={scope}
+                  onClick={() => setExportScope(scope)}
+                  className={`flex-grow py-2 rounded-lg text-sm ${
+                    exportScope === scope ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+          <label className="flex items-center gap-2 text-gray-300 text-sm mb-3">
+            <input type="checkbox" checked={encryptExport} onChange={(e) => setEncryptExport(e.target.checked)} />
+            使用口令加密
+          </label>
+          {encryptExport && (
+            <div className="space-y-2 mb-3">
+              <input
+                type="password"
+                value={exportPassphrase}
+                onChange={(e) => setExportPassphrase(e.target.value)}
+                placeholder="口令"
+                autoComplete="new-password"
+                className="w-full p-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-500"
+              />
+              <input
+                type="password"
+                value={exportPassphraseConfirm}
+                onChange={(e) => setExportPassphraseConfirm(e.target.value)}
+                placeholder="再输入一次口令"
+                autoComplete="new-password"
+                className="w-full p-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-500"
+              />
+              <p className="text-xs text-yellow-300">忘记口令将无法恢复加密的备份。</p>
+            </div>
+          )}
+          <button
+            onClick={handleExport}
+            className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-4 rounded-lg transition-colors"
+          >
+            导出
+          </button>
+        </div>
+
+        {/* 导入 */}
+        <div className="bg-gray-800 p-4 rounded-lg">
+          <h2 className="text-xl font-semibold text-white mb-2">导入数据</h2>
+          <div className="flex gap-2 mb-3">
+            {[['replace', '覆盖'], ['merge', '合并']].map(([mode, label]) => (
+              <button
+                key={mode}
+                onClick={() => { setImportMode(mode); setMergePlan(null); }}
+                className={`flex-grow py-2 rounded-lg text-sm ${
+                  importMode === mode ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <p className="text-gray-400 text-sm mb-4">
+            {importMode === 'replace'
+              ? '从 JSON 文件恢复您的数据。注意：这将覆盖当前所有数据！'
+              : '把 JSON 文件中的记录与本机记录按 id 合并，合并前可以预览并处理有差异的记录。'}
+            全部档案的备份会覆盖同一档案的记录，其余档案作为新档案加入。
+          </p>
+          {isDesktop() ? (
+            <button
+              onClick={handleDesktopImport}
+              className="w-full bg-gray-700 hover:bg-gray-600 text-white font-bold py-3 px-4 rounded-lg transition-colors"
+            >
+              选择文件并导入
+            </button>
+          ) : (
+            <>
+              <input
+                type="file"
+                id="import-file"
+                accept=".json"
+                onChange={handleImport}
+                className="hidden"
+              />
+              <label
+                htmlFor="import-file"
+                className="w-full text-center block cursor-pointer bg-gray-700 hover:bg-gray-600 text-white font-bold py-3 px-4 rounded-lg transition-colors"
+              >
+                选择文件并导入
+              </label>
+            </>
+          )}
+          {pendingEncrypted && (
+            <div className="mt-4 p-3 bg-gray-700 rounded-lg space-y-2">
+              <p className="text-sm text-gray-300">这是一个加密的备份，请输入导出时设置的口令。</p>
+              <input
+                type="password"
+                value={importPassphrase}
+                onChange={(e) => setImportPassphrase(e.target.value)}
+                placeholder="口令"
+                autoComplete="current-password"
+                className="w-full p-2 bg-gray-800 border border-gray-600 rounded-lg text-white placeholder-gray-500"
+              />
+              <div className="flex gap-2">
+                <button
+                  onClick={handleDecryptImport}
+                  disabled={!importPassphrase}
+                  className="flex-grow bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 rounded-lg disabled:opacity-50"
+                >
+                  解密并导入
+                </button>
+                <button
+                  onClick={() => { setPendingEncrypted(null); setImportPassphrase(''); }}
+                  className="flex-grow bg-gray-600 hover:bg-gray-500 text-white py-2 rounded-lg"
+                >
+                  取消
+                </button>
+              </div>
+            </div>
+          )}
+          {mergePlan && (
+            <MergePreview
+              key={mergePlan.conflicts.map(({ id }) => id).join()}
+              plan={mergePlan}
+              onConfirm={handleConfirmMerge}
+              onCancel={() => setMergePlan(null)}
+              statDefinitions={statDefinitions}
+            />
+          )}
+        </div>
+
+        <SpreadsheetCard
+          allEntries={allEntries}
+          statDefinitions={statDefinitions}
+          profileName={profiles.find(profile => profile.id === profileId)?.name || ''}
+          onImportEntries={(entries) => onReplaceEntries(entries, '已导入 CSV')}
+          onMessage={setMessage}
+        />
+
+        {/* 自动备份 */}
+        <div className="bg-gray-800 p-4 rounded-lg">
+          <h2 className="text-xl font-semibold text-white mb-2">自动备份</h2>
+          <p className="text-gray-400 text-sm mb-4">
+            记录有变化后自动写入一份加密备份到{isDesktop() ? '应用数据目录' : '“文档/persona_backups”'}，只保留最近几份。
+          </p>
+          <label className="flex items-center gap-2 text-gray-300 text-sm mb-3">
+            <input
+              type="checkbox"
+              checked={autoBackup.enabled}
+              onChange={(e) => setAutoBackup({ ...autoBackup, enabled: e.target.checked })}
+            />
+            开启自动备份
+          </label>
+          <div className="space-y-2">
+            <input
+              type="password"
+              value={autoBackup.passphrase}
+              onChange={(e) => setAutoBackup({ ...autoBackup, passphrase: e.target.value })}
+              placeholder="备份口令"
+              autoComplete="new-password"
+              className="w-full p-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-500"
+            />
+            <label className="flex items-center gap-2 text-gray-300 text-sm">
+              保留最近
+              <input
+                type="number"
+                min={1}
+                max={30}
+                value={autoBackup.keep}
+                onChange={(e) => setAutoBackup({ ...autoBackup, keep: Math.min(30, Math.max(1, Number(e.target.value) || 1)) })}
+                className="w-16 p-2 bg-gray-700 border border-gray-600 rounded-lg text-white"
+              />
+              份
+            </label>
+          </div>
+          <p className="text-xs text-gray-500 mt-2">
+            {lastAutoBackup ? `上次备份：${new Date(lastAutoBackup).toLocaleString()}` : '还没有自动备份。'}
+          </p>
+          <button
+            onClick={handleBackupNow}
+            disabled={!autoBackup.passphrase || isBackingUp}
+            className="mt-3 w-full bg-gray-700 hover:bg-gray-600 text-white font-bold py-3 px-4 rounded-lg transition-colors disabled:opacity-50"
+          >
+            {isBackingUp ? '备份中...' : '立即备份'}
+          </button>
+        </div>
+
+        <SyncCard
+          syncConfig={syncConfig}
+          syncSpace={syncSpace}
+          onSaveSyncConfig={onSaveSyncConfig}
+          syncStatus={syncStatus}
+          lastSync={lastSync}
+          rejectedRecords={syncRejected}
+          onSyncNow={onSyncNow}
+        />
+      </div>
+    </div>
+  );
+};
+
+// --- 3.8 屏幕组件：等级提升 ---
+
+const RankUpScreen = ({ rankUps, confidantRankUps, newAchievements, onContinue, statDefinitions, confidants }) => (
+  <div className="p-6 h-full flex flex-col items-center justify-center bg-gradient-to-b from-blue-900 to-gray-900">
+    <h1
+      className="text-5xl font-black italic text-yellow-300 mb-8 tracking-widest"
+      style={{ textShadow: '3px 3px 0 #000' }}
+    >
+      RANK UP!
+    </h1>
+    <ul className="w-full space-y-4 mb-10">
+      {rankUps.map(item => (
+        <li key={item.stat} className="bg-gray-800 border-l-4 border-yellow-400 p-4 rounded-lg">
+          <p className="text-gray-400 text-sm">{statName(statDefinitions, item.stat)} 提升到了</p>
+          <p className="text-2xl font-bold text-white">
+            Rank {item.rank}「{item.title}」
+          </p>
+        </li>
+      ))}
+      {confidantRankUps.map(item => {
+        const confidant = confidants.find(({ id }) => id === item.confidantId);
+        return (
+          <li key={item.confidantId} className="bg-gray-800 border-l-4 border-purple-400 p-4 rounded-lg">
+            <p className="text-gray-400 text-sm">与「{confidant?.name}」（{confidant?.arcana}）的羁绊加深了</p>
+            <p className="text-2xl font-bold text-white">Rank {item.rank}</p>
+            <p className="text-gray-500 text-xs mt-1">可以在羁绊页面写下这一刻的笔记。</p>
+          </li>
+        );
+      })}
+      {newAchievements.map(achievement => (
+        <li key={achievement.id} className="bg-gray-800 border-l-4 border-orange-400 p-4 rounded-lg">
+          <p className="text-gray-400 text-sm">获得徽章</p>
+          <p className="text-2xl font-bold text-white">「{achievement.title}」</p>
+          <p className="text-gray-500 text-xs mt-1">{achievement.description}</p>
+        </li>
+      ))}
+    </ul>
+    <button
+      onClick={onContinue}
+      className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-4 rounded-lg text-lg"
+    >
+      继续
+    </button>
+  </div>
+);
+
+// --- 3.9 屏幕组件：羁绊 ---
+
+const ConfidantsScreen = ({ confidants, setConfidants, confidantLinks, onOpen }) => {
+  const [name, setName] = useState('');
+  const [arcana, setArcana] = useState(ARCANA[0]);
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    setConfidants([...confidants, createConfidant(name, arcana)]);
+    setName('');
+  };
+
+  return (
+    <div className="p-6 h-full overflow-y-auto">
+      <h1 className="text-3xl font-bold text-white mb-6">羁绊</h1>
+      {confidants.length === 0 && (
+        <p className="text-gray-500 mb-6">还没有登记任何人。记录事项时标记一起的人，羁绊就会加深。</p>
+      )}
+      <ul className="space-y-3 mb-6">
+        {confidants.map(confidant => {
+          const { rank, progress, nextThreshold } = getConfidantRank(confidantLinks[confidant.id] || 0);
+          return (
+            <li key={confidant.id}>
+              <button
+                onClick={() => onOpen(confidant.id)}
+                className="w-full text-left bg-gray-800 hover:bg-gray-700 p-4 rounded-lg"
+              >
+                <div className="flex justify-between items-baseline mb-2">
+                  <span className="text-lg font-semibold text-white">{confidant.name}</span>
+                  <span className="text-sm text-purple-300">{confidant.arcana} · Rank {rank}</span>
+                </div>
+                <div className="w-full bg-gray-900 rounded-full h-2 overflow-hidden">
+                  <div
+                    className="h-2 bg-purple-500 rounded-full"
+                    style={{ width: `${nextThreshold !== null ? progress : 100}%` }}
+                  />
+                </div>
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+      <form onSubmit={handleAdd} className="bg-gray-800 p-4 rounded-lg space-y-3">
+        <h2 className="text-xl font-semibold text-white">登记新的羁绊</h2>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="名字或称呼"
+          className="w-full p-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-500"
+        />
+        <select
+          value={arcana}
+          onChange={(e) => setArcana(e.target.value)}
+          className="w-full p-2 bg-gray-700 border border-gray-600 rounded-lg text-white"
+        >
+          {ARCANA.map(item => <option key={item} value={item}>{item}</option>)}
+        </select>
+        <button
+          type="submit"
+          className="w-full bg-purple-600 hover:bg-purple-700 text-white font-bold py-3 rounded-lg"
+        >
+          登记
+        </button>
+      </form>
+    </div>
+  );
+};
+
+const ConfidantDetailScreen = ({ profileId, confidant, linkCount, entriesRevision, onUpdate, onDelete, onBack }) => {
+  const linkedEntries = useEntriesByConfidant(profileId, confidant.id, entriesRevision);
+  const timeline = useMemo(
+    () => [...linkedEntries].sort((a, b) => b.date.localeCompare(a.date)),
+    [linkedEntries]
+  );
+  const { rank, nextThreshold, progress } = getConfidantRank(linkCount);
+
+  const handleDelete = () => {
+    if (window.confirm(`确定要删除「${confidant.name}」吗？相关记录会保留，但不再关联这个人。`)) {
+      onDelete(confidant.id);
+    }
+  };
+
+  return (
+    <div className="p-6 h-full overflow-y-auto">
+      <div className="flex items-center mb-6">
+        <button onClick={onBack} className="text-blue-400 mr-4">&lt; 返回</button>
+        <h1 className="text-2xl font-bold text-white">{confidant.name}</h1>
+      </div>
+
+      <div className="bg-gray-800 p-4 rounded-lg mb-5 space-y-3">
+        <div className="flex justify-between items-baseline">
+          <span className="text-purple-300">{confidant.arcana}</span>
+          <span className="text-white">
+            <span className="text-2xl font-bold">Rank {rank}</span>
+            <span className="text-gray-400 ml-2">
+              ({linkCount}{nextThreshold !== null ? ` / ${nextThreshold}` : ''})
+            </span>
+          </span>
+        </div>
+        <div className="w-full bg-gray-900 rounded-full h-3 overflow-hidden">
+          <div className="h-3 bg-purple-500 rounded-full" style={{ width: `${nextThreshold !== null ? progress : 100}%` }} />
+        </div>
+        <input
+          type="text"
+          defaultValue={confidant.name}
+          onBlur={(e) => onUpdate(confidant.id, { name: e.target.value.trim() || confidant.name })}
+          className="w-full p-2 bg-gray-700 border border-gray-600 rounded-lg text-white"
+        />
+        <select
+          value={confidant.arcana}
+          onChange={(e) => onUpdate(confidant.id, { arcana: e.target.value })}
+          className="w-full p-2 bg-gray-700 border border-gray-600 rounded-lg text-white"
+        >
+          {ARCANA.map(item => <option key={item} value={item}>{item}</option>)}
+        </select>
+      </div>
+
+      <h2 className="text-xl font-semibold text-white mb-3">升级笔记</h2>
+      <ul className="space-y-2 mb-6">
+        {Array.from({ length: rank }, (_, i) => i + 1).map(level => (
+          <li key={level} className="bg-gray-800 p-3 rounded-lg">
+            <p className="text-sm text-purple-300 mb-1">Rank {level}</p>
+            <textarea
+              defaultValue={confidant.notes?.[level] || ''}
+              onBlur={(e) => onUpdate(confidant.id, { notes: { ...confidant.notes, [level]: e.target.value.trim() } })}
+              placeholder="这一阶段发生了什么？"
+              className="w-full p-2 bg-gray-700 border border-gray-600 rounded-lg text-white text-sm placeholder-gray-500"
+            />
+          </li>
+        ))}
+      </ul>
+
+      <h2 className="text-xl font-semibold text-white mb-3">共同的记录</h2>
+      {timeline.length > 0 ? (
+        <ol className="border-l-2 border-purple-700 ml-2 space-y-4 mb-6">
+          {timeline.map(entry => (
+            <li key={entry.id} className="pl-4">
+              <p className="text-xs text-gray-500">{entry.date}</p>
+              <p className="text-white font-semibold">{entry.activity}</p>
+              <p className="text-gray-400 text-sm">{entry.feeling}</p>
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <p className="text-gray-500 mb-6">还没有关联的记录。</p>
+      )}
+
+      <button onClick={handleDelete} className="w-full text-red-400 hover:text-red-300 py-2">
+        删除这个羁绊
+      </button>
+    </div>
+  );
+};
+
+// --- 3.10 屏幕组件：目标 ---
+
+const GoalsScreen = ({ goals, setGoals, goalProgress, stats, statDefinitions, rankPreset, onBack }) => {
+  const today = toDateStr(new Date());
+  const [type, setType] = useState('rank');
+  const [stat, setStat] = useState(stats[0].key);
+  const [targetRank, setTargetRank] = useState(2);
+  const [count, setCount] = useState(3);
+  const [deadline, setDeadline] = useState('');
+  const [error, setError] = useState(null);
+
+  const activeGoals = goals.filter(goal => !goal.result);
+  const archivedGoals = goals.filter(goal => goal.result).reverse();
+  const rankTable = getRankTable(rankPreset, stat);
+  // 换了属性或等级表后，选中的等级可能超出新表，按新表的最高等级显示和保存
+  const selectedRank = clampTargetRank(targetRank, rankTable);
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (type === 'rank' && !deadline) {
+      setError('请选择截止日期。');
+      return;
+    }
+    if (deadline && deadline < today) {
+      setError('截止日期不能早于今天。');
+      return;
+    }
+    setError(null);
+    const fields = type === 'rank'
+      ? { type, stat, targetRank: selectedRank, deadline }
+      : { type, stat, count: Math.max(1, Number(count) || 1), deadline: deadline || null };
+    setGoals([...goals, createGoal(fields, today, rankPreset)]);
+    setDeadline('');
+  };
+
+  // 没有截止日期的每周目标需要手动结束
+  const endGoal = (id) => {
+    setGoals(goals.map(goal => goal.id === id ? { ...goal, result: { status: 'ended', date: today } } : goal));
+  };
+
+  const removeGoal = (id) => {
+    setGoals(goals.filter(goal => goal.id !== id));
+  };
+
+  const inputClass = 'w-full p-2 bg-gray-700 border border-gray-600 rounded-lg text-white';
+
+  return (
+    <div className="p-6 h-full overflow-y-auto">
+      <div className="flex items-center mb-6">
+        <button onClick={onBack} className="text-blue-400 mr-4">&lt; 返回</button>
+        <h1 className="text-2xl font-bold text-white">目标</h1>
+      </div>
+
+      <form onSubmit={handleAdd} className="bg-gray-800 p-4 rounded-lg space-y-3 mb-6">
+        <h2 className="text-xl font-semibold text-white">新目标</h2>
+        {error && <p className="text-red-400 text-sm">{error}</p>}
+        <div className="flex gap-2">
+          {Object.entries(GOAL_TYPES).map(([key, label]) => (
+            <button
+              key={key}
+              type="button"
+              onClick={() => setType(key)}
+              className={`flex-grow py-2 rounded-lg text-sm ${type === key ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <select value={stat} onChange={(e) => setStat(e.target.value)} className={inputClass}>
+          {stats.map(({ key, name }) => <option key={key} value={key}>{name}</option>)}
+        </select>
+        {type === 'rank' ? (
+          <select value={selectedRank} onChange={(e) => setTargetRank(Number(e.target.value))} className={inputClass}>
+            {rankTable.slice(1).map((item, i) => (
+              <option key={item.threshold} value={i + 2}>Rank {i + 2}「{item.title}」（{item.threshold} 点）</option>
+            ))}
+          </select>
+        ) : (
+          <label className="flex items-center gap-2 text-gray-300">
+            每周
+            <input
+              type="number"
+              min={1}
+              value={count}
+              onChange={(e) => setCount(e.target.value)}
+              className="w-20 p-2 bg-gray-700 border border-gray-600 rounded-lg text-white"
+            />
+            次
+          </label>
+        )}
+        <label className="block text-sm text-gray-300">
+          截止日期{type === 'weekly' && '（可选）'}
+          <input type="date" value={deadline} min={today} onChange={(e) => setDeadline(e.target.value)} className={`mt-1 ${inputClass}`} />
+        </label>
+        <button type="submit" className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 rounded-lg">
+          添加目标
+        </button>
+      </form>
+
+      <h2 className="text-xl font-semibold text-white mb-3">进行中</h2>
+      {activeGoals.length > 0 ? (
+        <ul className="space-y-2 mb-6">
+          {activeGoals.map(goal => {
+            const status = GOAL_STATUS_LABELS[goalProgress[goal.id].status];
+            return (
+              <li key={goal.id} className="bg-gray-800 p-3 rounded-lg">
+                <div className="flex justify-between items-center">
+                  <span className="text-white text-sm">{describeGoal(goal, statDefinitions, rankPreset)}</span>
+                  <span className={`flex-shrink-0 ml-2 text-xs px-2 py-0.5 rounded-full ${status.className}`}>{status.text}</span>
+                </div>
+                <div className="flex justify-end gap-4 mt-2 text-sm">
+                  {goal.type === 'weekly' && !goal.deadline && (
+                    <button onClick={() => endGoal(goal.id)} className="text-blue-400 hover:text-blue-300">结束</button>
+                  )}
+                  <button onClick={() => removeGoal(goal.id)} className="text-red-400 hover:text-red-300">删除</button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      ) : (
+        <p className="text-gray-500 mb-6">没有进行中的目标。</p>
+      )}
+
+      {archivedGoals.length > 0 && (
+        <>
+          <h2 className="text-xl font-semibold text-white mb-3">归档</h2>
+          <ul className="space-y-2">
+            {archivedGoals.map(goal => {
+              const status = GOAL_STATUS_LABELS[goal.result.status];
+              return (
+                <li key={goal.id} className="flex justify-between items-center bg-gray-800 px-4 py-2 rounded-lg text-sm">
+                  <span className="text-gray-300">{describeGoal(goal, statDefinitions, rankPreset)}</span>
+                  <span className="flex-shrink-0 ml-2 text-right">
+                    <span className={`text-xs px-2 py-0.5 rounded-full ${status.className}`}>{status.text}</span>
+                    <span className="block text-xs text-gray-500 mt-1">{goal.result.date}</span>
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+// --- 3.11 屏幕组件：徽章 ---
+
+const TrophyScreen = ({ achievements, achievementState, onBack }) => {
+  const { unlocked, dailyStreak, bestDailyStreak, freezes, weeklyStreak, bestWeeklyStreak } = achievementState;
+
+  return (
+    <div className="p-6 h-full overflow-y-auto">
+      <div className="flex items-center mb-6">
+        <button onClick={onBack} className="text-blue-400 mr-4">&lt; 返回</button>
+        <h1 className="text-2xl font-bold text-white">徽章</h1>
+      </div>
+
+      <div className="bg-gray-800 p-4 rounded-lg mb-6 text-sm text-gray-300 space-y-1">
+        <p>连续记录 <span className="text-white font-bold">{dailyStreak}</span> 天（最长 {bestDailyStreak} 天）</p>
+        <p>连续 <span className="text-white font-bold">{weeklyStreak}</span> 周达标（最长 {bestWeeklyStreak} 周）</p>
+        <p>剩余保护 <span className="text-white font-bold">{freezes}</span> 次</p>
+        <p className="text-gray-500 text-xs pt-2">
+          每连续记录 {FREEZE_EARN_DAYS} 天获得一次保护，最多保留 {MAX_STREAK_FREEZES} 次；
+          漏记的天数不超过剩余保护时自动使用，连续天数不会中断。
+          一周中至少 {WEEKLY_STREAK_MIN_DAYS} 天有记录即为这一周达标。
+        </p>
+      </div>
+
+      <ul className="grid grid-cols-2 gap-3">
+        {achievements.map(achievement => {
+          const date = unlocked[achievement.id];
+          return (
+            <li
+              key={achievement.id}
+              className={`p-3 rounded-lg ${date ? 'bg-gray-800 border border-yellow-500' : 'bg-gray-800 opacity-40'}`}
+            >
+              <p className={`font-bold ${date ? 'text-yellow-300' : 'text-gray-400'}`}>{achievement.title}</p>
+              <p className="text-xs text-gray-400 mt-1">{achievement.description}</p>
+              {date && <p className="text-xs text-gray-500 mt-1">{date} 解锁</p>}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+// --- 3.12 屏幕组件：搜索 ---
+
+const SearchScreen = ({ profileId, entriesRevision, stats, statDefinitions, confidants, onOpenDay, onBack }) => {
+  const allEntries = useEntriesInRange(profileId, null, null, entriesRevision);
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState({ start: '', end: '', stat: '', minGain: 1, confidantId: '', source: 'all' });
+  const [sort, setSort] = useState('relevance');
+  const [visibleCount, setVisibleCount] = useState(SEARCH_PAGE_SIZE);
+
+  // 文本预处理只在记录变化时做一次；输入时先更新输入框，再在空闲时计算结果
+  const index = useMemo(() => buildSearchIndex(allEntries), [allEntries]);
+  const deferredQuery = useDeferredValue(query);
+  const deferredFilters = useDeferredValue(filters);
+  const results = useMemo(
+    () => searchEntries(index, deferredQuery, deferredFilters, sort),
+    [index, deferredQuery, deferredFilters, sort]
+  );
+
+  const updateFilter = (field) => (e) => {
+    setFilters({ ...filters, [field]: e.target.value });
+    setVisibleCount(SEARCH_PAGE_SIZE);
+  };
+
+  const inputClass = 'p-2 bg-gray-700 border border-gray-600 rounded-lg text-white text-sm';
+
+  return (
+    <div className="p-6 h-full overflow-y-auto">
+      <div className="flex items-center mb-4">
+        <button onClick={onBack} className="text-blue-400 mr-4">&lt; 返回</button>
+        <h1 className="text-2xl font-bold text-white">搜索</h1>
+      </div>
+
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => { setQuery(e.target.value); setVisibleCount(SEARCH_PAGE_SIZE); }}
+        placeholder="搜索事项或感受，多个词用空格分隔"
+        className="w-full p-3 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 mb-3"
+      />
+
+      <div className="bg-gray-800 p-3 rounded-lg space-y-2 mb-4">
+        <div className="flex items-center gap-2 text-sm text-gray-300">
+          <input type="date" value={filters.start} onChange={updateFilter('start')} className={`flex-grow ${inputClass}`} />
+          至
+          <input type="date" value={filters.end} onChange={updateFilter('end')} className={`flex-grow ${inputClass}`} />
+        </div>
+        <div className="flex items-center gap-2 text-sm text-gray-300">
+          <select value={filters.stat} onChange={updateFilter('stat')} className={`flex-grow ${inputClass}`}>
+            <option value="">任意属性</option>
+            {stats.map(({ key, name }) => <option key={key} value={key}>{name}</option>)}
+          </select>
+          ≥
+          <input
+            type="number"
+            min={1}
+            max={MAX_GAIN}
+            value={filters.minGain}
+            onChange={updateFilter('minGain')}
+            disabled={!filters.stat}
+            className={`w-16 ${inputClass} disabled:opacity-50`}
+          />
+        </div>
+        {confidants.length > 0 && (
+          <select value={filters.confidantId} onChange={updateFilter('confidantId')} className={`w-full ${inputClass}`}>
+            <option value="">任何人</option>
+            {confidants.map(confidant => <option key={confidant.id} value={confidant.id}>{confidant.name}</option>)}
+          </select>
+        )}
+        <div className="flex gap-2">
+          {Object.entries(SEARCH_SOURCES).map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => { setFilters({ ...filters, source: key }); setVisibleCount(SEARCH_PAGE_SIZE); }}
+              className={`flex-grow py-1 rounded-lg text-sm ${filters.source === key ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex justify-between items-center mb-3 text-sm">
+        <span className="text-gray-400">共 {results.length} 条</span>
+        <select value={sort} onChange={(e) => setSort(e.target.value)} className={inputClass}>
+          <option value="relevance">按相关度</option>
+          <option value="date">按日期</option>
+        </select>
+      </div>
+
+      <ul className="space-y-2">
+        {results.slice(0, visibleCount).map(({ entry }) => (
+          <li key={entry.id}>
+            <button
+              onClick={() => onOpenDay(entry.date)}
+              className="w-full text-left bg-gray-800 hover:bg-gray-700 p-3 rounded-lg"
+            >
+              <p className="text-xs text-gray-500">
+                {entry.date}{entry.timeSlot && ` · ${timeSlotLabel(entry.timeSlot)}`}
+                {entry.provisional && ' · 临时评分'}
+              </p>
+              <p className="text-white font-semibold">{entry.activity}</p>
+              <p className="text-gray-400 text-sm truncate">{entry.feeling}</p>
+              <p className="text-xs text-blue-300 mt-1">
+                {Object.keys(entry.gains || {}).filter(key => entry.gains[key] > 0)
+                  .map(key => `${statName(statDefinitions, key)}+${entry.gains[key]}`).join(' ')}
+              </p>
+            </button>
+          </li>
+        ))}
+      </ul>
+      {results.length > visibleCount && (
+        <button
+          onClick={() => setVisibleCount(visibleCount + SEARCH_PAGE_SIZE)}
+          className="w-full mt-3 bg-gray-700 hover:bg-gray-600 text-white py-2 rounded-lg"
+        >
+          显示更多
+        </button>
+      )}
+    </div>
+  );
+};
+
+// --- 3.13 屏幕组件：回顾 ---
+
+const ReportDetail = ({ report, statDefinitions }) => (
+  <div className="space-y-4 text-sm">
+    <p className="text-gray-200">{report.summary}</p>
+    <div className="grid grid-cols-2 gap-2">
+      <div className="bg-gray-700 p-3 rounded-lg">
+        <p className="text-xs text-gray-400">成长最多</p>
+        <p className="text-white font-bold">{statName(statDefinitions, report.mostGrown)} +{report.totals[report.mostGrown] || 0}</p>
+        <p className="text-gray-300 text-xs mt-1">{report.growthComment}</p>
+      </div>
+      <div className="bg-gray-700 p-3 rounded-lg">
+        <p className="text-xs text-gray-400">被忽视的</p>
+        <p className="text-white font-bold">{statName(statDefinitions, report.neglected)} +{report.totals[report.neglected] || 0}</p>
+        <p className="text-gray-300 text-xs mt-1">{report.neglectComment}</p>
+      </div>
+    </div>
+    {report.highlights.length > 0 && (
+      <div>
+        <h3 className="text-white font-semibold mb-1">亮点</h3>
+        <ul className="list-disc list-inside text-gray-300 space-y-1">
+          {report.highlights.map((item, i) => <li key={i}>{item}</li>)}
+        </ul>
+      </div>
+    )}
+    {report.suggestions.length > 0 && (
+      <div>
+        <h3 className="text-white font-semibold mb-1">建议</h3>
+        <ul className="list-disc list-inside text-gray-300 space-y-1">
+          {report.suggestions.map((item, i) => <li key={i}>{item}</li>)}
+        </ul>
+      </div>
+    )}
+    <p className="text-xs text-gray-500">共 {report.entryCount} 条记录 · 生成于 {toDateStr(new Date(report.createdAt))}</p>
+  </div>
+);
+
+const ReportsScreen = ({ profileId, reports, setReports, stats, statDefinitions, aiConfig, initialReportId, onBack }) => {
+  const [openId, setOpenId] = useState(initialReportId);
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [error, setError] = useState(null);
+
+  const today = toDateStr(new Date());
+  // 可以生成的周期：本周、上周、本月、上月
+  const choices = [
+    { period: 'week', date: today, label: '本周' },
+    { period: 'week', date: addDays(today, -7), label: '上周' },
+    { period: 'month', date: today, label: '本月' },
+    { period: 'month', date: addDays(getPeriodBounds('month', today).start, -1), label: '上月' },
+  ];
+
+  const handleGenerate = async ({ period, date }) => {
+    setError(null);
+    setIsGenerating(true);
+    try {
+      const { start, end } = getPeriodBounds(period, date);
+      const entries = await loadEntriesByDateRange(profileId, start, end);
+      const report = await generateReport(period, date, entries, stats, aiConfig);
+      setReports(prev => upsertReport(prev, report));
+      setOpenId(report.id);
+    } catch (e) {
+      console.error("生成回顾失败:", e);
+      setError(e.message || '生成回顾失败，请稍后重试。');
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  const handleDelete = (id) => {
+    if (!window.confirm('确定要删除这份回顾吗？')) return;
+    setReports(prev => prev.filter(report => report.id !== id));
+  };
+
+  return (
+    <div className="p-6 h-full overflow-y-auto">
+      <div className="flex items-center mb-6">
+        <button onClick={onBack} className="text-blue-400 mr-4">&lt; 返回</button>
+        <h1 className="text-2xl font-bold text-white">回顾</h1>
+      </div>
+
+      {isGenerating && (
+        <div className="fixed inset-0 bg-black bg-opacity-75 flex flex-col items-center justify-center z-50">
+          <div className="animate-spin rounded-full h-16 w-16 border-t-4 border-blue-500"></div>
+          <p className="text-white text-lg mt-4">AI正在撰写回顾...</p>
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-800 border border-red-600 text-red-200 p-3 rounded-lg mb-4">{error}</div>
+      )}
+
+      <div className="grid grid-cols-2 gap-2 mb-6">
+        {choices.map(choice => (
+          <button
+            key={choice.label}
+            onClick={() => handleGenerate(choice)}
+            disabled={isGenerating}
+            className="bg-gray-700 hover:bg-gray-600 text-white py-2 rounded-lg text-sm disabled:opacity-50"
+          >
+            生成{choice.label}回顾
+          </button>
+        ))}
+      </div>
+
+      {reports.length > 0 ? (
+        <ul className="space-y-3">
+          {reports.map(report => (
+            <li key={report.id} className="bg-gray-800 rounded-lg">
+              <button
+                onClick={() => setOpenId(openId === report.id ? null : report.id)}
+                className="w-full flex justify-between items-center p-4 text-left"
+              >
+                <span className="text-white font-semibold">
+                  {REPORT_PERIODS[report.period]}回顾 {report.start} ~ {report.end}
+                </span>
+                <span className="text-gray-400 text-sm">{openId === report.id ? '收起' : '查看'}</span>
+              </button>
+              {openId === report.id && (
+                <div className="px-4 pb-4">
+                  <ReportDetail report={report} statDefinitions={statDefinitions} />
+                  <div className="flex gap-4 mt-3 text-sm">
+                    <button
+                      onClick={() => handleGenerate({ period: report.period, date: report.start })}
+                      disabled={isGenerating}
+                      className="text-blue-400 hover:text-blue-300 disabled:opacity-50"
+                    >
+                      重新生成
+                    </button>
+                    <button onClick={() => handleDelete(report.id)} className="text-red-400 hover:text-red-300">删除</button>
+                  </div>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-gray-500">还没有回顾。选择一个周期，让AI帮你回顾这段时间的成长。</p>
+      )}
+    </div>
+  );
+};
+
+// --- 3.14 屏幕组件：天鹅绒房间（活动建议） ---
+
+const AdvisorScreen = ({
+  profileId, entriesRevision, playerStats, stats, statDefinitions, goals, goalProgress, rankPreset, aiConfig, onPick, onBack,
+}) => {
+  const allEntries = useEntriesInRange(profileId, null, null, entriesRevision);
+  const [advice, setAdvice] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  // 每次“换一批”时轮换本地建议
+  const [seed, setSeed] = useState(0);
+
+  const today = toDateStr(new Date());
+  const analysis = useMemo(() => {
+    const goalNotes = goals
+      .filter(goal => !goal.result && goalProgress[goal.id]?.status !== 'done')
+      .map(goal => ({ stat: goal.stat, text: describeGoal(goal, statDefinitions, rankPreset) }));
+    return analyzeFocus(stats, playerStats, allEntries, today, goalNotes);
+  }, [stats, playerStats, allEntries, today, goals, goalProgress, statDefinitions, rankPreset]);
+
+  const handleAsk = async () => {
+    setIsLoading(true);
+    try {
+      setAdvice(await getAdvice(analysis, stats, playerStats, allEntries, today, aiConfig, seed));
+      setSeed(prev => prev + 1);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const names = (keys) => keys.map(key => statName(statDefinitions, key)).join('、');
+
+  return (
+    <div className="p-6 h-full overflow-y-auto">
+      <div className="flex items-center mb-6">
+        <button onClick={onBack} className="text-blue-400 mr-4">&lt; 返回</button>
+        <h1 className="text-2xl font-bold text-white">天鹅绒房间</h1>
+      </div>
+
+      <div className="bg-indigo-950 border border-indigo-800 p-4 rounded-lg mb-6 text-sm text-indigo-200 space-y-1">
+        <p>最弱的属性：{names(analysis.weakest)}</p>
+        {analysis.stalled.length > 0 && <p>最近 {STALL_DAYS} 天没有提升：{names(analysis.stalled)}</p>}
+        {analysis.goalNotes.map((note, i) => <p key={i}>进行中的目标：{note.text}</p>)}
+      </div>
+
+      <button
+        onClick={handleAsk}
+        disabled={isLoading}
+        className="w-full bg-indigo-700 hover:bg-indigo-600 text-white font-bold py-3 rounded-lg mb-6 disabled:opacity-50"
+      >
+        {isLoading ? '正在思考...' : advice ? '换一批建议' : '请给我一些建议'}
+      </button>
+
+      {advice && (
+        <>
+          {advice.source === 'local' && (
+            <div className="bg-yellow-900 text-yellow-200 p-3 rounded-lg mb-4 text-sm">
+              AI暂时不可用，以下是本地的建议列表。
+            </div>
+          )}
+          <ul className="space-y-3">
+            {advice.suggestions.map((suggestion, i) => (
+              <li key={i} className="bg-gray-800 p-4 rounded-lg">
+                <p className="text-white font-semibold">{suggestion.activity}</p>
+                {suggestion.reason && <p className="text-gray-400 text-sm mt-1">{suggestion.reason}</p>}
+                <div className="flex flex-wrap gap-1 mt-2">
+                  {stats.filter(stat => suggestion.gains[stat.key] > 0).map(stat => (
+                    <span key={stat.key} className="text-xs px-2 py-0.5 rounded-full bg-gray-700" style={{ color: stat.color }}>
+                      {stat.name} +{suggestion.gains[stat.key]}
+                    </span>
+                  ))}
+                </div>
+                <button onClick={() => onPick(suggestion)} className="mt-3 text-sm text-blue-400 hover:text-blue-300">
+                  就做这个 &gt;
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+// --- 3.15 屏幕组件：日记模式 ---
+
+const DiaryScreen = ({ onSaveMany, setActiveScreen, aiConfig, scoringRules, stats, confidants }) => {
+  const [text, setText] = useState("");
+  const [date, setDate] = useState(() => toDateStr(new Date()));
+  const [items, setItems] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // 正在调整提升的条目
+  const [expandedKey, setExpandedKey] = useState(null);
+  const keys = stats.map(stat => stat.key);
+
+  const handleSplit = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) {
+      setError("日记不能为空哦。");
+      return;
+    }
+    setIsLoading(true);
+    setError(null);
+    try {
+      const result = await splitDiary(text.trim(), aiConfig, scoringRules, stats, confidants.map(confidant => confidant.name));
+      if (result.length === 0) {
+        setError("没有从日记中找到可以记录的事。");
+        return;
+      }
+      setItems(result);
+    } catch (err) {
+      console.error(err);
+      setError("拆分日记失败，请稍后重试。");
+    } finally {
+      setIsLoading(false);
     }
   };
 
-  const handleImport = (event) => {
-    setMessage(null);
-    const file = event.target.files[0];
-    if (!file) return;
+  const updateItem = (key, changes) => {
+    setItems(items.map(item => item.key === key ? { ...item, ...changes } : item));
+  };
 
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      try {
-        const data = JSON.parse(e.target.result);
-        if (data.allEntries && data.playerStats) {
-          setAllEntries(data.allEntries);
-          setPlayerStats(data.playerStats);
-          setMessage({ type: 'success', text: '数据导入成功！' });
-        } else {
-          throw new Error("无效的文件格式。");
-        }
-      } catch (e) {
-        console.error("导入失败:", e);
-        setMessage({ type: 'error', text: `导入失败: ${e.message}` });
-      }
-    };
-    reader.onerror = () => {
-      setMessage({ type: 'error', text: '读取文件失败。' });
-    };
-    reader.readAsText(file);
-    
-    // 重置input，以便下次可以导入同名文件
-    event.target.value = null;
+  const mergeWithNext = (index) => {
+    const merged = mergeDiaryItems(items[index], items[index + 1], keys);
+    setItems([...items.slice(0, index), merged, ...items.slice(index + 2)]);
+  };
+
+  const handleSaveAll = () => {
+    const kept = items.filter(item => item.activity.trim());
+    if (kept.length === 0) {
+      setError("至少保留一条记录。");
+      return;
+    }
+    onSaveMany(diaryItemsToEntries(kept, date, text.trim(), confidants));
   };
 
+  if (items) {
+    return (
+      <div className="p-6 h-full flex flex-col">
+        <div className="flex-shrink-0 flex items-center mb-6">
+          <button onClick={() => setItems(null)} className="text-blue-400 mr-4">&lt; 修改日记</button>
+          <h1 className="text-2xl font-bold text-white">确认拆分结果</h1>
+        </div>
+
+        {error && (
+          <div className="bg-red-800 border border-red-600 text-red-200 p-3 rounded-lg mb-4">{error}</div>
+        )}
+
+        {items.some(item => item.provisional) && (
+          <div className="bg-yellow-900 text-yellow-200 p-3 rounded-lg mb-4 text-sm">
+            AI暂时不可用，日记按句子拆分并使用了离线规则的临时评分，AI恢复后会自动重新评分。
+          </div>
+        )}
+
+        <ul className="flex-grow overflow-y-auto space-y-3 mb-4">
+          {items.map((item, index) => (
+            <li key={item.key} className="bg-gray-800 p-3 rounded-lg space-y-2">
+              <input
+                type="text"
+                value={item.activity}
+                onChange={(e) => updateItem(item.key, { activity: e.target.value })}
+                className="w-full p-2 bg-gray-700 border border-gray-600 rounded-lg text-white font-semibold"
+              />
+              <input
+                type="text"
+                value={item.feeling}
+                onChange={(e) => updateItem(item.key, { feeling: e.target.value })}
+                placeholder="感受"
+                className="w-full p-2 bg-gray-700 border border-gray-600 rounded-lg text-gray-300 text-sm placeholder-gray-500"
+              />
+              <div className="flex flex-wrap gap-1 text-xs">
+                {item.timeSlot && (
+                  <span className="bg-gray-600 text-gray-200 px-2 py-0.5 rounded-full">{timeSlotLabel(item.timeSlot)}</span>
+                )}
+                {stats.filter(stat => item.gains[stat.key] > 0).map(stat => (
+                  <span key={stat.key} className="bg-blue-800 text-blue-200 px-2 py-0.5 rounded-full">
+                    {stat.name} +{item.gains[stat.key]}
+                  </span>
+                ))}
+                {item.people.map(name => (
+                  <span key={name} className="bg-purple-800 text-purple-200 px-2 py-0.5 rounded-full">{name}</span>
+                ))}
+              </div>
+              {expandedKey === item.key && (
+                <GainReview
+                  score={{ gains: item.originalGains, reasons: item.reasons }}
+                  gains={item.gains}
+                  setGains={(gains) => updateItem(item.key, { gains })}
+                  stats={stats}
+                />
+              )}
+              <div className="flex justify-end gap-4 text-sm">
+                <button
+                  onClick={() => setExpandedKey(expandedKey === item.key ? null : item.key)}
+                  className="text-blue-400 hover:text-blue-300"
+                >
+                  {expandedKey === item.key ? '收起' : '调整提升'}
+                </button>
+                {index < items.length - 1 && (
+                  <button onClick={() => mergeWithNext(index)} className="text-blue-400 hover:text-blue-300">与下一条合并</button>
+                )}
+                <button
+                  onClick={() => setItems(items.filter(other => other.key !== item.key))}
+                  className="text-red-400 hover:text-red-300"
+                >
+                  去掉
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        <button
+          onClick={handleSaveAll}
+          disabled={items.length === 0}
+          className="flex-shrink-0 w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-4 rounded-lg text-lg disabled:opacity-50"
+        >
+          保存全部 {items.length} 条
+        </button>
+      </div>
+    );
+  }
+
   return (
-    <div className="p-6 h-full">
-      <h1 className="text-3xl font-bold text-white mb-6">设置</h1>
+    <div className="p-6 h-full flex flex-col">
+      <div className="flex-shrink-0 flex items-center mb-6">
+        <button onClick={() => setActiveScreen('add')} className="text-blue-400 mr-4">&lt; 返回</button>
+        <h1 className="text-2xl font-bold text-white">日记模式</h1>
+      </div>
 
-      {message && (
-        <div className={`p-3 rounded-lg mb-4 ${
-          message.type === 'success' ? 'bg-green-800 text-green-200' : 'bg-red-800 text-red-200'
-        }`}>
-          {message.text}
+      {isLoading && (
+        <div className="fixed inset-0 bg-black bg-opacity-75 flex flex-col items-center justify-center z-50">
+          <div className="animate-spin rounded-full h-16 w-16 border-t-4 border-blue-500"></div>
+          <p className="text-white text-lg mt-4">AI正在整理你的日记...</p>
         </div>
       )}
 
-      <div className="space-y-6">
-        {/* 导出 */}
-        <div className="bg-gray-800 p-4 rounded-lg">
-          <h2 className="text-xl font-semibold text-white mb-2">导出数据</h2>
-          <p className="text-gray-400 text-sm mb-4">
-            将您的所有记录和五维数据保存为 JSON 文件。
-          </p>
-          <button
-            onClick={handleExport}
-            className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-4 rounded-lg transition-colors"
-          >
-            导出
-          </button>
-        </div>
+      {error && (
+        <div className="bg-red-800 border border-red-600 text-red-200 p-3 rounded-lg mb-4">{error}</div>
+      )}
 
-        {/* 导入 */}
-        <div className="bg-gray-800 p-4 rounded-lg">
-          <h2 className="text-xl font-semibold text-white mb-2">导入数据</h2>
-          <p className="text-gray-400 text-sm mb-4">
-            从 JSON 文件恢复您的数据。注意：这将覆盖当前所有数据！
-          </p>
-          <input
-            type="file"
-            id="import-file"
-            accept=".json"
-            onChange={handleImport}
-            className="hidden"
-          />
-          <label
-            htmlFor="import-file"
-            className="w-full text-center block cursor-pointer bg-gray-700 hover:bg-gray-600 text-white font-bold py-3 px-4 rounded-lg transition-colors"
-          >
-            选择文件并导入
-          </label>
-        </div>
+      <form onSubmit={handleSplit} className="flex-grow flex flex-col">
+        <input
+          type="date"
+          value={date}
+          max={toDateStr(new Date())}
+          onChange={(e) => e.target.value && setDate(e.target.value)}
+          className="w-full p-2 mb-4 bg-gray-800 border border-gray-600 rounded-lg text-white"
+        />
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder="把今天的日记粘贴或写在这里，AI会把其中做过的事拆成多条记录，保存前可以合并或去掉。"
+          className="w-full p-3 mb-6 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500 flex-grow min-h-[200px]"
+        />
+        <button
+          type="submit"
+          disabled={isLoading}
+          className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-4 rounded-lg text-lg disabled:opacity-50"
+        >
+          拆分成记录
+        </button>
+      </form>
+    </div>
+  );
+};
+
+// --- 3.16 屏幕组件：档案 ---
+
+const ProfilesScreen = ({ profiles, activeProfileId, onSwitch, onCreate, onRename, onDelete, onBack }) => {
+  const [newName, setNewName] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editName, setEditName] = useState('');
+  const [error, setError] = useState(null);
+
+  const isNameTaken = (name, exceptId) => profiles.some(profile => profile.id !== exceptId && profile.name === name);
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!name) return;
+    if (isNameTaken(name)) {
+      setError('已经有同名的档案。');
+      return;
+    }
+    setError(null);
+    onCreate(name);
+    setNewName('');
+  };
+
+  const handleRename = (id) => {
+    const name = editName.trim();
+    if (!name) return;
+    if (isNameTaken(name, id)) {
+      setError('已经有同名的档案。');
+      return;
+    }
+    setError(null);
+    onRename(id, name);
+    setEditingId(null);
+  };
+
+  const handleDelete = async (profile) => {
+    if (!window.confirm(`确定要删除档案「${profile.name}」吗？它的全部记录和设置都会被删除，无法撤销。`)) return;
+    setError(null);
+    try {
+      await onDelete(profile.id);
+    } catch (e) {
+      console.error("删除档案失败:", e);
+      setError(`删除失败: ${e.message}`);
+    }
+  };
+
+  const inputClass = 'w-full p-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-500';
+
+  return (
+    <div className="p-6 h-full overflow-y-auto">
+      <div className="flex items-center mb-6">
+        <button onClick={onBack} className="text-blue-400 mr-4">&lt; 返回</button>
+        <h1 className="text-2xl font-bold text-white">档案</h1>
       </div>
+      <p className="text-gray-400 text-sm mb-4">
+        每个档案有自己的记录、属性、AI 服务和其他设置，适合家人共用一台设备。导出或导入全部档案请到“设置”。
+      </p>
+      {error && <p className="text-red-400 text-sm mb-4">{error}</p>}
+
+      <ul className="space-y-3 mb-6">
+        {profiles.map(profile => {
+          const isActive = profile.id === activeProfileId;
+          return (
+            <li key={profile.id} className="bg-gray-800 p-4 rounded-lg">
+              {editingId === profile.id ? (
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={editName}
+                    onChange={(e) => setEditName(e.target.value)}
+                    className={inputClass}
+                    autoFocus
+                  />
+                  <button onClick={() => handleRename(profile.id)} className="text-blue-400 text-sm flex-shrink-0">保存</button>
+                  <button onClick={() => setEditingId(null)} className="text-gray-400 text-sm flex-shrink-0">取消</button>
+                </div>
+              ) : (
+                <div className="flex justify-between items-center">
+                  <span className="text-white font-semibold">
+                    {profile.name}
+                    {isActive && <span className="ml-2 text-xs text-green-400">当前</span>}
+                  </span>
+                  <div className="flex gap-3 text-sm">
+                    {!isActive && (
+                      <button onClick={() => onSwitch(profile.id)} className="text-blue-400 hover:text-blue-300">切换</button>
+                    )}
+                    <button
+                      onClick={() => { setEditingId(profile.id); setEditName(profile.name); }}
+                      className="text-gray-300 hover:text-white"
+                    >
+                      重命名
+                    </button>
+                    {!isActive && (
+                      <button onClick={() => handleDelete(profile)} className="text-red-400 hover:text-red-300">删除</button>
+                    )}
+                  </div>
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      <form onSubmit={handleCreate} className="bg-gray-800 p-4 rounded-lg space-y-3">
+        <h2 className="text-xl font-semibold text-white">新建档案</h2>
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="档案名称"
+          className={inputClass}
+        />
+        <button
+          type="submit"
+          disabled={!newName.trim()}
+          className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg transition-colors disabled:opacity-50"
+        >
+          新建
+        </button>
+      </form>
     </div>
   );
 };
 
 
 // ---------------------------------
-// 5. 主应用组件 (App)
+// 4. 主应用组件 (App)
 // ---------------------------------
 
-export default function App() {
+// 一个档案的全部状态。切换档案时整个组件以新的 key 重新挂载，各项数据从该档案的存储中重新读取
+function ProfileApp({
+  profile, profiles, onSwitchProfile, onCreateProfile, onRenameProfile, onDeleteProfile,
+  onExportProfiles, onImportProfiles,
+}) {
   const [activeScreen, setActiveScreen] = useState('home');
-  const [allEntries, setAllEntries] = useLocalStorage('personaDailyEntries', []);
-  const [playerStats, setPlayerStats] = useLocalStorage('personaDailyStats', {
-    diligence: 0,
-    knowledge: 0,
-    courage: 0,
-    understanding: 0,
-    expression: 0,
+  const {
+    summary: entrySummary,
+    isLoaded: entriesLoaded,
+    loadError: entriesLoadError,
+    revision: entriesRevision,
+    saveEntries,
+    replaceEntries: replaceStoredEntries,
+  } = useEntryStore(profile.id);
+  const summary = entrySummary || EMPTY_SUMMARY;
+  const [statDefinitions, setStatDefinitions] = useLocalStorage(profileStorageKey(profile.id, 'personaStatDefinitions'), DEFAULT_STAT_DEFINITIONS);
+  const stats = useMemo(() => activeStats(statDefinitions), [statDefinitions]);
+  const statKeys = useMemo(() => stats.map(stat => stat.key), [stats]);
+  // 属性总数始终由记录的汇总推导，避免修改或删除记录后出现偏差
+  const playerStats = useMemo(() => summaryTotals(summary, statKeys), [summary, statKeys]);
+  const [rankPreset, setRankPreset] = useLocalStorage(profileStorageKey(profile.id, 'personaRankPreset'), DEFAULT_RANK_PRESET);
+  const [rankHistory, setRankHistory] = useLocalStorage(profileStorageKey(profile.id, 'personaRankHistory'), []);
+  const [pendingRankUps, setPendingRankUps] = useState([]);
+  const [confidants, setConfidants] = useLocalStorage(profileStorageKey(profile.id, 'personaConfidants'), []);
+  // 羁绊等级同样由记录推导
+  const confidantLinks = summary.confidantLinks;
+  const [pendingConfidantRankUps, setPendingConfidantRankUps] = useState([]);
+  const [selectedConfidantId, setSelectedConfidantId] = useState(null);
+  // 从搜索结果跳转时日历要显示的日期
+  const [calendarDate, setCalendarDate] = useState(null);
+  const [reports, setReports] = useLocalStorage(profileStorageKey(profile.id, 'personaReports'), []);
+  // 从日历进入回顾时要展开的报告
+  const [openReportId, setOpenReportId] = useState(null);
+  // 从天鹅绒房间选中的建议，用于预填添加事项的表单
+  const [activityDraft, setActivityDraft] = useState(null);
+  const [templates, setTemplates] = useLocalStorage(profileStorageKey(profile.id, 'personaTemplates'), []);
+  const [scoreCache, setScoreCache] = useLocalStorage(profileStorageKey(profile.id, 'personaScoreCache'), {});
+  // 自动备份的设置。口令保存在应用私有的 localStorage 中，加密只是为了保护写到共享“文档”目录的备份文件
+  const [autoBackup, setAutoBackup] = useLocalStorage(profileStorageKey(profile.id, 'personaAutoBackup'), { enabled: false, keep: 5, passphrase: '' });
+  const [lastAutoBackup, setLastAutoBackup] = useLocalStorage(profileStorageKey(profile.id, 'personaLastAutoBackup'), null);
+  // 同步服务器的设置和上次同步后的状态（每条记录的服务器版本）
+  const [syncConfig, setSyncConfig] = useLocalStorage(profileStorageKey(profile.id, 'personaSyncConfig'), { enabled: false, serverUrl: '', token: '' });
+  const [syncState, setSyncState] = useLocalStorage(profileStorageKey(profile.id, 'personaSyncState'), EMPTY_SYNC_STATE);
+  const [lastSync, setLastSync] = useLocalStorage(profileStorageKey(profile.id, 'personaLastSync'), null);
+  // 服务器上的同步空间，见 resolveSyncSpace
+  const syncSpace = resolveSyncSpace(syncConfig, profile.id);
+  const [syncStatus, setSyncStatus] = useState({ state: 'idle', message: '' });
+  const [reminders, setReminders] = useLocalStorage(profileStorageKey(profile.id, 'personaReminders'), DEFAULT_REMINDER_CONFIG);
+  const isSyncingRef = useRef(false);
+  const [goals, setGoals] = useLocalStorage(profileStorageKey(profile.id, 'personaGoals'), []);
+  const today = toDateStr(new Date());
+  // 连续记录和徽章由记录的汇总推导，导入或删除记录后自动重新计算
+  const achievements = useMemo(() => buildAchievements(stats, rankPreset), [stats, rankPreset]);
+  const achievementState = useMemo(
+    () => computeAchievements(summary.days, achievements, today),
+    [summary, achievements, today]
+  );
+  const [pendingAchievements, setPendingAchievements] = useState([]);
+  // 进行中目标的进度，由记录的汇总推导
+  const goalProgress = useMemo(
+    () => Object.fromEntries(goals
+      .filter(goal => !goal.result)
+      .map(goal => [goal.id, evaluateGoal(goal, summary.days, today, rankPreset)])),
+    [goals, summary, today, rankPreset]
+  );
+  // 最近一次破坏性操作的撤销信息：{ label, changes?, entries?, confidants?, profiles? }
+  // changes 为恢复用的 { put }（被修改或删除的记录的原样），entries 为替换全部记录前的全部记录，
+  // 删除羁绊时同时保存羁绊名单，导入全部档案时保存被覆盖的各档案（snapshotProfile 的结果）
+  const [undoAction, setUndoAction] = useState(null);
+  const [aiConfig, setAiConfig] = useLocalStorage(profileStorageKey(profile.id, 'personaAiConfig'), DEFAULT_AI_CONFIG);
+  const [scoringRules, setScoringRules] = useLocalStorage(profileStorageKey(profile.id, 'personaScoringRules'), DEFAULT_SCORING_RULES);
+
+  const isRescoringRef = useRef(false);
+
+  /**
+   * 用AI重新评分所有临时评分的记录。
+   * 遇到第一次失败就停止（说明AI仍不可用）。
+   * @returns {Promise<number>} - 成功重新评分的条数
+   */
+  const rescorePendingEntries = useCallback(async () => {
+    if (isRescoringRef.current || !navigator.onLine || summary.provisionalCount === 0) return 0;
+    const pending = (await loadAllEntries(profile.id)).filter(entry => entry.provisional);
+    if (pending.length === 0) return 0;
+
+    isRescoringRef.current = true;
+    let count = 0;
+    try {
+      for (const entry of pending) {
+        let result;
+        try {
+          result = await callAiModel(entry.activity, entry.feeling, aiConfig, stats);
+        } catch (err) {
+          console.error("重新评分失败，稍后再试:", err);
+          break;
+        }
+
+        // 评分期间记录可能已被修改或删除，基于最新的记录更新；保留用户在确认步骤中做过的手动调整
+        const latest = await loadEntry(profile.id, entry.id);
+        if (!latest) continue;
+        await saveEntries({
+          put: [{
+            ...latest,
+            gains: rebaseGains(latest, result.gains),
+            originalGains: result.gains,
+            reasons: result.reasons,
+            scoredBy: 'ai',
+            provisional: false,
+          }],
+        });
+        count++;
+      }
+    } finally {
+      isRescoringRef.current = false;
+    }
+    return count;
+  }, [profile.id, summary.provisionalCount, aiConfig, stats, saveEntries]);
+
+  // 完成或过了截止日期的目标移入归档
+  useEffect(() => {
+    if (!entriesLoaded) return;
+    setGoals(prev => resolveGoals(prev, summary.days, today, rankPreset));
+  }, [entriesLoaded, summary, today, rankPreset, setGoals]);
+
+  // 启动时、网络恢复时以及定时尝试处理待重新评分的队列
+  const rescoreRef = useRef(rescorePendingEntries);
+  useEffect(() => {
+    rescoreRef.current = rescorePendingEntries;
+  }, [rescorePendingEntries]);
+
+  useEffect(() => {
+    if (!entriesLoaded) return;
+    const runRescore = () => rescoreRef.current();
+    runRescore();
+    window.addEventListener('online', runRescore);
+    const timer = setInterval(runRescore, RESCORE_INTERVAL_MS);
+    return () => {
+      window.removeEventListener('online', runRescore);
+      clearInterval(timer);
+    };
+  }, [entriesLoaded]);
+
+  // 写入一份加密的自动备份，只保留最近 keep 份
+  const createAutoBackup = async () => {
+    const allEntries = await loadAllEntries(profile.id);
+    const data = buildBackup({ statDefinitions, confidants, reports, allEntries, playerStats });
+    const content = await encryptBackup(JSON.stringify(data), autoBackup.passphrase);
+    const now = new Date();
+    const prefix = profileBackupPrefix(profile.id);
+    await saveRollingBackup(prefix, `${prefix}${now.toISOString().replace(/[:.]/g, '-')}.json`, content, autoBackup.keep);
+    setLastAutoBackup(now.toISOString());
+  };
+
+  const autoBackupRef = useRef(createAutoBackup);
+  useEffect(() => {
+    autoBackupRef.current = createAutoBackup;
   });
 
-  // 当添加新条目时，更新条目列表和五维总数
-  const handleSaveEntry = (newEntry) => {
-    setAllEntries(prev => [...prev, newEntry]);
-    
-    setPlayerStats(prev => {
-      const newStats = { ...prev };
-      for (const key in newEntry.gains) {
-        newStats[key] = (newStats[key] || 0) + newEntry.gains[key];
+  // 本次打开应用后记录有变化时才备份，连续修改只备份最后一次
+  useEffect(() => {
+    if (entriesRevision === 0 || !autoBackup.enabled || !autoBackup.passphrase) return;
+    const timer = setTimeout(() => {
+      autoBackupRef.current().catch(e => console.error("自动备份失败:", e));
+    }, AUTO_BACKUP_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [entriesRevision, autoBackup]);
+
+  // 与同步服务器同步一次，收到的修改直接应用到本机记录
+  const runSync = async () => {
+    if (!syncConfig.enabled || !syncConfig.serverUrl || isSyncingRef.current) return;
+    if (!navigator.onLine) {
+      setSyncStatus({ state: 'offline', message: '' });
+      return;
+    }
+    isSyncingRef.current = true;
+    setSyncStatus({ state: 'syncing', message: '' });
+    try {
+      const transport = createHttpTransport(syncConfig.serverUrl, syncConfig.token, syncSpace);
+      const allEntries = await loadAllEntries(profile.id);
+      const result = await syncEntries(allEntries, syncState, transport, statDefinitions.map(stat => stat.key));
+      if (result.upserts.length > 0 || result.deletes.length > 0) {
+        await saveEntries({ put: result.upserts, remove: result.deletes });
       }
-      return newStats;
+      setSyncState(result.state);
+      setLastSync({ time: new Date().toISOString(), ...result.summary });
+      setSyncStatus({ state: 'ok', message: '' });
+    } catch (e) {
+      console.error("同步失败:", e);
+      setSyncStatus({ state: 'error', message: e.message });
+    } finally {
+      isSyncingRef.current = false;
+    }
+  };
+
+  // 换了服务器或同步空间后，本机的同步状态不再适用，下次同步时全部记录重新上传
+  const handleSaveSyncConfig = (next) => {
+    if (next.serverUrl !== syncConfig.serverUrl || resolveSyncSpace(next, profile.id) !== syncSpace) {
+      setSyncState(EMPTY_SYNC_STATE);
+      setLastSync(null);
+    }
+    setSyncConfig(next);
+  };
+
+  const syncRef = useRef(runSync);
+  useEffect(() => {
+    syncRef.current = runSync;
+  });
+
+  // 启动时、网络恢复时以及定时同步
+  useEffect(() => {
+    if (!entriesLoaded || !syncConfig.enabled || !syncConfig.serverUrl) return;
+    const sync = () => syncRef.current();
+    sync();
+    window.addEventListener('online', sync);
+    const timer = setInterval(sync, SYNC_INTERVAL_MS);
+    return () => {
+      window.removeEventListener('online', sync);
+      clearInterval(timer);
+    };
+  }, [entriesLoaded, syncConfig.enabled, syncConfig.serverUrl, syncConfig.token, syncSpace]);
+
+  // 记录或提醒设置变化时重新安排提醒（今天已记录时跳过今天的提醒，晚间总结使用最新的提升）
+  useEffect(() => {
+    if (!entriesLoaded) return;
+    let cancelled = false;
+    loadEntriesByDateRange(profile.id, today, today)
+      .then(todayEntries => {
+        if (!cancelled) return syncReminders(LocalNotifications, profile.id, reminders, todayEntries, stats);
+      })
+      .catch(e => console.error("安排提醒失败:", e));
+    return () => {
+      cancelled = true;
+    };
+  }, [profile.id, entriesLoaded, entriesRevision, today, reminders, stats]);
+
+  // 点击提醒通知时打开添加事项；其他档案的通知先切换到那个档案
+  useEffect(() => listenForReminderTaps(LocalNotifications, (screen, profileId) => {
+    if (profileId && profileId !== profile.id) {
+      onSwitchProfile(profileId);
+      return;
+    }
+    setActiveScreen(screen);
+  }), [profile.id, onSwitchProfile]);
+
+  // 记录有变化后稍等片刻再同步，连续修改只同步一次
+  useEffect(() => {
+    if (entriesRevision === 0 || !syncConfig.enabled) return;
+    const timer = setTimeout(() => syncRef.current(), SYNC_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [entriesRevision, syncConfig.enabled]);
+
+  // 当添加新条目时（日记模式一次添加多条），写入数据库（属性总数会随之重新计算）
+  // 如果这次保存让某一维升级，记录下来并显示升级画面，否则直接去属性界面
+  const handleSaveEntries = (newEntries) => {
+    saveEntries({ put: newEntries });
+
+    const nextSummary = summarizeEntries(newEntries, summary);
+    // 升级记录关联到最后一条
+    const newEntry = newEntries[newEntries.length - 1];
+    const rankUps = findRankUps(playerStats, summaryTotals(nextSummary, statKeys), rankPreset, statKeys);
+    const confidantRankUps = findConfidantRankUps(
+      confidants,
+      confidantLinks,
+      nextSummary.confidantLinks
+    );
+    const newAchievementIds = findNewAchievements(
+      achievementState.unlocked,
+      computeAchievements(nextSummary.days, achievements, today).unlocked
+    );
+    const newAchievements = achievements.filter(achievement => newAchievementIds.includes(achievement.id));
+    if (rankUps.length > 0 || confidantRankUps.length > 0 || newAchievements.length > 0) {
+      setRankHistory(prev => [
+        ...prev,
+        ...rankUps.map(item => ({ ...item, id: `${newEntry.id}-${item.stat}`, date: newEntry.date, entryId: newEntry.id })),
+      ]);
+      setPendingRankUps(rankUps);
+      setPendingConfidantRankUps(confidantRankUps);
+      setPendingAchievements(newAchievements);
+      setActiveScreen('rankup');
+    } else {
+      setActiveScreen('stats');
+    }
+  };
+
+  const handleSaveEntry = (newEntry) => handleSaveEntries([newEntry]);
+
+  // 用模板快速记录；“沿用上次”的模板需要查找上次使用时的记录
+  const handleQuickLog = async (template) => {
+    const entries = template.gainsMode === 'lastUsed' ? await loadAllEntries(profile.id) : [];
+    handleSaveEntry(entryFromTemplate(template, entries, statKeys, confidants));
+  };
+
+  // 修改、删除和重新评分都会先保存修改前的记录，以便撤销
+  const changeEntries = (label, previous, changes) => {
+    setUndoAction({ label, changes: { put: previous } });
+    return saveEntries(changes);
+  };
+
+  // 导入会替换全部记录，先保存替换前的全部记录，以便撤销
+  const replaceEntries = async (nextEntries, label) => {
+    const previous = await loadAllEntries(profile.id);
+    setUndoAction({ label, entries: previous });
+    await replaceStoredEntries(nextEntries);
+  };
+
+  const handleUpdateEntry = async (id, changes) => {
+    const entry = await loadEntry(profile.id, id);
+    if (!entry) return;
+    await changeEntries('已修改记录', [entry], {
+      put: [{ ...entry, ...changes, updatedAt: new Date().toISOString() }],
+    });
+  };
+
+  const handleDeleteEntry = async (id) => {
+    const entry = await loadEntry(profile.id, id);
+    if (!entry) return;
+    await changeEntries('已删除记录', [entry], { remove: [id] });
+  };
+
+  const handleRescoreEntry = async (entry) => {
+    const score = await scoreActivity(entry.activity, entry.feeling, aiConfig, scoringRules, stats);
+    // 评分期间记录可能已被修改或删除，基于最新的记录更新
+    const latest = await loadEntry(profile.id, entry.id);
+    if (!latest) return;
+    await changeEntries('已重新评分', [latest], {
+      put: [{
+        ...latest,
+        gains: score.gains,
+        originalGains: score.gains,
+        reasons: score.reasons,
+        scoredBy: score.scoredBy,
+        provisional: score.provisional,
+        updatedAt: new Date().toISOString(),
+      }],
+    });
+  };
+
+  const handleUpdateConfidant = (id, changes) => {
+    setConfidants(prev => prev.map(confidant => confidant.id === id ? { ...confidant, ...changes } : confidant));
+  };
+
+  // 删除羁绊时去掉记录中的关联，记录本身保留（可以撤销，羁绊和记录中的关联一起恢复）
+  const handleDeleteConfidant = async (id) => {
+    setActiveScreen('confidants');
+    const linked = await loadEntriesByConfidant(profile.id, id);
+    setUndoAction({ label: '已删除羁绊', changes: { put: linked }, confidants });
+    setConfidants(prev => prev.filter(confidant => confidant.id !== id));
+    await saveEntries({
+      put: linked.map(entry => ({ ...entry, confidantIds: entry.confidantIds.filter(item => item !== id) })),
     });
   };
 
+  // 导入全部档案：先保存会被覆盖的档案（包括当前档案），以便撤销。
+  // 当前档案的属性、羁绊对象和回顾与文件中的合并，记录整体替换（与设置中的覆盖导入相同）
+  const handleImportProfiles = async (items) => {
+    const snapshots = await Promise.all(items
+      .filter(item => profiles.some(existing => existing.id === item.id))
+      .map(item => snapshotProfile(item.id)));
+    const current = items.find(item => item.id === profile.id);
+    await onImportProfiles(items.filter(item => item !== current));
+    if (current) {
+      setStatDefinitions(prev => mergeStatDefinitions(current.data.statDefinitions, prev));
+      setConfidants(prev => mergeConfidants(current.data.confidants || [], prev));
+      setReports(prev => mergeReports(current.data.reports || [], prev));
+      await replaceStoredEntries(current.data.allEntries);
+    }
+    if (snapshots.length > 0) {
+      setUndoAction({ label: `已覆盖 ${snapshots.length} 个档案`, profiles: snapshots });
+    }
+  };
+
+  const undoProfileImport = (snapshots) => {
+    for (const snapshot of snapshots) {
+      if (snapshot.id !== profile.id) {
+        restoreProfileSnapshot(snapshot).catch(e => console.error(`无法恢复档案 ${snapshot.id}:`, e));
+        continue;
+      }
+      setStatDefinitions(snapshot.statDefinitions);
+      setConfidants(snapshot.confidants);
+      setReports(snapshot.reports);
+      replaceStoredEntries(snapshot.allEntries);
+    }
+  };
+
+  const handleUndo = () => {
+    if (!undoAction) return;
+    if (undoAction.profiles) {
+      undoProfileImport(undoAction.profiles);
+    } else if (undoAction.entries) {
+      replaceStoredEntries(undoAction.entries);
+    } else {
+      saveEntries(undoAction.changes);
+    }
+    if (undoAction.confidants) setConfidants(undoAction.confidants);
+    setUndoAction(null);
+  };
+
+  // “撤销”提示一段时间后自动消失
+  useEffect(() => {
+    if (!undoAction) return;
+    const timer = setTimeout(() => setUndoAction(null), UNDO_TIMEOUT_MS);
+    return () => clearTimeout(timer);
+  }, [undoAction]);
+
   const renderScreen = () => {
+    // 记录加载完成前不显示任何屏幕，避免在数据就绪前写入
+    if (entriesLoadError) {
+      return (
+        <div className="h-full flex flex-col items-center justify-center p-6 text-center text-gray-300">
+          <p className="text-lg font-bold text-red-400 mb-2">无法读取记录</p>
+          <p className="text-sm mb-4">为避免覆盖现有数据，本次不会保存任何修改，请重新打开应用。</p>
+          <p className="text-xs text-gray-500 break-all">{entriesLoadError.message}</p>
+        </div>
+      );
+    }
+    if (!entriesLoaded) {
+      return (
+        <div className="h-full flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-4 border-blue-500"></div>
+        </div>
+      );
+    }
+
     switch (activeScreen) {
       case 'home':
-        return <HomeScreen setActiveScreen={setActiveScreen} playerStats={playerStats} />;
+        return <HomeScreen
+                  setActiveScreen={(screen) => { setActivityDraft(null); setActiveScreen(screen); }}
+                  profileName={profile.name}
+                  playerStats={playerStats}
+                  stats={stats}
+                  goals={goals.filter(goal => !goal.result)}
+                  goalProgress={goalProgress}
+                  statDefinitions={statDefinitions}
+                  rankPreset={rankPreset}
+                  achievementState={achievementState}
+                  achievementCount={achievements.length}
+                  templates={templates}
+                  onQuickLog={handleQuickLog}
+                />;
       case 'add':
-        return <AddActivityScreen onSave={handleSaveEntry} setActiveScreen={setActiveScreen} />;
+        return <AddActivityScreen
+                  onSave={handleSaveEntry}
+                  setActiveScreen={setActiveScreen}
+                  aiConfig={aiConfig}
+                  scoringRules={scoringRules}
+                  stats={stats}
+                  confidants={confidants}
+                  setConfidants={setConfidants}
+                  draft={activityDraft}
+                  templates={templates}
+                  setTemplates={setTemplates}
+                  scoreCache={scoreCache}
+                  setScoreCache={setScoreCache}
+                />;
+      case 'diary':
+        return <DiaryScreen
+                  onSaveMany={handleSaveEntries}
+                  setActiveScreen={setActiveScreen}
+                  aiConfig={aiConfig}
+                  scoringRules={scoringRules}
+                  stats={stats}
+                  confidants={confidants}
+                />;
+      case 'advisor':
+        return <AdvisorScreen
+                  profileId={profile.id}
+                  entriesRevision={entriesRevision}
+                  playerStats={playerStats}
+                  stats={stats}
+                  statDefinitions={statDefinitions}
+                  goals={goals}
+                  goalProgress={goalProgress}
+                  rankPreset={rankPreset}
+                  aiConfig={aiConfig}
+                  onPick={(suggestion) => { setActivityDraft(suggestion); setActiveScreen('add'); }}
+                  onBack={() => setActiveScreen('home')}
+                />;
       case 'calendar':
-        return <CalendarScreen allEntries={allEntries} />;
+        return <CalendarScreen
+                  profileId={profile.id}
+                  entriesRevision={entriesRevision}
+                  onUpdateEntry={handleUpdateEntry}
+                  onDeleteEntry={handleDeleteEntry}
+                  onRescoreEntry={handleRescoreEntry}
+                  statDefinitions={statDefinitions}
+                  confidants={confidants}
+                  key={calendarDate}
+                  initialDate={calendarDate}
+                  onOpenSearch={() => setActiveScreen('search')}
+                  reports={reports}
+                  onOpenReports={(id) => { setOpenReportId(id); setActiveScreen('reports'); }}
+                />;
+      case 'reports':
+        return <ReportsScreen
+                  profileId={profile.id}
+                  reports={reports}
+                  setReports={setReports}
+                  stats={stats}
+                  statDefinitions={statDefinitions}
+                  aiConfig={aiConfig}
+                  initialReportId={openReportId}
+                  onBack={() => setActiveScreen('calendar')}
+                />;
+      case 'search':
+        return <SearchScreen
+                  profileId={profile.id}
+                  entriesRevision={entriesRevision}
+                  stats={stats}
+                  statDefinitions={statDefinitions}
+                  confidants={confidants}
+                  onOpenDay={(date) => { setCalendarDate(date); setActiveScreen('calendar'); }}
+                  onBack={() => setActiveScreen('calendar')}
+                />;
       case 'stats':
-        return <StatsScreen playerStats={playerStats} />;
+        return <StatsScreen
+                  profileId={profile.id}
+                  playerStats={playerStats}
+                  entriesRevision={entriesRevision}
+                  rankPreset={rankPreset}
+                  rankHistory={rankHistory}
+                  statDefinitions={statDefinitions}
+                />;
+      case 'rankup':
+        return <RankUpScreen
+                  rankUps={pendingRankUps}
+                  confidantRankUps={pendingConfidantRankUps}
+                  newAchievements={pendingAchievements}
+                  onContinue={() => setActiveScreen('stats')}
+                  statDefinitions={statDefinitions}
+                  confidants={confidants}
+                />;
+      case 'trophies':
+        return <TrophyScreen
+                  achievements={achievements}
+                  achievementState={achievementState}
+                  onBack={() => setActiveScreen('home')}
+                />;
+      case 'goals':
+        return <GoalsScreen
+                  goals={goals}
+                  setGoals={setGoals}
+                  goalProgress={goalProgress}
+                  stats={stats}
+                  statDefinitions={statDefinitions}
+                  rankPreset={rankPreset}
+                  onBack={() => setActiveScreen('home')}
+                />;
+      case 'confidants':
+        return <ConfidantsScreen
+                  confidants={confidants}
+                  setConfidants={setConfidants}
+                  confidantLinks={confidantLinks}
+                  onOpen={(id) => { setSelectedConfidantId(id); setActiveScreen('confidant'); }}
+                />;
+      case 'confidant': {
+        const confidant = confidants.find(({ id }) => id === selectedConfidantId);
+        if (!confidant) return null;
+        return <ConfidantDetailScreen
+                  key={confidant.id}
+                  profileId={profile.id}
+                  confidant={confidant}
+                  linkCount={confidantLinks[confidant.id] || 0}
+                  entriesRevision={entriesRevision}
+                  onUpdate={handleUpdateConfidant}
+                  onDelete={handleDeleteConfidant}
+                  onBack={() => setActiveScreen('confidants')}
+                />;
+      }
       case 'settings':
         return <SettingsScreen 
-                  allEntries={allEntries} 
+                  entriesRevision={entriesRevision}
                   playerStats={playerStats} 
-                  setAllEntries={setAllEntries} 
-                  setPlayerStats={setPlayerStats} 
+                  onReplaceEntries={replaceEntries}
+                  aiConfig={aiConfig}
+                  setAiConfig={setAiConfig}
+                  scoringRules={scoringRules}
+                  setScoringRules={setScoringRules}
+                  onRescore={rescorePendingEntries}
+                  rankPreset={rankPreset}
+                  setRankPreset={setRankPreset}
+                  statDefinitions={statDefinitions}
+                  setStatDefinitions={setStatDefinitions}
+                  confidants={confidants}
+                  setConfidants={setConfidants}
+                  reports={reports}
+                  setReports={setReports}
+                  templates={templates}
+                  setTemplates={setTemplates}
+                  scoreCache={scoreCache}
+                  setScoreCache={setScoreCache}
+                  autoBackup={autoBackup}
+                  setAutoBackup={setAutoBackup}
+                  lastAutoBackup={lastAutoBackup}
+                  onBackupNow={createAutoBackup}
+                  syncConfig={syncConfig}
+                  syncSpace={syncSpace}
+                  onSaveSyncConfig={handleSaveSyncConfig}
+                  syncStatus={syncStatus}
+                  lastSync={lastSync}
+                  syncRejected={syncState.rejected || {}}
+                  onSyncNow={runSync}
+                  profileId={profile.id}
+                  profiles={profiles}
+                  onExportProfiles={onExportProfiles}
+                  onImportProfiles={handleImportProfiles}
+                  reminders={reminders}
+                  setReminders={setReminders}
+                />;
+      case 'profiles':
+        return <ProfilesScreen
+                  profiles={profiles}
+                  activeProfileId={profile.id}
+                  onSwitch={onSwitchProfile}
+                  onCreate={onCreateProfile}
+                  onRename={onRenameProfile}
+                  onDelete={onDeleteProfile}
+                  onBack={() => setActiveScreen('home')}
                 />;
       default:
-        return <HomeScreen setActiveScreen={setActiveScreen} playerStats={playerStats} />;
+        return <HomeScreen
+                  setActiveScreen={(screen) => { setActivityDraft(null); setActiveScreen(screen); }}
+                  profileName={profile.name}
+                  playerStats={playerStats}
+                  stats={stats}
+                  goals={goals.filter(goal => !goal.result)}
+                  goalProgress={goalProgress}
+                  statDefinitions={statDefinitions}
+                  rankPreset={rankPreset}
+                  achievementState={achievementState}
+                  achievementCount={achievements.length}
+                  templates={templates}
+                  onQuickLog={handleQuickLog}
+                />;
     }
   };
 
@@ -708,10 +4286,69 @@ export default function App() {
           </button>
         )}
 
+        {/* 撤销提示 */}
+        {undoAction && (
+          <div className="flex-shrink-0 flex justify-between items-center bg-gray-700 px-4 py-2 text-sm">
+            <span className="text-gray-200">{undoAction.label}</span>
+            <button onClick={handleUndo} className="text-blue-400 font-bold hover:text-blue-300">
+              撤销
+            </button>
+          </div>
+        )}
+
         {/* 底部导航 */}
-        <BottomNav activeScreen={activeScreen} setActiveScreen={setActiveScreen} />
+        <BottomNav
+          activeScreen={activeScreen}
+          setActiveScreen={(screen) => { setCalendarDate(null); setActivityDraft(null); setActiveScreen(screen); }}
+        />
       </div>
     </main>
   );
 }
 
+export default function App() {
+  const [profiles, setProfiles] = useLocalStorage('personaProfiles', DEFAULT_PROFILES);
+  const [activeProfileId, setActiveProfileId] = useLocalStorage('personaActiveProfile', DEFAULT_PROFILE_ID);
+  const profile = profiles.find(item => item.id === activeProfileId) || profiles[0];
+
+  const handleCreateProfile = (name) => {
+    setProfiles(prev => [...prev, createProfile(name)]);
+  };
+
+  const handleRenameProfile = (id, name) => {
+    setProfiles(prev => prev.map(item => item.id === id ? { ...item, name } : item));
+  };
+
+  // 当前档案不能删除，需要先切换到其他档案
+  const handleDeleteProfile = async (id) => {
+    if (id === profile.id) return;
+    await deleteProfileData(id);
+    cancelReminders(LocalNotifications, id).catch(e => console.error("取消提醒失败:", e));
+    setProfiles(prev => prev.filter(item => item.id !== id));
+  };
+
+  // 导入全部档案时写入其他档案：同一 id 的档案覆盖记录，没有的作为新档案加入（当前档案由设置页面直接导入）
+  const handleImportProfiles = async (items) => {
+    for (const item of items) {
+      await restoreProfile(item.id, item.data);
+    }
+    setProfiles(prev => [
+      ...prev,
+      ...items.filter(item => !prev.some(existing => existing.id === item.id)).map(({ id, name }) => ({ id, name })),
+    ]);
+  };
+
+  return (
+    <ProfileApp
+      key={profile.id}
+      profile={profile}
+      profiles={profiles}
+      onSwitchProfile={setActiveProfileId}
+      onCreateProfile={handleCreateProfile}
+      onRenameProfile={handleRenameProfile}
+      onDeleteProfile={handleDeleteProfile}
+      onExportProfiles={() => buildProfilesBundle(profiles)}
+      onImportProfiles={handleImportProfiles}
+    />
+  );
+}
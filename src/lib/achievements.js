@@ -0,0 +1,163 @@
+import { addDays, daysBetween, weekStart } from './dates.js';
+import { getRank, getRankTable } from './ranks.js';
+
+// ---------------------------------
+// 连续记录与成就徽章
+// ---------------------------------
+// 和属性总数一样，连续天数和徽章都由记录推导：按日期从早到晚重放全部记录，
+// 记下每个徽章第一次满足条件的日期。导入或删除记录后重新计算即可，不需要单独保存。
+//
+// 连续记录保护（streak freeze）：每连续记录 FREEZE_EARN_DAYS 天获得一次保护，最多存 MAX_STREAK_FREEZES 次。
+// 中间漏记的天数不超过剩余的保护次数时，自动消耗保护，连续天数不中断（漏记的天不计入天数）。
+// 每周连续：一周（周一开始）中至少有 WEEKLY_STREAK_MIN_DAYS 天有记录，才算这一周达标。
+
+export const FREEZE_EARN_DAYS = 7;
+export const MAX_STREAK_FREEZES = 2;
+export const WEEKLY_STREAK_MIN_DAYS = 3;
+
+/**
+ * 全部徽章。check 接收重放到某一天时的状态，返回是否已满足条件。
+ * 与属性相关的徽章按当前启用的属性生成。
+ * @param {Array<object>} stats - 启用的属性定义
+ * @param {string} rankPreset - 等级表预设
+ * @returns {Array<{id: string, title: string, description: string, check: function}>}
+ */
+export const buildAchievements = (stats, rankPreset) => {
+  const rankOf = (state, key) => getRank(state.totals[key] || 0, getRankTable(rankPreset, key)).rank;
+  const maxRankOf = (key) => getRankTable(rankPreset, key).length;
+
+  return [
+    { id: 'entries-1', title: '第一步', description: '记录第一件事', check: s => s.entryCount >= 1 },
+    { id: 'entries-10', title: '习惯养成中', description: '累计记录 10 件事', check: s => s.entryCount >= 10 },
+    { id: 'entries-100', title: '百日之功', description: '累计记录 100 件事', check: s => s.entryCount >= 100 },
+    { id: 'entries-500', title: '人生记录者', description: '累计记录 500 件事', check: s => s.entryCount >= 500 },
+    { id: 'streak-3', title: '三日不辍', description: '连续记录 3 天', check: s => s.dailyStreak >= 3 },
+    { id: 'streak-7', title: '一周全勤', description: '连续记录 7 天', check: s => s.dailyStreak >= 7 },
+    { id: 'streak-30', title: '月度坚持', description: '连续记录 30 天', check: s => s.dailyStreak >= 30 },
+    { id: 'streak-100', title: '百日连击', description: '连续记录 100 天', check: s => s.dailyStreak >= 100 },
+    {
+      id: 'weekly-4', title: '稳定节奏',
+      description: `连续 4 周每周至少 ${WEEKLY_STREAK_MIN_DAYS} 天有记录`, check: s => s.weeklyStreak >= 4,
+    },
+    {
+      id: 'weekly-12', title: '季度坚持',
+      description: `连续 12 周每周至少 ${WEEKLY_STREAK_MIN_DAYS} 天有记录`, check: s => s.weeklyStreak >= 12,
+    },
+    ...stats.map(stat => ({
+      id: `first-${stat.key}`, title: `初次${stat.name}`,
+      description: `第一次提升${stat.name}`, check: s => (s.totals[stat.key] || 0) > 0,
+    })),
+    {
+      id: 'balanced-2', title: '全面发展',
+      description: '所有属性都达到 Rank 2', check: s => stats.every(stat => rankOf(s, stat.key) >= 2),
+    },
+    {
+      id: 'balanced-4', title: '六边形战士',
+      description: '所有属性都达到 Rank 4', check: s => stats.every(stat => rankOf(s, stat.key) >= 4),
+    },
+    ...stats.map(stat => ({
+      id: `maxed-${stat.key}`, title: `${stat.name}满级`,
+      description: `${stat.name}达到最高等级`, check: s => rankOf(s, stat.key) >= maxRankOf(stat.key),
+    })),
+    {
+      id: 'maxed-all', title: '完美人格',
+      description: '所有属性都达到最高等级', check: s => stats.every(stat => rankOf(s, stat.key) >= maxRankOf(stat.key)),
+    },
+  ];
+};
+
+/**
+ * 按日期重放记录汇总，计算连续记录状态和每个徽章的解锁日期
+ * @param {Object<string, object>} days - 记录汇总中的 days（见 stats.js 的 addToSummary）
+ * @param {Array<object>} achievements - buildAchievements 的结果
+ * @param {string} today - YYYY-MM-DD
+ * @returns {{
+ *   unlocked: Object<string, string>,
+ *   dailyStreak: number, bestDailyStreak: number, freezes: number,
+ *   weeklyStreak: number, bestWeeklyStreak: number, loggedToday: boolean,
+ * }} - unlocked 为 { 徽章id: 解锁日期 }；dailyStreak/weeklyStreak 为截至今天仍有效的连续数
+ */
+export const computeAchievements = (days, achievements, today) => {
+  const dates = Object.keys(days).sort();
+
+  const state = { totals: {}, entryCount: 0, dailyStreak: 0, weeklyStreak: 0 };
+  let freezes = 0;
+  let daysTowardFreeze = 0;
+  let lastDate = null;
+  let bestDailyStreak = 0;
+  let bestWeeklyStreak = 0;
+  let currentWeek = null;
+  let currentWeekDays = 0;
+  let lastQualifiedWeek = null;
+  const unlocked = {};
+
+  for (const date of dates) {
+    // 每日连续：漏记的天数由保护抵消，否则重新开始
+    const missed = lastDate ? daysBetween(lastDate, date) - 1 : 0;
+    if (missed > 0 && missed <= freezes) {
+      freezes -= missed;
+    } else if (missed > 0) {
+      state.dailyStreak = 0;
+      freezes = 0;
+      daysTowardFreeze = 0;
+    }
+    state.dailyStreak++;
+    daysTowardFreeze++;
+    if (daysTowardFreeze >= FREEZE_EARN_DAYS) {
+      freezes = Math.min(MAX_STREAK_FREEZES, freezes + 1);
+      daysTowardFreeze = 0;
+    }
+    bestDailyStreak = Math.max(bestDailyStreak, state.dailyStreak);
+    lastDate = date;
+
+    // 每周连续：这一周的记录天数刚好达标时计数
+    const week = weekStart(date);
+    if (week !== currentWeek) {
+      currentWeek = week;
+      currentWeekDays = 0;
+    }
+    currentWeekDays++;
+    if (currentWeekDays === WEEKLY_STREAK_MIN_DAYS) {
+      state.weeklyStreak = lastQualifiedWeek === addDays(week, -7) ? state.weeklyStreak + 1 : 1;
+      lastQualifiedWeek = week;
+      bestWeeklyStreak = Math.max(bestWeeklyStreak, state.weeklyStreak);
+    }
+
+    state.entryCount += days[date].count;
+    for (const [key, value] of Object.entries(days[date].gains)) {
+      state.totals[key] = (state.totals[key] || 0) + value;
+    }
+
+    for (const achievement of achievements) {
+      if (!unlocked[achievement.id] && achievement.check(state)) {
+        unlocked[achievement.id] = date;
+      }
+    }
+  }
+
+  // 今天还没记录不算中断；更早漏记的天数超过剩余保护时连续已经中断
+  const missedSinceLast = lastDate ? daysBetween(lastDate, today) - 1 : 0;
+  const dailyAlive = lastDate !== null && missedSinceLast <= freezes;
+  // 本周还没达标时，只要上周达标连续就仍然有效
+  const thisWeek = weekStart(today);
+  const weeklyAlive = lastQualifiedWeek === thisWeek || lastQualifiedWeek === addDays(thisWeek, -7);
+
+  return {
+    unlocked,
+    dailyStreak: dailyAlive ? state.dailyStreak : 0,
+    bestDailyStreak,
+    freezes: dailyAlive ? freezes - Math.max(0, missedSinceLast) : 0,
+    weeklyStreak: weeklyAlive ? state.weeklyStreak : 0,
+    bestWeeklyStreak,
+    loggedToday: lastDate === today,
+  };
+};
+
+/**
+ * 找出新解锁的徽章
+ * @param {Object<string, string>} before - 之前的 unlocked
+ * @param {Object<string, string>} after - 之后的 unlocked
+ * @returns {string[]} - 徽章id
+ */
+export const findNewAchievements = (before, after) =>
+  Object.keys(after).filter(id => !before[id]);
@@ -0,0 +1,206 @@
+import { requestAiJson } from './ai.js';
+import { addDays } from './dates.js';
+import { MIN_GAIN, MAX_GAIN, computeStats, emptyGains, normalizeGains } from './stats.js';
+
+// ---------------------------------
+// 天鹅绒房间：下一步做什么的建议
+// ---------------------------------
+// 先在本地找出需要关注的属性：总点数最低的、最近一段时间没有提升的、以及未完成目标对应的，
+// 再请AI针对这些属性给出具体的活动建议和预计提升。离线或AI失败时从本地建议列表中挑选。
+// 建议：{ activity, reason, gains }
+
+// 最近多少天没有提升就算停滞
+export const STALL_DAYS = 14;
+// 总点数最低的几项属性
+const WEAKEST_COUNT = 2;
+// 每次给出的建议条数
+const SUGGESTION_COUNT = 4;
+// 发给AI的近期记录条数上限
+const MAX_RECENT_ENTRIES = 20;
+
+// 默认五维的本地建议；自定义属性使用通用建议
+const LOCAL_SUGGESTIONS = {
+  diligence: [
+    { activity: '早起半小时，把今天最难的一件事先做完', gains: { diligence: 3 } },
+    { activity: '去健身房或跑步 30 分钟', gains: { diligence: 3, courage: 1 } },
+    { activity: '整理房间并坚持到全部收拾完', gains: { diligence: 2 } },
+  ],
+  knowledge: [
+    { activity: '读一小时书并写下三条收获', gains: { knowledge: 3, expression: 1 } },
+    { activity: '看一节网课或纪录片，整理笔记', gains: { knowledge: 3 } },
+    { activity: '复习最近学过的内容，做一套练习题', gains: { knowledge: 2, diligence: 1 } },
+  ],
+  courage: [
+    { activity: '尝试一家从没去过的店或一道没吃过的菜', gains: { courage: 2 } },
+    { activity: '主动在会议或课堂上提出一个问题', gains: { courage: 3, expression: 1 } },
+    { activity: '做一件一直拖着不敢做的事', gains: { courage: 4 } },
+  ],
+  understanding: [
+    { activity: '给很久没联系的朋友或家人打个电话', gains: { understanding: 3 } },
+    { activity: '认真听完一个人讲他的烦恼，不急着给建议', gains: { understanding: 3 } },
+    { activity: '读一篇观点和自己不同的文章，试着理解对方', gains: { understanding: 2, knowledge: 1 } },
+  ],
+  expression: [
+    { activity: '写一篇日记或短文，记录今天的想法', gains: { expression: 3 } },
+    { activity: '和朋友分享一本最近喜欢的书或电影', gains: { expression: 2, understanding: 1 } },
+    { activity: '画一幅画、唱一首歌或做一个小作品', gains: { expression: 3 } },
+  ],
+};
+
+const genericSuggestions = (stat) => [
+  { activity: `花 30 分钟做一件能提升${stat.name}的事`, gains: { [stat.key]: 2 } },
+  { activity: `为${stat.name}定一个本周的小目标，并完成第一步`, gains: { [stat.key]: 2 } },
+];
+
+/**
+ * 找出需要关注的属性
+ * @param {Array<object>} stats - 启用的属性定义
+ * @param {object} playerStats - 各属性总点数
+ * @param {Array<object>} entries - 全部记录
+ * @param {string} today - YYYY-MM-DD
+ * @param {Array<{stat: string, text: string}>} goalNotes - 未完成的目标及其描述
+ * @returns {{weakest: string[], stalled: string[], recent: object, goalNotes: Array<object>, focus: string[]}}
+ *   recent 为最近 STALL_DAYS 天各属性的提升；focus 为去重后的关注属性，按 weakest、stalled、目标的顺序
+ */
+export const analyzeFocus = (stats, playerStats, entries, today, goalNotes) => {
+  const keys = stats.map(stat => stat.key);
+  const since = addDays(today, -(STALL_DAYS - 1));
+  const recent = computeStats(entries.filter(entry => entry.date >= since && entry.date <= today), keys);
+
+  const weakest = [...keys]
+    .sort((a, b) => (playerStats[a] || 0) - (playerStats[b] || 0))
+    .slice(0, WEAKEST_COUNT);
+  const stalled = keys.filter(key => recent[key] === 0);
+  const activeGoals = goalNotes.filter(note => keys.includes(note.stat));
+
+  return {
+    weakest,
+    stalled,
+    recent,
+    goalNotes: activeGoals,
+    focus: [...new Set([...weakest, ...stalled, ...activeGoals.map(note => note.stat)])],
+  };
+};
+
+/**
+ * 一句话说明为什么关注这项属性
+ */
+const describeReason = (stat, analysis) => {
+  const goal = analysis.goalNotes.find(note => note.stat === stat.key);
+  if (goal) return `为了目标：${goal.text}`;
+  if (analysis.stalled.includes(stat.key)) return `${stat.name}已经 ${STALL_DAYS} 天没有提升了`;
+  return `${stat.name}是目前最弱的属性之一`;
+};
+
+/**
+ * 从本地建议列表中挑选，按关注属性轮流各取一条
+ * @param {object} analysis - analyzeFocus 的结果
+ * @param {Array<object>} stats - 启用的属性定义
+ * @param {number} [seed] - 用于轮换建议，相同的 seed 得到相同的结果
+ * @returns {Array<{activity: string, reason: string, gains: object}>}
+ */
+export const localAdvice = (analysis, stats, seed = 0) => {
+  const keys = stats.map(stat => stat.key);
+  const pools = analysis.focus.map(key => {
+    const stat = stats.find(item => item.key === key);
+    const pool = LOCAL_SUGGESTIONS[key] || genericSuggestions(stat);
+    const offset = seed % pool.length;
+    return { stat, items: [...pool.slice(offset), ...pool.slice(0, offset)] };
+  });
+
+  const suggestions = [];
+  for (let round = 0; suggestions.length < SUGGESTION_COUNT && pools.some(pool => pool.items[round]); round++) {
+    for (const { stat, items } of pools) {
+      if (!items[round] || suggestions.length >= SUGGESTION_COUNT) continue;
+      suggestions.push({
+        activity: items[round].activity,
+        reason: describeReason(stat, analysis),
+        gains: normalizeGains(items[round].gains, keys),
+      });
+    }
+  }
+  return suggestions;
+};
+
+const buildAdvicePrompt = (analysis, stats, playerStats, entries, today) => {
+  const name = (key) => stats.find(stat => stat.key === key)?.name || key;
+  const statList = stats
+    .map(stat => `- ${stat.key}（${stat.name}）：总计 ${playerStats[stat.key] || 0}，最近${STALL_DAYS}天 +${analysis.recent[stat.key]}${stat.description ? `，${stat.description}` : ''}`)
+    .join('\n');
+  const recentLines = entries
+    .filter(entry => entry.date <= today)
+    .sort((a, b) => b.date.localeCompare(a.date))
+    .slice(0, MAX_RECENT_ENTRIES)
+    .map(entry => `- ${entry.date} ${entry.activity}`);
+  const goalLines = analysis.goalNotes.map(note => `- ${note.text}`);
+
+  return `你是《女神异闻录》中天鹅绒房间的主人，要为用户建议接下来可以做的具体活动。
+用户的属性：
+${statList}
+
+需要重点关注的属性：${analysis.focus.map(name).join('、')}
+${goalLines.length > 0 ? `未完成的目标：\n${goalLines.join('\n')}\n` : ''}${recentLines.length > 0 ? `最近做过的事：\n${recentLines.join('\n')}\n` : ''}
+请给出 ${SUGGESTION_COUNT} 条今天或明天就能完成的具体活动建议，尽量不要和最近做过的事重复。
+每条包含：activity（活动，一句话），reason（为什么推荐，一句话），gains（完成后各属性的预计提升，范围从${MIN_GAIN}到${MAX_GAIN}）。
+请只返回一个JSON对象，格式如下：
+${JSON.stringify({ suggestions: [{ activity: '', reason: '', gains: emptyGains(stats.map(stat => stat.key)) }] })}
+不要添加任何markdown标记或解释性文字。`;
+};
+
+const buildAdviceSchema = (stats) => ({
+  type: 'object',
+  properties: {
+    suggestions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          activity: { type: 'string' },
+          reason: { type: 'string' },
+          gains: {
+            type: 'object',
+            properties: Object.fromEntries(stats.map(stat => [stat.key, { type: 'number', description: stat.name }])),
+          },
+        },
+        required: ['activity', 'reason', 'gains'],
+      },
+    },
+  },
+  required: ['suggestions'],
+});
+
+/**
+ * 获取活动建议：优先使用AI，离线或失败时退回本地建议列表
+ * @param {object} analysis - analyzeFocus 的结果
+ * @param {Array<object>} stats - 启用的属性定义
+ * @param {object} playerStats - 各属性总点数
+ * @param {Array<object>} entries - 全部记录
+ * @param {string} today - YYYY-MM-DD
+ * @param {object} aiConfig - AI服务配置
+ * @param {number} [seed] - 本地建议的轮换种子
+ * @returns {Promise<{suggestions: Array<object>, source: 'ai'|'local'}>}
+ */
+export const getAdvice = async (analysis, stats, playerStats, entries, today, aiConfig, seed = 0) => {
+  if (navigator.onLine) {
+    try {
+      const keys = stats.map(stat => stat.key);
+      const result = await requestAiJson(
+        aiConfig,
+        buildAdvicePrompt(analysis, stats, playerStats, entries, today),
+        buildAdviceSchema(stats)
+      );
+      const suggestions = (Array.isArray(result.suggestions) ? result.suggestions : [])
+        .filter(item => item && typeof item.activity === 'string' && item.activity.trim())
+        .slice(0, SUGGESTION_COUNT)
+        .map(item => ({
+          activity: item.activity.trim(),
+          reason: typeof item.reason === 'string' ? item.reason.trim() : '',
+          gains: normalizeGains(item.gains, keys),
+        }));
+      if (suggestions.length > 0) return { suggestions, source: 'ai' };
+    } catch (err) {
+      console.error("获取AI建议失败，改用本地建议:", err);
+    }
+  }
+  return { suggestions: localAdvice(analysis, stats, seed), source: 'local' };
+};
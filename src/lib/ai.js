@@ -0,0 +1,283 @@
+import { MIN_GAIN, MAX_GAIN, emptyGains, emptyReasons, normalizeGains } from './stats.js';
+
+// ---------------------------------
+// AI 评分服务 (Providers)
+// ---------------------------------
+// 每个服务商只负责「把提示词和JSON结构发给模型，并取回解析后的JSON」，
+// 评分的提示词、结构与结果整理统一在本文件中完成，
+// 因此无论使用哪个后端，调用方拿到的都是同样结构的 gains 对象。
+
+/**
+ * 指数退避重试 Fetch
+ */
+export const fetchWithBackoff = async (url, options, retries = 5, delay = 1000) => {
+  try {
+    const response = await fetch(url, options);
+    if (!response.ok) {
+      if (response.status === 429 && retries > 0) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+        return fetchWithBackoff(url, options, retries - 1, delay * 2);
+      }
+      throw new Error(`API request failed with status ${response.status}`);
+    }
+    return response.json();
+  } catch (error) {
+    console.error("API request error:", error);
+    throw error;
+  }
+};
+
+/**
+ * 去掉模型有时会包裹在JSON外面的 ```json 代码块标记
+ * @param {string} text
+ * @returns {object}
+ */
+const parseJsonText = (text) => {
+  const cleaned = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  return JSON.parse(cleaned);
+};
+
+/**
+ * 把标准 JSON Schema 转成 Gemini responseSchema 使用的大写类型格式
+ * @param {object} schema
+ * @returns {object}
+ */
+const toGeminiSchema = (schema) => {
+  const result = { ...schema, type: schema.type.toUpperCase() };
+  if (schema.properties) {
+    result.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+    );
+  }
+  if (schema.items) {
+    result.items = toGeminiSchema(schema.items);
+  }
+  return result;
+};
+
+/**
+ * Google Gemini (generateContent 接口)
+ */
+const requestGemini = async (config, prompt, schema) => {
+  const keyParam = config.apiKey ? `?key=${encodeURIComponent(config.apiKey)}` : '';
+  const url = `${config.baseUrl}/models/${config.model}:generateContent${keyParam}`;
+  const payload = {
+    contents: [{ parts: [{ text: prompt }] }],
+    generationConfig: {
+      responseMimeType: "application/json",
+      responseSchema: toGeminiSchema(schema),
+    },
+  };
+
+  const result = await fetchWithBackoff(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+  });
+
+  const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
+  if (!text) {
+    console.error("无效的API响应:", result);
+    throw new Error("Gemini 未返回有效内容。");
+  }
+  return parseJsonText(text);
+};
+
+/**
+ * OpenAI 兼容的 /chat/completions 接口。
+ * 本地服务 (Ollama、llama.cpp server) 也提供同样的接口，只是通常不需要密钥。
+ */
+const requestOpenAiCompatible = async (config, prompt) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.apiKey) {
+    headers.Authorization = `Bearer ${config.apiKey}`;
+  }
+  const payload = {
+    model: config.model,
+    messages: [{ role: 'user', content: prompt }],
+    response_format: { type: 'json_object' },
+    temperature: 0.3,
+  };
+
+  const result = await fetchWithBackoff(`${config.baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(payload),
+  });
+
+  const text = result.choices?.[0]?.message?.content;
+  if (!text) {
+    console.error("无效的API响应:", result);
+    throw new Error("模型未返回有效内容。");
+  }
+  return parseJsonText(text);
+};
+
+// 可选的服务商列表
+export const AI_PROVIDERS = {
+  gemini: {
+    label: 'Google Gemini',
+    defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    defaultModel: 'gemini-2.5-flash-preview-09-2025',
+    needsKey: true,
+    request: requestGemini,
+  },
+  openai: {
+    label: 'OpenAI 兼容接口',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    defaultModel: 'gpt-4o-mini',
+    needsKey: true,
+    request: requestOpenAiCompatible,
+  },
+  local: {
+    label: '本地模型 (Ollama / llama.cpp)',
+    defaultBaseUrl: 'http://localhost:11434/v1',
+    defaultModel: 'qwen2.5:7b',
+    needsKey: false,
+    request: requestOpenAiCompatible,
+  },
+};
+
+/**
+ * 某个服务商的默认配置
+ * @param {string} provider - AI_PROVIDERS 中的键
+ * @returns {object}
+ */
+export const defaultAiConfig = (provider = 'gemini') => ({
+  provider,
+  model: AI_PROVIDERS[provider].defaultModel,
+  baseUrl: AI_PROVIDERS[provider].defaultBaseUrl,
+  apiKey: '',
+});
+
+/**
+ * 使用当前配置向模型请求一个JSON结果。失败时抛出错误。
+ * @param {object} config - { provider, model, baseUrl, apiKey }
+ * @param {string} prompt - 完整的提示词
+ * @param {object} schema - 期望返回的 JSON Schema
+ * @returns {Promise<object>}
+ */
+export const requestAiJson = async (config, prompt, schema) => {
+  const provider = AI_PROVIDERS[config?.provider];
+  if (!provider) {
+    throw new Error(`未知的AI服务商: ${config?.provider}`);
+  }
+  const resolved = {
+    ...config,
+    model: config.model || provider.defaultModel,
+    baseUrl: (config.baseUrl || provider.defaultBaseUrl).replace(/\/+$/, ''),
+  };
+  return provider.request(resolved, prompt, schema);
+};
+
+/**
+ * 根据属性定义生成评分结果的 JSON Schema
+ * @param {Array<object>} stats - 启用的属性定义
+ * @returns {object}
+ */
+const buildScoreSchema = (stats) => {
+  const keys = stats.map(stat => stat.key);
+  return {
+    type: 'object',
+    properties: {
+      gains: {
+        type: 'object',
+        properties: Object.fromEntries(
+          stats.map(stat => [stat.key, { type: 'number', description: stat.name }])
+        ),
+        required: keys,
+      },
+      reasons: {
+        type: 'object',
+        properties: Object.fromEntries(
+          stats.map(stat => [stat.key, { type: 'string', description: `${stat.name}得分的理由` }])
+        ),
+        required: keys,
+      },
+      people: {
+        type: 'array',
+        items: { type: 'string' },
+        description: '事项或感受中提到的人',
+      },
+    },
+    required: ['gains', 'reasons'],
+  };
+};
+
+/**
+ * 根据属性定义生成评分提示词
+ * @param {string} activity
+ * @param {string} feeling
+ * @param {Array<object>} stats - 启用的属性定义
+ * @param {string[]} knownPeople - 已登记的羁绊对象名字
+ * @returns {string}
+ */
+const buildScoringPrompt = (activity, feeling, stats, knownPeople) => {
+  const keys = stats.map(stat => stat.key);
+  const statList = stats
+    .map(stat => `- ${stat.key}（${stat.name}）${stat.description ? `：${stat.description}` : ''}`)
+    .join('\n');
+
+  return `你是一个模拟《女神异闻录》系列中属性成长系统的AI助手。
+请根据用户提交的“今日事项”和“完成感受”，分析这项活动对用户的以下各项属性带来了哪些提升：
+${statList}
+
+- 事项: ${activity}
+- 感受: ${feeling}
+
+请评估每一项的提升点数，范围从${MIN_GAIN}到${MAX_GAIN}，并用一句简短的中文说明每一项的理由。
+如果事项或感受中提到了具体的人（朋友、家人、同事等），请在 people 中列出他们的名字或称呼，没有则返回空数组。${knownPeople.length > 0 ? `
+已登记的人物：${knownPeople.join('、')}。提到他们时请使用完全相同的名字。` : ''}
+请只返回一个JSON对象，格式如下：
+${JSON.stringify({ gains: emptyGains(keys), reasons: emptyReasons(keys), people: [] })}
+不要添加任何markdown标记或解释性文字。`;
+};
+
+/**
+ * 整理AI返回的理由：每一维都是字符串
+ * @param {object} raw
+ * @param {string[]} keys - 属性键
+ * @returns {object}
+ */
+export const normalizeReasons = (raw, keys) => {
+  const reasons = emptyReasons(keys);
+  if (!raw || typeof raw !== 'object') return reasons;
+  for (const key of keys) {
+    if (typeof raw[key] === 'string') {
+      reasons[key] = raw[key].trim();
+    }
+  }
+  return reasons;
+};
+
+/**
+ * 调用当前配置的AI服务来计算各属性的提升。失败时抛出错误，由调用方决定如何降级。
+ * 提示词和返回结构都由属性定义生成。
+ * @param {string} activity - 用户输入的活动
+ * @param {string} feeling - 用户输入的感受
+ * @param {object} config - AI服务配置
+ * @param {Array<object>} stats - 启用的属性定义
+ * @param {string[]} [knownPeople] - 已登记的羁绊对象名字，帮助AI使用一致的称呼
+ * @returns {Promise<{gains: object, reasons: object, people: string[]}>} - 各属性提升点数、理由及提到的人
+ */
+export const callAiModel = async (activity, feeling, config, stats, knownPeople = []) => {
+  const keys = stats.map(stat => stat.key);
+  const result = await requestAiJson(
+    config,
+    buildScoringPrompt(activity, feeling, stats, knownPeople),
+    buildScoreSchema(stats)
+  );
+  return {
+    gains: normalizeGains(result.gains, keys),
+    reasons: normalizeReasons(result.reasons, keys),
+    people: Array.isArray(result.people) ? result.people.filter(name => typeof name === 'string') : [],
+  };
+};
+
+/**
+ * 用一条示例记录测试当前配置是否可用。失败时抛出错误。
+ * @param {object} config - AI服务配置
+ * @param {Array<object>} stats - 启用的属性定义
+ * @returns {Promise<{gains: object, reasons: object}>} - 示例记录的评分结果
+ */
+export const testAiConnection = (config, stats) => callAiModel("读了一小时书", "学到了新知识", config, stats);
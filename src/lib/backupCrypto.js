@@ -0,0 +1,149 @@
+// ---------------------------------
+// 加密备份
+// ---------------------------------
+// 使用浏览器自带的 WebCrypto：口令经 PBKDF2 派生出 512 位，
+// 前 256 位作为 AES-GCM 的密钥，后 256 位的 SHA-256 作为口令校验值保存在文件中。
+// 这样解密时可以区分三种失败：
+// - 文件不是有效的加密备份（JSON 损坏、缺少字段）：damaged
+// - 口令校验值不一致：passphrase
+// - 口令正确但 AES-GCM 认证失败，说明密文或文件头被改动过：tampered
+// 文件头（算法参数、salt、iv）作为 AES-GCM 的附加数据参与认证。
+
+export const ENCRYPTED_BACKUP_FORMAT = 'persona-encrypted-backup';
+const ENCRYPTED_BACKUP_VERSION = 1;
+const PBKDF2_ITERATIONS = 310000;
+// 文件中的迭代次数只接受这个范围：过小说明文件不是本应用写的，过大会让解密长时间卡住界面
+const MIN_PBKDF2_ITERATIONS = PBKDF2_ITERATIONS;
+const MAX_PBKDF2_ITERATIONS = PBKDF2_ITERATIONS * 4;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+/**
+ * 解密失败时抛出的错误，reason 为 'damaged' | 'passphrase' | 'tampered'
+ */
+export class BackupDecryptError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'BackupDecryptError';
+    this.reason = reason;
+  }
+}
+
+const toBase64 = (bytes) => {
+  let binary = '';
+  // 分块转换，避免大文件时 String.fromCharCode 的参数过多
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+/**
+ * 从口令派生 AES 密钥和口令校验值
+ */
+const deriveKeys = async (passphrase, salt, iterations) => {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+  const bits = new Uint8Array(await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    512
+  ));
+  const key = await crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']);
+  const check = toBase64(new Uint8Array(await crypto.subtle.digest('SHA-256', bits.slice(32))));
+  return { key, check };
+};
+
+/**
+ * 参与认证的文件头
+ */
+const headerBytes = ({ format, version, kdf, cipher }) =>
+  new TextEncoder().encode(JSON.stringify({ format, version, kdf, cipher }));
+
+/**
+ * 判断文件内容是否是加密备份
+ * @param {string} text
+ * @returns {boolean}
+ */
+export const isEncryptedBackup = (text) => {
+  try {
+    return JSON.parse(text)?.format === ENCRYPTED_BACKUP_FORMAT;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * 用口令加密导出内容
+ * @param {string} plainText - 导出的 JSON 文本
+ * @param {string} passphrase
+ * @returns {Promise<string>} - 加密备份文件的内容（JSON）
+ */
+export const encryptBackup = async (plainText, passphrase) => {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const { key, check } = await deriveKeys(passphrase, salt, PBKDF2_ITERATIONS);
+  const header = {
+    format: ENCRYPTED_BACKUP_FORMAT,
+    version: ENCRYPTED_BACKUP_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+  };
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: headerBytes(header) },
+    key,
+    new TextEncoder().encode(plainText)
+  );
+  return JSON.stringify({ ...header, check, data: toBase64(new Uint8Array(data)) });
+};
+
+/**
+ * 解析加密备份的文件头，格式不对时抛出 damaged 错误
+ */
+const parseEnvelope = (text) => {
+  const damaged = new BackupDecryptError('damaged', '文件已损坏，不是有效的加密备份。');
+  let envelope;
+  try {
+    envelope = JSON.parse(text);
+  } catch {
+    throw damaged;
+  }
+  if (envelope?.format !== ENCRYPTED_BACKUP_FORMAT) throw damaged;
+  if (envelope.version !== ENCRYPTED_BACKUP_VERSION) {
+    throw new BackupDecryptError('damaged', `不支持的加密备份版本 (v${envelope.version})，请先升级应用。`);
+  }
+  const { kdf, cipher, check, data } = envelope;
+  if (kdf?.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || !Number.isInteger(kdf.iterations) ||
+      kdf.iterations < MIN_PBKDF2_ITERATIONS || kdf.iterations > MAX_PBKDF2_ITERATIONS ||
+      cipher?.name !== 'AES-GCM' || typeof check !== 'string' || typeof data !== 'string') {
+    throw damaged;
+  }
+  try {
+    return { envelope, salt: fromBase64(kdf.salt), iv: fromBase64(cipher.iv), data: fromBase64(data) };
+  } catch {
+    throw damaged;
+  }
+};
+
+/**
+ * 用口令解密加密备份
+ * @param {string} text - 加密备份文件的内容
+ * @param {string} passphrase
+ * @returns {Promise<string>} - 解密后的 JSON 文本
+ * @throws {BackupDecryptError}
+ */
+export const decryptBackup = async (text, passphrase) => {
+  const { envelope, salt, iv, data } = parseEnvelope(text);
+  const { key, check } = await deriveKeys(passphrase, salt, envelope.kdf.iterations);
+  if (check !== envelope.check) {
+    throw new BackupDecryptError('passphrase', '口令不正确。');
+  }
+  let plain;
+  try {
+    plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv, additionalData: headerBytes(envelope) }, key, data);
+  } catch {
+    throw new BackupDecryptError('tampered', '文件内容已被改动，校验失败，未导入任何数据。');
+  }
+  return new TextDecoder().decode(plain);
+};
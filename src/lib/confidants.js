@@ -0,0 +1,106 @@
+import { getRank } from './ranks.js';
+
+// ---------------------------------
+// 羁绊（Confidant）
+// ---------------------------------
+// 羁绊对象：{ id, name, arcana, notes: { [rank]: 升级时写下的笔记 }, createdAt }
+// 记录通过 confidantIds 关联羁绊对象。和属性一样，羁绊等级不单独保存，
+// 而是由关联的记录数推导，修改或删除记录后等级会自动更新。
+
+// 大阿卡纳，用作羁绊的“塔罗牌”
+export const ARCANA = [
+  '愚者', '魔术师', '女祭司', '女皇', '皇帝', '教皇', '恋人', '战车',
+  '正义', '隐者', '命运', '力量', '倒吊人', '死神', '节制', '恶魔',
+  '塔', '星', '月', '太阳', '审判', '世界',
+];
+
+// 达到各等级（Rank 1–10）需要的关联记录数，Rank 1 为登记时的初始等级
+const RANK_THRESHOLDS = [0, 1, 3, 5, 8, 11, 15, 19, 24, 30];
+
+export const CONFIDANT_RANK_TABLE = RANK_THRESHOLDS.map((threshold, i) => ({ title: `Rank ${i + 1}`, threshold }));
+
+/**
+ * 新建一个羁绊对象
+ * @param {string} name
+ * @param {string} arcana
+ * @returns {object}
+ */
+export const createConfidant = (name, arcana = ARCANA[0]) => ({
+  id: `confidant-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+  name: name.trim(),
+  arcana,
+  notes: {},
+  createdAt: new Date().toISOString(),
+});
+
+/**
+ * 根据关联记录数计算羁绊等级
+ * @param {number} count
+ * @returns {{rank: number, title: string, threshold: number, nextThreshold: number|null, progress: number}}
+ */
+export const getConfidantRank = (count) => getRank(count, CONFIDANT_RANK_TABLE);
+
+/**
+ * 比较前后两份关联记录数，找出等级提升的羁绊
+ * @param {Array<object>} confidants
+ * @param {Object<string, number>} before
+ * @param {Object<string, number>} after
+ * @returns {Array<{confidantId: string, rank: number}>}
+ */
+export const findConfidantRankUps = (confidants, before, after) => {
+  const rankUps = [];
+  for (const confidant of confidants) {
+    const oldRank = getConfidantRank(before[confidant.id] || 0).rank;
+    const newRank = getConfidantRank(after[confidant.id] || 0).rank;
+    if (newRank > oldRank) {
+      rankUps.push({ confidantId: confidant.id, rank: newRank });
+    }
+  }
+  return rankUps;
+};
+
+/**
+ * 找出文本中提到名字的羁绊对象
+ * @param {string} text
+ * @param {Array<object>} confidants
+ * @returns {string[]} - 羁绊id
+ */
+export const matchConfidantsInText = (text, confidants) => {
+  const lower = text.toLowerCase();
+  return confidants
+    .filter(confidant => confidant.name && lower.includes(confidant.name.toLowerCase()))
+    .map(confidant => confidant.id);
+};
+
+/**
+ * 把AI识别出的人名和羁绊名单对照：已登记的返回id，未登记的作为新名字返回
+ * @param {string[]} names - AI返回的人名
+ * @param {Array<object>} confidants
+ * @returns {{ids: string[], newNames: string[]}}
+ */
+export const resolvePeople = (names, confidants) => {
+  const ids = [];
+  const newNames = [];
+  for (const name of names) {
+    const trimmed = name.trim();
+    if (!trimmed) continue;
+    const found = confidants.find(confidant => confidant.name.toLowerCase() === trimmed.toLowerCase());
+    if (found) {
+      if (!ids.includes(found.id)) ids.push(found.id);
+    } else if (!newNames.includes(trimmed)) {
+      newNames.push(trimmed);
+    }
+  }
+  return { ids, newNames };
+};
+
+/**
+ * 合并两份羁绊名单：同一个 id 以 primary 中的为准，secondary 中独有的追加在后面
+ * @param {Array<object>} primary
+ * @param {Array<object>} secondary
+ * @returns {Array<object>}
+ */
+export const mergeConfidants = (primary, secondary) => {
+  const ids = new Set(primary.map(confidant => confidant.id));
+  return [...primary, ...secondary.filter(confidant => !ids.has(confidant.id))];
+};
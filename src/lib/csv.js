@@ -0,0 +1,268 @@
+import { TIME_SLOTS, parseDateStr, timeSlotLabel, timeSlotOrder, toDateStr } from './dates.js';
+import { entryTimestamp } from './merge.js';
+import { MIN_GAIN, MAX_GAIN, clampGain, emptyGains, emptyReasons } from './stats.js';
+
+// ---------------------------------
+// CSV 导出和导入
+// ---------------------------------
+// 导出：每条记录一行，每个属性一列，列名使用属性名称。
+// 文件以 UTF-8 BOM 开头，用 Excel 打开时中文不会乱码。
+// 导入：第一行是列名，由用户把各列对应到日期、事项、感受、时段和各项属性；
+// 任意一行有问题都不会导入，与 JSON 导入的校验方式一致。
+// 导入的记录 scoredBy 为 'import'，提升直接使用表格中的数值，不请求AI。
+// 有 id 列时沿用其中的 id：本机已有的记录在原记录上更新表格中的字段（羁绊对象、评分理由等保留），
+// 结果交给合并导入（planMerge），再次导入导出的表格不会产生重复记录。
+
+const CSV_BOM = '\uFEFF';
+
+// 未对应到任何列
+export const UNMAPPED = -1;
+
+// 以这些字符开头的单元格会被 Excel 和 Google 表格当作公式执行
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  const raw = value == null ? '' : String(value);
+  // 文本前加上单引号，表格软件会把它当作普通文本显示；导入时去掉
+  const text = typeof value === 'string' && FORMULA_PREFIX.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * 去掉导出时为防止公式执行而加上的单引号
+ * @param {string} text
+ * @returns {string}
+ */
+const unescapeFormula = (text) => (text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text);
+
+/**
+ * 把二维数组转成 CSV 文本
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+const toCsv = (rows) => `${CSV_BOM}${rows.map(row => row.map(escapeCell).join(',')).join('\r\n')}\r\n`;
+
+/**
+ * 按日期、时段和记录时间排序
+ * @param {Array<object>} entries
+ * @returns {Array<object>}
+ */
+export const sortEntriesChronologically = (entries) =>
+  [...entries].sort((a, b) =>
+    a.date.localeCompare(b.date) || timeSlotOrder(a.timeSlot) - timeSlotOrder(b.timeSlot) || entryTimestamp(a) - entryTimestamp(b)
+  );
+
+/**
+ * 导出的属性列：启用的属性，以及记录中仍有数值的已退役属性
+ * @param {Array<object>} entries
+ * @param {Array<object>} statDefinitions
+ * @returns {Array<object>}
+ */
+export const exportedStats = (entries, statDefinitions) =>
+  statDefinitions.filter(stat => !stat.retired || entries.some(entry => entry.gains[stat.key]));
+
+/**
+ * 把记录导出为 CSV
+ * @param {Array<object>} entries
+ * @param {Array<object>} statDefinitions
+ * @returns {string}
+ */
+export const entriesToCsv = (entries, statDefinitions) => {
+  const stats = exportedStats(entries, statDefinitions);
+  const header = ['日期', '时段', '事项', '感受', ...stats.map(stat => stat.name), '评分来源', 'id'];
+  const rows = sortEntriesChronologically(entries).map(entry => [
+    entry.date,
+    timeSlotLabel(entry.timeSlot),
+    entry.activity,
+    entry.feeling,
+    ...stats.map(stat => entry.gains[stat.key] || 0),
+    entry.scoredBy || '',
+    entry.id,
+  ]);
+  return toCsv([header, ...rows]);
+};
+
+/**
+ * 解析 CSV 文本（支持引号、引号内的逗号和换行、CRLF 以及开头的 BOM）
+ * @param {string} text
+ * @returns {string[][]} - 去掉了完全空白的行
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const source = text.startsWith(CSV_BOM) ? text.slice(1) : text;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * 根据列名猜测各字段对应的列，找不到的为 UNMAPPED
+ * @param {string[]} headers
+ * @param {Array<object>} stats - 启用的属性定义
+ * @returns {{date: number, activity: number, feeling: number, timeSlot: number, id: number, gains: object}}
+ */
+export const guessCsvMapping = (headers, stats) => {
+  const normalized = headers.map(header => header.trim().toLowerCase());
+  const find = (...names) => normalized.findIndex(header => names.includes(header));
+  return {
+    date: find('日期', 'date'),
+    activity: find('事项', '活动', 'activity'),
+    feeling: find('感受', 'feeling'),
+    timeSlot: find('时段', 'timeslot', 'time slot'),
+    id: find('id'),
+    gains: Object.fromEntries(stats.map(stat => [stat.key, find(stat.name.toLowerCase(), stat.key.toLowerCase())])),
+  };
+};
+
+/**
+ * 把表格中的日期转成 YYYY-MM-DD，支持 2024-01-05、2024/1/5、2024.1.5 和 2024年1月5日
+ * @param {string} value
+ * @returns {string|null} - 无效的日期为 null
+ */
+const parseCsvDate = (value) => {
+  const match = value.trim().match(/^(\d{4})[-/.年](\d{1,2})[-/.月](\d{1,2})日?$/);
+  if (!match) return null;
+  const dateStr = `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+  return toDateStr(parseDateStr(dateStr)) === dateStr ? dateStr : null;
+};
+
+/**
+ * 表格中的时段可以是显示名称或内部的 key
+ * @param {string} value
+ * @returns {string|null|undefined} - 空白为 undefined，无法识别为 null
+ */
+const parseCsvTimeSlot = (value) => {
+  const text = value.trim();
+  if (!text) return undefined;
+  return TIME_SLOTS.find(slot => slot.key === text || slot.label === text)?.key ?? null;
+};
+
+/**
+ * 按列的对应关系把表格行转成记录
+ * @param {string[][]} rows - 不含列名的数据行
+ * @param {object} mapping - guessCsvMapping 的结果，可能已被用户修改
+ * @param {Array<object>} stats - 启用的属性定义
+ * @param {Array<object>} currentEntries - 本机记录，id 相同的行在原记录上更新
+ * @returns {{entries: Array<object>, failures: Array<{row: number, problems: string[]}>}}
+ *   row 是数据行的序号，从 1 开始
+ */
+export const csvRowsToEntries = (rows, mapping, stats, currentEntries) => {
+  const keys = stats.map(stat => stat.key);
+  const now = new Date();
+  const cellOf = (row, column) => (column === UNMAPPED ? '' : unescapeFormula(row[column] ?? ''));
+  const currentById = new Map(currentEntries.map(entry => [entry.id, entry]));
+  const seenIds = new Set();
+  const entries = [];
+  const failures = [];
+
+  rows.forEach((row, index) => {
+    const problems = [];
+    const id = cellOf(row, mapping.id ?? UNMAPPED).trim();
+    if (id && seenIds.has(id)) problems.push(`id 重复 (${id})`);
+    if (id) seenIds.add(id);
+    const current = id ? currentById.get(id) : undefined;
+    const date = parseCsvDate(cellOf(row, mapping.date));
+    if (!date) problems.push(`日期无效 (${cellOf(row, mapping.date) || '空'})`);
+    // 已有的记录：没有对应列的事项和感受保留原来的内容
+    const keepActivity = current && mapping.activity === UNMAPPED;
+    const activity = keepActivity ? current.activity : cellOf(row, mapping.activity).trim();
+    if (!activity) problems.push('事项为空');
+    const timeSlot = parseCsvTimeSlot(cellOf(row, mapping.timeSlot));
+    if (timeSlot === null) problems.push(`未知的时段 (${cellOf(row, mapping.timeSlot)})`);
+
+    // 已有的记录：没有对应列的属性保留原来的数值
+    const gains = current ? { ...current.gains } : emptyGains(keys);
+    for (const { key, name } of stats) {
+      const column = mapping.gains[key] ?? UNMAPPED;
+      if (column === UNMAPPED) continue;
+      const text = cellOf(row, column).trim();
+      if (!text) {
+        gains[key] = 0;
+        continue;
+      }
+      const value = Number(text);
+      if (!Number.isFinite(value) || value < MIN_GAIN || value > MAX_GAIN) {
+        problems.push(`${name}的值应为 ${MIN_GAIN} 到 ${MAX_GAIN} 之间的数字 (${text})`);
+      } else {
+        gains[key] = clampGain(value);
+      }
+    }
+
+    if (problems.length > 0) {
+      failures.push({ row: index + 1, problems });
+      return;
+    }
+    const feeling = current && mapping.feeling === UNMAPPED ? current.feeling : cellOf(row, mapping.feeling).trim();
+
+    if (current) {
+      const updated = { ...current, date, ...(timeSlot ? { timeSlot } : {}), activity, feeling, gains };
+      // 提升改过的属性视为重新评分：以表格中的数值为新的基准，清空这些属性的评分理由；内容没有变化的记录原样保留
+      const changedKeys = Object.keys(gains).filter(key => (gains[key] || 0) !== (current.gains[key] || 0));
+      const changed = changedKeys.length > 0 || date !== current.date || activity !== current.activity ||
+        feeling !== current.feeling || updated.timeSlot !== current.timeSlot;
+      if (!changed) {
+        entries.push(current);
+        return;
+      }
+      const rescored = changedKeys.length === 0 ? {} : {
+        originalGains: {
+          ...(current.originalGains || current.gains),
+          ...Object.fromEntries(changedKeys.map(key => [key, gains[key]])),
+        },
+        reasons: { ...current.reasons, ...Object.fromEntries(changedKeys.map(key => [key, ''])) },
+        scoredBy: 'import',
+        provisional: false,
+      };
+      entries.push({ ...updated, ...rescored, updatedAt: now.toISOString() });
+      return;
+    }
+    entries.push({
+      id: id || now.toISOString() + Math.random(),
+      date,
+      ...(timeSlot ? { timeSlot } : {}),
+      createdAt: now.toISOString(),
+      activity,
+      feeling,
+      gains,
+      originalGains: { ...gains },
+      reasons: emptyReasons(keys),
+      scoredBy: 'import',
+      provisional: false,
+      confidantIds: [],
+    });
+  });
+
+  return { entries, failures };
+};
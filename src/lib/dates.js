@@ -0,0 +1,86 @@
+// ---------------------------------
+// 日期帮助函数
+// ---------------------------------
+// 记录中的日期统一使用本地时间的 YYYY-MM-DD 字符串。
+
+/**
+ * 把 Date 转成本地时间的 YYYY-MM-DD
+ * @param {Date} date
+ * @returns {string}
+ */
+export const toDateStr = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+/**
+ * 把 YYYY-MM-DD 解析成本地时间当天0点的 Date
+ * @param {string} dateStr
+ * @returns {Date}
+ */
+export const parseDateStr = (dateStr) => {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * 在 YYYY-MM-DD 上加减天数
+ * @param {string} dateStr
+ * @param {number} days
+ * @returns {string}
+ */
+export const addDays = (dateStr, days) => {
+  const date = parseDateStr(dateStr);
+  date.setDate(date.getDate() + days);
+  return toDateStr(date);
+};
+
+/**
+ * 两个 YYYY-MM-DD 之间相差的天数 (b - a)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export const daysBetween = (a, b) =>
+  Math.round((parseDateStr(b) - parseDateStr(a)) / (24 * 60 * 60 * 1000));
+
+/**
+ * 某一天所在周的周一
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {string}
+ */
+export const weekStart = (dateStr) => addDays(dateStr, -((parseDateStr(dateStr).getDay() + 6) % 7));
+
+// 《女神异闻录》式的时段，按开始的小时排列；evening 一直持续到第二天清晨
+export const TIME_SLOTS = [
+  { key: 'morning', label: '清晨', startHour: 5 },
+  { key: 'daytime', label: '白天', startHour: 9 },
+  { key: 'afterSchool', label: '放学后', startHour: 15 },
+  { key: 'evening', label: '夜晚', startHour: 18 },
+];
+
+/**
+ * 某个时刻（本地时间）所在的时段
+ * @param {Date} date
+ * @returns {string} - TIME_SLOTS 中的 key
+ */
+export const timeSlotOf = (date) => {
+  const hour = date.getHours();
+  const slot = [...TIME_SLOTS].reverse().find(item => hour >= item.startHour);
+  return slot ? slot.key : 'evening';
+};
+
+/**
+ * 时段的显示名称
+ * @param {string} key
+ * @returns {string}
+ */
+export const timeSlotLabel = (key) => TIME_SLOTS.find(slot => slot.key === key)?.label || '';
+
+/**
+ * 时段的先后顺序，用于排序；没有时段的记录排在最后
+ * @param {string} key
+ * @returns {number}
+ */
+export const timeSlotOrder = (key) => {
+  const index = TIME_SLOTS.findIndex(slot => slot.key === key);
+  return index === -1 ? TIME_SLOTS.length : index;
+};
@@ -0,0 +1,210 @@
+import { normalizeReasons, requestAiJson } from './ai.js';
+import { matchConfidantsInText, resolvePeople } from './confidants.js';
+import { TIME_SLOTS, timeSlotOf } from './dates.js';
+import { scoreWithRules } from './rules.js';
+import { MIN_GAIN, MAX_GAIN, emptyGains, emptyReasons, normalizeGains } from './stats.js';
+
+// ---------------------------------
+// 日记模式：把一段日记拆成多条记录
+// ---------------------------------
+// AI把整段文字拆成若干件事，每件事有自己的感受、时段、提升和提到的人。
+// 离线或AI失败时按句子拆分，并用离线规则给出临时评分。
+// 用户确认后，每条记录都带上 diaryId 和 diaryText（原文），可以追溯到来源的那段日记。
+// 拆分结果：{ key, activity, feeling, timeSlot, gains, originalGains, reasons, people, scoredBy, provisional }
+// gains 是用户可以调整的数值，originalGains 是AI（或离线规则）给出的原始数值。
+
+// 一段日记最多拆成多少条
+export const MAX_DIARY_ITEMS = 10;
+
+let itemCounter = 0;
+const nextItemKey = () => `diary-item-${++itemCounter}`;
+
+/**
+ * 新的日记 id，同一段日记拆出的记录共用
+ * @returns {string}
+ */
+const createDiaryId = () => `diary-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+const buildDiaryPrompt = (text, stats, knownPeople) => {
+  const keys = stats.map(stat => stat.key);
+  const statList = stats
+    .map(stat => `- ${stat.key}（${stat.name}）${stat.description ? `：${stat.description}` : ''}`)
+    .join('\n');
+  const slotList = TIME_SLOTS.map(slot => `${slot.key}（${slot.label}）`).join('、');
+
+  return `你是一个模拟《女神异闻录》系列中属性成长系统的AI助手。
+下面是用户写的一段日记，请把其中做过的事情拆成独立的条目（最多 ${MAX_DIARY_ITEMS} 条），
+只保留真正做过的事，不要把单纯的情绪或计划当作一条。
+每个条目包含：
+- activity：做了什么，一句话
+- feeling：日记中对这件事的感受，没有写就留空
+- timeSlot：发生的时段，取值为 ${slotList} 之一，无法判断就留空
+- gains：对以下各项属性的提升，范围从${MIN_GAIN}到${MAX_GAIN}
+${statList}
+- reasons：每一项得分的简短理由
+- people：这件事中提到的人，没有则为空数组${knownPeople.length > 0 ? `
+已登记的人物：${knownPeople.join('、')}。提到他们时请使用完全相同的名字。` : ''}
+
+日记：
+${text}
+
+请只返回一个JSON对象，格式如下：
+${JSON.stringify({ items: [{ activity: '', feeling: '', timeSlot: '', gains: emptyGains(keys), reasons: emptyReasons(keys), people: [] }] })}
+不要添加任何markdown标记或解释性文字。`;
+};
+
+const buildDiarySchema = (stats) => ({
+  type: 'object',
+  properties: {
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          activity: { type: 'string' },
+          feeling: { type: 'string' },
+          timeSlot: { type: 'string' },
+          gains: {
+            type: 'object',
+            properties: Object.fromEntries(stats.map(stat => [stat.key, { type: 'number', description: stat.name }])),
+          },
+          reasons: {
+            type: 'object',
+            properties: Object.fromEntries(stats.map(stat => [stat.key, { type: 'string' }])),
+          },
+          people: { type: 'array', items: { type: 'string' } },
+        },
+        required: ['activity', 'feeling', 'gains', 'reasons'],
+      },
+    },
+  },
+  required: ['items'],
+});
+
+/**
+ * 离线拆分：按换行和句末标点分句，每句一条，用规则评分
+ */
+const splitLocally = (text, scoringRules, keys) =>
+  text
+    .split(/[\n。！？!?；;]+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean)
+    .slice(0, MAX_DIARY_ITEMS)
+    .map(sentence => {
+      const { gains, reasons } = scoreWithRules(sentence, '', scoringRules, keys);
+      return {
+        key: nextItemKey(),
+        activity: sentence,
+        feeling: '',
+        timeSlot: '',
+        gains,
+        originalGains: gains,
+        reasons,
+        people: [],
+        scoredBy: 'rules',
+        provisional: true,
+      };
+    });
+
+/**
+ * 把一段日记拆成多条待确认的记录：优先使用AI，离线或失败时按句子拆分并用规则评分
+ * @param {string} text - 日记原文
+ * @param {object} aiConfig - AI服务配置
+ * @param {Array<object>} scoringRules - 离线评分规则
+ * @param {Array<object>} stats - 启用的属性定义
+ * @param {string[]} [knownPeople] - 已登记的羁绊对象名字
+ * @returns {Promise<Array<object>>}
+ */
+export const splitDiary = async (text, aiConfig, scoringRules, stats, knownPeople = []) => {
+  const keys = stats.map(stat => stat.key);
+  if (navigator.onLine) {
+    try {
+      const result = await requestAiJson(aiConfig, buildDiaryPrompt(text, stats, knownPeople), buildDiarySchema(stats));
+      const items = (Array.isArray(result.items) ? result.items : [])
+        .filter(item => item && typeof item.activity === 'string' && item.activity.trim())
+        .slice(0, MAX_DIARY_ITEMS)
+        .map(item => {
+          const gains = normalizeGains(item.gains, keys);
+          return {
+            key: nextItemKey(),
+            activity: item.activity.trim(),
+            feeling: typeof item.feeling === 'string' ? item.feeling.trim() : '',
+            timeSlot: TIME_SLOTS.some(slot => slot.key === item.timeSlot) ? item.timeSlot : '',
+            gains,
+            originalGains: gains,
+            reasons: normalizeReasons(item.reasons, keys),
+            people: Array.isArray(item.people) ? item.people.filter(name => typeof name === 'string') : [],
+            scoredBy: 'ai',
+            provisional: false,
+          };
+        });
+      if (items.length > 0) return items;
+    } catch (err) {
+      console.error("AI拆分日记失败，改用按句拆分:", err);
+    }
+  }
+  return splitLocally(text, scoringRules, keys);
+};
+
+const joinText = (a, b) => [a, b].filter(Boolean).join('；');
+
+/**
+ * 把两条拆分结果合并成一条：文字相连，提升相加（不超过单条上限），提到的人合并
+ * @param {object} a - 在前的一条，时段以它为准
+ * @param {object} b
+ * @param {string[]} keys - 启用的属性键
+ * @returns {object}
+ */
+export const mergeDiaryItems = (a, b, keys) => {
+  const reasons = emptyReasons(keys);
+  for (const key of keys) {
+    reasons[key] = joinText(a.reasons[key], b.reasons[key]);
+  }
+  const sum = (field) =>
+    normalizeGains(Object.fromEntries(keys.map(key => [key, (a[field][key] || 0) + (b[field][key] || 0)])), keys);
+  return {
+    key: nextItemKey(),
+    activity: joinText(a.activity, b.activity),
+    feeling: joinText(a.feeling, b.feeling),
+    timeSlot: a.timeSlot || b.timeSlot,
+    gains: sum('gains'),
+    originalGains: sum('originalGains'),
+    reasons,
+    people: [...new Set([...a.people, ...b.people])],
+    // 有一条是临时评分，合并后也需要等AI重新评分
+    scoredBy: a.scoredBy === 'ai' && b.scoredBy === 'ai' ? 'ai' : 'rules',
+    provisional: a.provisional || b.provisional,
+  };
+};
+
+/**
+ * 把确认后的拆分结果转成记录。提到的人中只关联已登记的羁绊对象。
+ * @param {Array<object>} items - 保留的拆分结果
+ * @param {string} date - 日记的日期 YYYY-MM-DD
+ * @param {string} text - 日记原文
+ * @param {Array<object>} confidants
+ * @returns {Array<object>}
+ */
+export const diaryItemsToEntries = (items, date, text, confidants) => {
+  const now = new Date();
+  const diaryId = createDiaryId();
+  return items.map(item => ({
+    id: now.toISOString() + Math.random(),
+    date,
+    timeSlot: item.timeSlot || timeSlotOf(now),
+    createdAt: now.toISOString(),
+    activity: item.activity,
+    feeling: item.feeling,
+    gains: item.gains,
+    originalGains: item.originalGains,
+    reasons: item.reasons,
+    scoredBy: item.scoredBy,
+    provisional: item.provisional,
+    confidantIds: [...new Set([
+      ...resolvePeople(item.people, confidants).ids,
+      ...matchConfidantsInText(`${item.activity} ${item.feeling}`, confidants),
+    ])],
+    diaryId,
+    diaryText: text,
+  }));
+};
@@ -0,0 +1,301 @@
+import { SCHEMA_VERSION, migrateData } from './schema.js';
+import { addToSummary, emptySummary } from './stats.js';
+
+// ---------------------------------
+// IndexedDB 记录存储
+// ---------------------------------
+// 每条记录单独存储，修改时只写入变化的记录。
+// 索引：date（按日期范围查询）和 confidantIds（按关联的羁绊对象查询，multiEntry）。
+// v1 建立的 gainedStats（按属性）索引在 v3 去掉：按属性的统计都由 loadEntrySummary 的按日汇总得出，
+// 没有按单个属性读取记录的地方。
+// 每个档案使用单独的数据库，默认档案沿用原来的数据库名。
+
+const DB_NAME = 'personaLife';
+const DEFAULT_PROFILE_ID = 'default';
+const DB_VERSION = 3;
+const ENTRY_STORE = 'entries';
+const META_STORE = 'meta';
+
+// 旧版本使用的 localStorage 键，首次打开数据库时迁移过来
+const LEGACY_ENTRIES_KEY = 'personaDailyEntries';
+const LEGACY_STATS_KEY = 'personaDailyStats';
+const LEGACY_VERSION_KEY = 'personaSchemaVersion';
+
+// 每个档案的数据库只打开一次：profileId -> Promise<IDBDatabase>
+const dbPromises = new Map();
+const readyPromises = new Map();
+
+const dbName = (profileId) => (profileId === DEFAULT_PROFILE_ID ? DB_NAME : `${DB_NAME}-${profileId}`);
+
+/**
+ * 把 IDBRequest 包装成 Promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * 等待事务完成
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error || new Error('IndexedDB 事务被中止'));
+});
+
+/**
+ * 打开档案的数据库（只打开一次）
+ * @param {string} profileId
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDb = (profileId) => {
+  if (!dbPromises.has(profileId)) {
+    dbPromises.set(profileId, new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName(profileId), DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        // v1：记录表、date 和 gainedStats 索引、meta 表
+        if (event.oldVersion < 1) {
+          const entries = db.createObjectStore(ENTRY_STORE, { keyPath: 'id' });
+          entries.createIndex('date', 'date');
+          entries.createIndex('gainedStats', 'gainedStats', { multiEntry: true });
+          db.createObjectStore(META_STORE);
+        }
+        // v2：confidantIds 索引
+        if (event.oldVersion < 2) {
+          request.transaction.objectStore(ENTRY_STORE)
+            .createIndex('confidantIds', 'confidantIds', { multiEntry: true });
+        }
+        // v3：去掉 gainedStats 索引和记录中为它保存的字段
+        if (event.oldVersion < 3) {
+          const entries = request.transaction.objectStore(ENTRY_STORE);
+          entries.deleteIndex('gainedStats');
+          entries.openCursor().onsuccess = (cursorEvent) => {
+            const cursor = cursorEvent.target.result;
+            if (!cursor) return;
+            if ('gainedStats' in cursor.value) {
+              const entry = { ...cursor.value };
+              delete entry.gainedStats;
+              cursor.update(entry);
+            }
+            cursor.continue();
+          };
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromises.delete(profileId);
+        reject(request.error);
+      };
+    }));
+  }
+  return dbPromises.get(profileId);
+};
+
+/**
+ * 首次打开数据库时，把 localStorage 中的旧数据迁移过来（只有默认档案有旧数据），
+ * 并把数据库中的记录升级到当前 schemaVersion。
+ * @param {IDBDatabase} db
+ * @param {string} profileId
+ */
+const migrate = async (db, profileId) => {
+  const readTx = db.transaction(META_STORE, 'readonly');
+  const storedVersion = await promisify(readTx.objectStore(META_STORE).get('schemaVersion'));
+  if (storedVersion === SCHEMA_VERSION) return;
+
+  let entries;
+  let fromVersion;
+  // 旧数据损坏时保留 localStorage 中的原始内容，不删除
+  let keepLegacy = false;
+  const hasLegacy = storedVersion === undefined && profileId === DEFAULT_PROFILE_ID;
+  if (storedVersion === undefined && !hasLegacy) {
+    entries = [];
+    fromVersion = SCHEMA_VERSION;
+  } else if (hasLegacy) {
+    // 数据库是新建的：从 localStorage 读取旧数据
+    const legacy = localStorage.getItem(LEGACY_ENTRIES_KEY);
+    try {
+      entries = legacy ? JSON.parse(legacy) : [];
+    } catch (e) {
+      console.error(`旧记录 (${LEGACY_ENTRIES_KEY}) 已损坏，未迁移，原始内容保留在 localStorage 中:`, e);
+      entries = [];
+      keepLegacy = true;
+    }
+    if (!Array.isArray(entries)) {
+      console.error(`旧记录 (${LEGACY_ENTRIES_KEY}) 不是数组，未迁移，原始内容保留在 localStorage 中`);
+      entries = [];
+      keepLegacy = true;
+    }
+    fromVersion = Number(localStorage.getItem(LEGACY_VERSION_KEY)) || 1;
+  } else {
+    const tx = db.transaction(ENTRY_STORE, 'readonly');
+    entries = await promisify(tx.objectStore(ENTRY_STORE).getAll());
+    fromVersion = storedVersion;
+  }
+
+  const migrated = migrateData({ schemaVersion: fromVersion, allEntries: entries });
+
+  const tx = db.transaction([ENTRY_STORE, META_STORE], 'readwrite');
+  const store = tx.objectStore(ENTRY_STORE);
+  store.clear();
+  migrated.allEntries.forEach(entry => store.put(entry));
+  tx.objectStore(META_STORE).put(SCHEMA_VERSION, 'schemaVersion');
+  await transactionDone(tx);
+
+  // 写入成功后再删除旧数据
+  if (hasLegacy && !keepLegacy) {
+    [LEGACY_ENTRIES_KEY, LEGACY_STATS_KEY, LEGACY_VERSION_KEY].forEach(key => localStorage.removeItem(key));
+  }
+};
+
+/**
+ * 打开档案的数据库并完成迁移
+ * @param {string} profileId
+ * @returns {Promise<IDBDatabase>}
+ */
+const ready = (profileId) => {
+  if (!readyPromises.has(profileId)) {
+    const promise = openDb(profileId).then(async (db) => {
+      await migrate(db, profileId);
+      return db;
+    });
+    // 失败时不缓存，下次读写时重新尝试
+    promise.catch(() => readyPromises.delete(profileId));
+    readyPromises.set(profileId, promise);
+  }
+  return readyPromises.get(profileId);
+};
+
+/**
+ * 读取全部记录
+ * @param {string} profileId
+ * @returns {Promise<Array<object>>}
+ */
+export const loadAllEntries = async (profileId) => {
+  const db = await ready(profileId);
+  const tx = db.transaction(ENTRY_STORE, 'readonly');
+  return promisify(tx.objectStore(ENTRY_STORE).getAll());
+};
+
+/**
+ * 读取一条记录
+ * @param {string} profileId
+ * @param {string} id
+ * @returns {Promise<object|undefined>}
+ */
+export const loadEntry = async (profileId, id) => {
+  const db = await ready(profileId);
+  const tx = db.transaction(ENTRY_STORE, 'readonly');
+  return promisify(tx.objectStore(ENTRY_STORE).get(id));
+};
+
+/**
+ * 逐条读取全部记录并汇总（见 stats.js 的 addToSummary），记录本身不保留
+ * @param {string} profileId
+ * @returns {Promise<object>}
+ */
+export const loadEntrySummary = async (profileId) => {
+  const db = await ready(profileId);
+  const tx = db.transaction(ENTRY_STORE, 'readonly');
+  const summary = emptySummary();
+  await new Promise((resolve, reject) => {
+    const request = tx.objectStore(ENTRY_STORE).openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      addToSummary(summary, cursor.value);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+  return summary;
+};
+
+/**
+ * 读取日期范围内的记录（包含两端）
+ * @param {string} profileId
+ * @param {string} start - YYYY-MM-DD
+ * @param {string} end - YYYY-MM-DD
+ * @returns {Promise<Array<object>>}
+ */
+export const loadEntriesByDateRange = async (profileId, start, end) => {
+  const db = await ready(profileId);
+  const tx = db.transaction(ENTRY_STORE, 'readonly');
+  const index = tx.objectStore(ENTRY_STORE).index('date');
+  return promisify(index.getAll(IDBKeyRange.bound(start, end)));
+};
+
+/**
+ * 读取关联了某个羁绊对象的全部记录
+ * @param {string} profileId
+ * @param {string} confidantId
+ * @returns {Promise<Array<object>>}
+ */
+export const loadEntriesByConfidant = async (profileId, confidantId) => {
+  const db = await ready(profileId);
+  const tx = db.transaction(ENTRY_STORE, 'readonly');
+  const index = tx.objectStore(ENTRY_STORE).index('confidantIds');
+  return promisify(index.getAll(confidantId));
+};
+
+/**
+ * 在一个事务中写入新增/修改的记录并删除记录
+ * @param {string} profileId
+ * @param {{put?: Array<object>, remove?: string[]}} changes - put 为要写入的完整记录，remove 为要删除的记录 id
+ * @returns {Promise<void>}
+ */
+export const saveEntryChanges = async (profileId, { put = [], remove = [] }) => {
+  if (put.length === 0 && remove.length === 0) return;
+
+  const db = await ready(profileId);
+  const tx = db.transaction(ENTRY_STORE, 'readwrite');
+  const store = tx.objectStore(ENTRY_STORE);
+  remove.forEach(id => store.delete(id));
+  put.forEach(entry => store.put(entry));
+  await transactionDone(tx);
+};
+
+/**
+ * 用给定的记录替换档案中的全部记录（导入其他档案的数据时使用）
+ * @param {string} profileId
+ * @param {Array<object>} entries
+ * @returns {Promise<void>}
+ */
+export const replaceAllEntries = async (profileId, entries) => {
+  const db = await ready(profileId);
+  const tx = db.transaction(ENTRY_STORE, 'readwrite');
+  const store = tx.objectStore(ENTRY_STORE);
+  store.clear();
+  entries.forEach(entry => store.put(entry));
+  await transactionDone(tx);
+};
+
+/**
+ * 删除档案的数据库
+ * @param {string} profileId
+ * @returns {Promise<void>}
+ */
+export const deleteEntryDatabase = async (profileId) => {
+  if (dbPromises.has(profileId)) {
+    try {
+      (await dbPromises.get(profileId)).close();
+    } catch {
+      // 数据库没能打开，直接删除
+    }
+    dbPromises.delete(profileId);
+    readyPromises.delete(profileId);
+  }
+  await new Promise((resolve, reject) => {
+    const request = indexedDB.deleteDatabase(dbName(profileId));
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+};
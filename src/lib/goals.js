@@ -0,0 +1,144 @@
+import { addDays, daysBetween, weekStart } from './dates.js';
+import { getRank, getRankTable } from './ranks.js';
+
+// ---------------------------------
+// 目标（任务）
+// ---------------------------------
+// 两种目标：
+// - rank：   在 deadline 之前让某一维达到 targetRank，例如“2026-12-31 前知识达到 Rank 5”
+// - weekly： 每周记录 count 次提升某一维的事项，例如“每周 3 次勇气活动”，deadline 可以为空
+// 进度始终由记录推导。目标结束（完成或错过）后写入 result 并进入归档，之后不再变化。
+
+export const GOAL_TYPES = {
+  rank: '达到等级',
+  weekly: '每周次数',
+};
+
+/**
+ * 把目标等级限制在等级表的范围内（换了属性或等级表后，原来的等级可能超出新表）
+ * @param {number} targetRank
+ * @param {Array<object>} table - 等级表
+ * @returns {number}
+ */
+export const clampTargetRank = (targetRank, table) =>
+  Math.min(Math.max(1, Math.floor(Number(targetRank)) || 1), table.length);
+
+/**
+ * 新建一个目标
+ * @param {object} fields - { type, stat, targetRank?, count?, deadline? }
+ * @param {string} today - YYYY-MM-DD
+ * @param {string} rankPreset - 当前的等级表预设，等级目标的 targetRank 会限制在表的范围内
+ * @returns {object}
+ */
+export const createGoal = (fields, today, rankPreset) => ({
+  id: `goal-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+  createdAt: today,
+  deadline: null,
+  result: null,
+  ...fields,
+  ...(fields.type === 'rank'
+    ? { targetRank: clampTargetRank(fields.targetRank, getRankTable(rankPreset, fields.stat)) }
+    : {}),
+});
+
+/**
+ * 某一维在某天之前（不含）的累计点数
+ */
+const totalBefore = (days, stat, date) =>
+  Object.entries(days).reduce((sum, [day, { gains }]) => (day < date ? sum + (gains[stat] || 0) : sum), 0);
+
+/**
+ * 计算等级目标的进度。按创建时到截止日的时间线性分配所需点数，当前点数不低于应有点数即为“进度正常”。
+ */
+const evaluateRankGoal = (goal, days, today, rankPreset) => {
+  const table = getRankTable(rankPreset, goal.stat);
+  // 之后换了等级表时，超出新表的目标按最高等级计算
+  const targetRank = clampTargetRank(goal.targetRank, table);
+  const target = table[targetRank - 1];
+  const current = totalBefore(days, goal.stat, addDays(today, 1));
+  const start = totalBefore(days, goal.stat, goal.createdAt);
+  const needed = Math.max(1, target.threshold - start);
+  const progress = Math.min(100, Math.max(0, Math.floor(((current - start) / needed) * 100)));
+  const base = { progress, current, target: target.threshold };
+
+  if (getRank(current, table).rank >= targetRank) return { ...base, status: 'done' };
+  if (today > goal.deadline) return { ...base, status: 'missed' };
+
+  const totalDays = Math.max(1, daysBetween(goal.createdAt, goal.deadline) + 1);
+  const elapsed = daysBetween(goal.createdAt, today) + 1;
+  const expected = start + needed * Math.min(1, elapsed / totalDays);
+  return { ...base, status: current >= expected ? 'onTrack' : 'behind' };
+};
+
+/**
+ * 计算每周次数目标的进度。进行中时看本周：已完成次数不低于按天数分配的次数即为“进度正常”；
+ * 截止日过后，从创建那周到截止那周每周都达标才算完成。
+ */
+const evaluateWeeklyGoal = (goal, days, today) => {
+  const countByWeek = {};
+  for (const [date, { gained }] of Object.entries(days)) {
+    if (date < weekStart(goal.createdAt) || !gained[goal.stat]) continue;
+    const week = weekStart(date);
+    countByWeek[week] = (countByWeek[week] || 0) + gained[goal.stat];
+  }
+
+  const lastWeek = weekStart(goal.deadline && today > goal.deadline ? goal.deadline : today);
+  const weeks = [];
+  for (let week = weekStart(goal.createdAt); week <= lastWeek; week = addDays(week, 7)) {
+    weeks.push(week);
+  }
+  const weeksMet = weeks.filter(week => (countByWeek[week] || 0) >= goal.count).length;
+
+  if (goal.deadline && today > goal.deadline) {
+    return {
+      status: weeksMet === weeks.length ? 'done' : 'missed',
+      progress: Math.floor((weeksMet / weeks.length) * 100),
+      current: weeksMet,
+      target: weeks.length,
+    };
+  }
+
+  const current = countByWeek[weekStart(today)] || 0;
+  const elapsed = daysBetween(weekStart(today), today) + 1;
+  const expected = Math.floor((goal.count * elapsed) / 7);
+  return {
+    status: current >= expected ? 'onTrack' : 'behind',
+    progress: Math.min(100, Math.floor((current / goal.count) * 100)),
+    current,
+    target: goal.count,
+  };
+};
+
+/**
+ * 计算目标的当前状态
+ * @param {object} goal
+ * @param {Object<string, object>} days - 记录汇总中的 days（见 stats.js 的 addToSummary）
+ * @param {string} today - YYYY-MM-DD
+ * @param {string} rankPreset - 等级表预设
+ * @returns {{status: 'onTrack'|'behind'|'done'|'missed', progress: number, current: number, target: number}}
+ *   rank 目标的 current/target 是点数；weekly 目标进行中时是本周次数，结束后是达标周数/总周数
+ */
+export const evaluateGoal = (goal, days, today, rankPreset) =>
+  goal.type === 'rank'
+    ? evaluateRankGoal(goal, days, today, rankPreset)
+    : evaluateWeeklyGoal(goal, days, today);
+
+/**
+ * 把已经完成或错过的进行中目标写入 result，移入归档
+ * @param {Array<object>} goals
+ * @param {Object<string, object>} days - 记录汇总中的 days（见 stats.js 的 addToSummary）
+ * @param {string} today - YYYY-MM-DD
+ * @param {string} rankPreset
+ * @returns {Array<object>} - 没有变化时返回原数组
+ */
+export const resolveGoals = (goals, days, today, rankPreset) => {
+  let changed = false;
+  const next = goals.map(goal => {
+    if (goal.result) return goal;
+    const { status } = evaluateGoal(goal, days, today, rankPreset);
+    if (status !== 'done' && status !== 'missed') return goal;
+    changed = true;
+    return { ...goal, result: { status, date: today } };
+  });
+  return changed ? next : goals;
+};
@@ -0,0 +1,93 @@
+import { toDateStr, addDays, daysBetween } from './dates.js';
+
+// ---------------------------------
+// 属性历史数据（用于图表）
+// ---------------------------------
+
+// 图表可选的时间范围；bucket 为每个数据点覆盖的天数
+export const CHART_RANGES = {
+  week: { label: '周', days: 7, bucket: 1 },
+  month: { label: '月', days: 30, bucket: 1 },
+  year: { label: '年', days: 364, bucket: 7 },
+  all: { label: '全部', days: null, bucket: 7 },
+};
+
+/**
+ * 按日期汇总全部记录的各属性提升
+ * @param {Array<object>} entries - 全部记录
+ * @returns {Object<string, object>} - { 'YYYY-MM-DD': { 属性键: 当天提升 } }
+ */
+export const sumGainsByDate = (entries) => {
+  const totals = {};
+  for (const entry of entries) {
+    const day = totals[entry.date] || (totals[entry.date] = {});
+    for (const [key, value] of Object.entries(entry.gains || {})) {
+      day[key] = (day[key] || 0) + (Number(value) || 0);
+    }
+  }
+  return totals;
+};
+
+/**
+ * 计算某个范围的起止日期
+ * @param {Object<string, object>} dailyTotals - sumGainsByDate 的结果
+ * @param {string} rangeKey - CHART_RANGES 中的键
+ * @param {number} periodOffset - 向前偏移几个周期（0为当前周期，1为上一周期）
+ * @param {string} today - 今天的 YYYY-MM-DD
+ * @returns {{start: string, end: string}}
+ */
+export const getRangeBounds = (dailyTotals, rangeKey, periodOffset = 0, today = toDateStr(new Date())) => {
+  const range = CHART_RANGES[rangeKey];
+  if (range.days === null) {
+    const dates = Object.keys(dailyTotals).sort();
+    return { start: dates[0] || today, end: today };
+  }
+  const end = addDays(today, -range.days * periodOffset);
+  return { start: addDays(end, -(range.days - 1)), end };
+};
+
+/**
+ * 生成某一维在某个范围内的折线数据
+ * @param {Object<string, object>} dailyTotals - sumGainsByDate 的结果
+ * @param {string} stat - 维度键
+ * @param {string} rangeKey - CHART_RANGES 中的键
+ * @param {string} mode - 'cumulative' 累计总数，'gain' 每个数据点期间的提升
+ * @param {object} [options]
+ * @param {number} [options.periodOffset] - 向前偏移几个周期，用于对比
+ * @param {string} [options.today] - 今天的 YYYY-MM-DD
+ * @param {number} [options.total] - 该维当前的总点数。dailyTotals 只包含从某天到今天的记录时，
+ *   用它推算范围开始之前的累计值；不提供时假定 dailyTotals 包含全部记录
+ * @returns {Array<{date: string, value: number}>}
+ */
+export const buildStatSeries = (dailyTotals, stat, rangeKey, mode, { periodOffset = 0, today, total } = {}) => {
+  const { bucket } = CHART_RANGES[rangeKey];
+  const { start, end } = getRangeBounds(dailyTotals, rangeKey, periodOffset, today);
+
+  // 累计模式需要加上范围开始之前的全部提升
+  let running = 0;
+  if (mode === 'cumulative') {
+    if (total === undefined) {
+      for (const [date, gains] of Object.entries(dailyTotals)) {
+        if (date < start) running += gains[stat] || 0;
+      }
+    } else {
+      running = total;
+      for (const [date, gains] of Object.entries(dailyTotals)) {
+        if (date >= start) running -= gains[stat] || 0;
+      }
+    }
+  }
+
+  const points = [];
+  const totalDays = daysBetween(start, end) + 1;
+  for (let offset = 0; offset < totalDays; offset += bucket) {
+    const bucketStart = addDays(start, offset);
+    let gain = 0;
+    for (let i = 0; i < bucket && offset + i < totalDays; i++) {
+      gain += dailyTotals[addDays(bucketStart, i)]?.[stat] || 0;
+    }
+    running += gain;
+    points.push({ date: bucketStart, value: mode === 'cumulative' ? running : gain });
+  }
+  return points;
+};
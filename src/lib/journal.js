@@ -0,0 +1,65 @@
+import { sortEntriesChronologically } from './csv.js';
+import { parseDateStr, timeSlotLabel } from './dates.js';
+
+// ---------------------------------
+// Markdown 日志导出
+// ---------------------------------
+// 按日期分组，每天先列出当天的总提升，再按时段列出每条记录的事项、感受和提升。
+
+const WEEKDAYS = ['日', '一', '二', '三', '四', '五', '六'];
+
+/**
+ * 把提升写成“知识 +2、魅力 +1”，没有提升时为空字符串
+ * @param {object} gains
+ * @param {Array<object>} stats - 要列出的属性定义
+ * @returns {string}
+ */
+const formatGains = (gains, stats) => stats
+  .filter(stat => gains[stat.key] > 0)
+  .map(stat => `${stat.name} +${gains[stat.key]}`)
+  .join('、');
+
+/**
+ * Markdown 中会被当作格式的字符前加上反斜杠
+ */
+const escapeMarkdown = (text) => text.replace(/([\\`*_[\]#<>|])/g, '\\$1');
+
+/**
+ * 把记录导出为按天分组的 Markdown 日志
+ * @param {Array<object>} entries
+ * @param {Array<object>} statDefinitions - 全部属性定义（包括已退役的，旧记录中的提升也会列出）
+ * @param {string} title - 日志标题
+ * @returns {string}
+ */
+export const entriesToMarkdown = (entries, statDefinitions, title) => {
+  const lines = [`# ${escapeMarkdown(title)}`, ''];
+  const byDate = new Map();
+  for (const entry of sortEntriesChronologically(entries)) {
+    if (!byDate.has(entry.date)) byDate.set(entry.date, []);
+    byDate.get(entry.date).push(entry);
+  }
+
+  for (const [date, dayEntries] of byDate) {
+    lines.push(`## ${date} 星期${WEEKDAYS[parseDateStr(date).getDay()]}`, '');
+    const totals = {};
+    for (const entry of dayEntries) {
+      for (const [key, value] of Object.entries(entry.gains)) {
+        totals[key] = (totals[key] || 0) + value;
+      }
+    }
+    const dayGains = formatGains(totals, statDefinitions);
+    if (dayGains) lines.push(`**今日提升**：${dayGains}`, '');
+
+    for (const entry of dayEntries) {
+      const slot = timeSlotLabel(entry.timeSlot);
+      lines.push(`### ${slot ? `${slot}｜` : ''}${escapeMarkdown(entry.activity)}`, '');
+      if (entry.feeling) {
+        lines.push(...entry.feeling.split('\n').map(line => `> ${escapeMarkdown(line)}`), '');
+      }
+      const gains = formatGains(entry.gains, statDefinitions);
+      lines.push(gains ? `提升：${gains}` : '没有提升', '');
+    }
+  }
+
+  return `${lines.join('\n').trimEnd()}\n`;
+};
@@ -0,0 +1,95 @@
+// ---------------------------------
+// 合并导入
+// ---------------------------------
+// 按 id 匹配本机记录和导入文件中的记录：
+// 只在导入文件中的记录会被添加，两边内容不同的记录需要选择保留哪一边，
+// 内容相同的记录保持不变。
+
+/**
+ * 记录最后一次修改的时间（毫秒）。旧记录没有 updatedAt，就用 id 开头的创建时间。
+ * @param {object} entry
+ * @returns {number}
+ */
+export const entryTimestamp = (entry) => {
+  const candidates = [entry.updatedAt, entry.createdAt, String(entry.id).slice(0, 24)];
+  for (const value of candidates) {
+    const time = value ? new Date(value).getTime() : NaN;
+    if (Number.isFinite(time)) return time;
+  }
+  return 0;
+};
+
+/**
+ * 判断两条记录的内容是否相同
+ * @param {object} a
+ * @param {object} b
+ * @returns {boolean}
+ */
+const isSameEntry = (a, b) => {
+  const keys = new Set([...Object.keys(a.gains || {}), ...Object.keys(b.gains || {})]);
+  return a.date === b.date &&
+    a.activity === b.activity &&
+    a.feeling === b.feeling &&
+    Boolean(a.provisional) === Boolean(b.provisional) &&
+    (a.confidantIds || []).join() === (b.confidantIds || []).join() &&
+    [...keys].every(key => (a.gains?.[key] || 0) === (b.gains?.[key] || 0));
+};
+
+/**
+ * 比较本机记录和导入记录，生成合并预览
+ * @param {Array<object>} currentEntries - 本机记录
+ * @param {Array<object>} incomingEntries - 导入文件中的记录
+ * @returns {{added: Array<object>, conflicts: Array<{id: string, current: object, incoming: object}>, unchanged: number, localOnly: number}}
+ */
+export const planMerge = (currentEntries, incomingEntries) => {
+  const currentById = new Map(currentEntries.map(entry => [entry.id, entry]));
+  const incomingIds = new Set();
+  const added = [];
+  const conflicts = [];
+  let unchanged = 0;
+
+  for (const incoming of incomingEntries) {
+    incomingIds.add(incoming.id);
+    const current = currentById.get(incoming.id);
+    if (!current) {
+      added.push(incoming);
+    } else if (isSameEntry(current, incoming)) {
+      unchanged++;
+    } else {
+      conflicts.push({ id: incoming.id, current, incoming });
+    }
+  }
+
+  const localOnly = currentEntries.filter(entry => !incomingIds.has(entry.id)).length;
+  return { added, conflicts, unchanged, localOnly };
+};
+
+/**
+ * “保留较新的”：为每个冲突选择修改时间更晚的一边，时间相同时保留本机
+ * @param {Array<{id: string, current: object, incoming: object}>} conflicts
+ * @returns {Object<string, 'current'|'incoming'>}
+ */
+export const resolveNewest = (conflicts) =>
+  Object.fromEntries(conflicts.map(({ id, current, incoming }) => [
+    id,
+    entryTimestamp(incoming) > entryTimestamp(current) ? 'incoming' : 'current',
+  ]));
+
+/**
+ * 按预览和每个冲突的选择生成合并后的记录
+ * @param {Array<object>} currentEntries - 本机记录
+ * @param {object} plan - planMerge 的结果
+ * @param {Object<string, 'current'|'incoming'>} resolutions - 每个冲突的选择，未选择的保留本机
+ * @returns {Array<object>}
+ */
+export const applyMerge = (currentEntries, plan, resolutions) => {
+  const replacements = new Map(
+    plan.conflicts
+      .filter(({ id }) => resolutions[id] === 'incoming')
+      .map(({ id, incoming }) => [id, incoming])
+  );
+  return [
+    ...currentEntries.map(entry => replacements.get(entry.id) || entry),
+    ...plan.added,
+  ];
+};
@@ -0,0 +1,116 @@
+import { Filesystem, Directory, Encoding } from '@capacitor/filesystem';
+
+// ---------------------------------
+// 平台相关的文件操作
+// ---------------------------------
+// 在 Electron 桌面版中，preload.cjs 会暴露 window.personaDesktop，
+// 此时导出/导入使用系统对话框，数据另外保存一份到应用数据目录。
+// 其他平台（浏览器、Capacitor 安卓）导出到“文档”目录，导入使用文件选择框。
+
+/**
+ * Electron 桌面版提供的接口，不在桌面版时为 null
+ * @returns {object|null}
+ */
+export const getDesktopBridge = () => window.personaDesktop || null;
+
+export const isDesktop = () => getDesktopBridge() !== null;
+
+/**
+ * 导出文件
+ * @param {string} fileName - 默认文件名
+ * @param {string} content - 文件内容
+ * @param {string} [mimeName] - 文件类型说明，用于桌面版对话框的过滤器
+ * @returns {Promise<string|null>} - 保存位置的说明，用户取消时为 null
+ */
+export const saveExportFile = async (fileName, content, mimeName = 'JSON') => {
+  const bridge = getDesktopBridge();
+  if (bridge) {
+    const extension = fileName.split('.').pop();
+    return bridge.saveFile({
+      defaultName: fileName,
+      content,
+      filters: [{ name: mimeName, extensions: [extension] }],
+    });
+  }
+
+  // 使用Capacitor Filesystem API
+  await Filesystem.writeFile({
+    path: fileName,
+    data: content,
+    directory: Directory.Documents, // 保存到应用"文档"目录
+    encoding: Encoding.UTF8,
+  });
+  return `文档/${fileName}`;
+};
+
+// 自动备份保存在“文档”下的这个目录（桌面版保存在应用数据目录下）
+const BACKUP_DIR = 'persona_backups';
+
+/**
+ * 写入一份自动备份，并删除最旧的备份，只保留最近 keep 份。
+ * 文件名为 prefix 加上以数字开头、按时间顺序排序的时间戳，
+ * 只清理同一 prefix 的备份，不同档案的备份互不影响。
+ * @param {string} prefix
+ * @param {string} fileName
+ * @param {string} content
+ * @param {number} keep
+ * @returns {Promise<void>}
+ */
+export const saveRollingBackup = async (prefix, fileName, content, keep) => {
+  const isOwnBackup = (name) => name.startsWith(prefix) && /^\d/.test(name.slice(prefix.length));
+  const bridge = getDesktopBridge();
+  if (bridge) {
+    await bridge.writeBackup(fileName, content);
+    const names = (await bridge.listBackups()).filter(isOwnBackup).sort();
+    await Promise.all(names.slice(0, Math.max(0, names.length - keep)).map(name => bridge.deleteBackup(name)));
+    return;
+  }
+
+  await Filesystem.writeFile({
+    path: `${BACKUP_DIR}/${fileName}`,
+    data: content,
+    directory: Directory.Documents,
+    encoding: Encoding.UTF8,
+    recursive: true,
+  });
+  const { files } = await Filesystem.readdir({ path: BACKUP_DIR, directory: Directory.Documents });
+  const names = files.map(file => file.name).filter(name => name.endsWith('.json') && isOwnBackup(name)).sort();
+  await Promise.all(names.slice(0, Math.max(0, names.length - keep)).map(name =>
+    Filesystem.deleteFile({ path: `${BACKUP_DIR}/${name}`, directory: Directory.Documents })
+  ));
+};
+
+/**
+ * 桌面版：通过系统对话框选择并读取文件
+ * @param {string[]} extensions - 允许的扩展名
+ * @returns {Promise<{name: string, content: string}|null>} - 用户取消时为 null
+ */
+export const openImportFile = (extensions = ['json']) =>
+  getDesktopBridge().openFile({ filters: [{ name: extensions.join('/').toUpperCase(), extensions }] });
+
+/**
+ * 桌面版：读取应用数据目录下档案的数据文件
+ * @param {string} profileId
+ * @returns {Promise<object|null>}
+ */
+export const readDesktopDataFile = async (profileId) => {
+  const text = await getDesktopBridge().readDataFile(profileId);
+  return text ? JSON.parse(text) : null;
+};
+
+/**
+ * 桌面版：把数据写入应用数据目录下档案的数据文件
+ * @param {string} profileId
+ * @param {object} data
+ * @returns {Promise<void>}
+ */
+export const writeDesktopDataFile = (profileId, data) =>
+  getDesktopBridge().writeDataFile(profileId, JSON.stringify(data));
+
+/**
+ * 桌面版：删除档案的数据文件
+ * @param {string} profileId
+ * @returns {Promise<void>}
+ */
+export const deleteDesktopDataFile = (profileId) =>
+  getDesktopBridge().deleteDataFile(profileId);
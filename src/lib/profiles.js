@@ -0,0 +1,212 @@
+import { mergeConfidants } from './confidants.js';
+import { deleteEntryDatabase, loadAllEntries, replaceAllEntries } from './entryStore.js';
+import { deleteDesktopDataFile, isDesktop, writeDesktopDataFile } from './platform.js';
+import { mergeReports } from './reports.js';
+import { SCHEMA_VERSION, buildBackup, parseBackup } from './schema.js';
+import { DEFAULT_STAT_DEFINITIONS, activeStats, computeStats, mergeStatDefinitions } from './stats.js';
+
+// ---------------------------------
+// 多档案
+// ---------------------------------
+// 档案：{ id, name }。档案列表和当前档案保存在全局的 localStorage 键中，
+// 其余数据每个档案各有一份：记录保存在档案自己的 IndexedDB 数据库，
+// 设置（属性、AI服务、羁绊对象等）保存在带档案后缀的 localStorage 键中。
+// 默认档案沿用原来的键和数据库名，升级前的数据自动成为默认档案。
+// “全部档案”的备份文件：{ format, schemaVersion, exportDate, profiles: [{ id, name, data }] }，
+// data 与单个档案的导出文件格式相同。
+
+export const DEFAULT_PROFILE_ID = 'default';
+export const DEFAULT_PROFILES = [{ id: DEFAULT_PROFILE_ID, name: '我' }];
+export const PROFILES_BUNDLE_FORMAT = 'persona-profiles';
+
+// 档案 id 会用在数据库名和桌面版的文件名中
+const PROFILE_ID_PATTERN = /^[a-z0-9-]+$/;
+
+// 每个档案单独保存的 localStorage 键，删除档案时一并清除
+export const PROFILE_SETTING_KEYS = [
+  'personaStatDefinitions', 'personaRankPreset', 'personaRankHistory', 'personaConfidants',
+  'personaReports', 'personaTemplates', 'personaScoreCache', 'personaAutoBackup', 'personaLastAutoBackup',
+  'personaSyncConfig', 'personaSyncState', 'personaLastSync', 'personaGoals',
+  'personaAiConfig', 'personaScoringRules', 'personaReminders',
+];
+
+/**
+ * 档案的 localStorage 键
+ * @param {string} profileId
+ * @param {string} key - PROFILE_SETTING_KEYS 中的键
+ * @returns {string}
+ */
+export const profileStorageKey = (profileId, key) =>
+  (profileId === DEFAULT_PROFILE_ID ? key : `${key}:${profileId}`);
+
+/**
+ * 自动备份文件名的前缀，不同档案的备份分开清理
+ * @param {string} profileId
+ * @returns {string}
+ */
+export const profileBackupPrefix = (profileId) =>
+  (profileId === DEFAULT_PROFILE_ID ? 'persona_backup_' : `persona_backup_${profileId}_`);
+
+/**
+ * 新建一个档案
+ * @param {string} name
+ * @returns {{id: string, name: string}}
+ */
+export const createProfile = (name) => ({
+  id: `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+  name: name.trim(),
+});
+
+const readSetting = (profileId, key, fallback) => {
+  try {
+    const stored = localStorage.getItem(profileStorageKey(profileId, key));
+    return stored ? JSON.parse(stored) : fallback;
+  } catch (e) {
+    console.error(`读取档案设置失败 (key: ${key}):`, e);
+    return fallback;
+  }
+};
+
+const writeSetting = (profileId, key, value) => {
+  localStorage.setItem(profileStorageKey(profileId, key), JSON.stringify(value));
+};
+
+/**
+ * 导出一个档案的数据，格式与设置中的导出相同
+ * @param {string} profileId
+ * @returns {Promise<object>}
+ */
+const buildProfileBackup = async (profileId) => {
+  const allEntries = await loadAllEntries(profileId);
+  const statDefinitions = readSetting(profileId, 'personaStatDefinitions', DEFAULT_STAT_DEFINITIONS);
+  return buildBackup({
+    statDefinitions,
+    confidants: readSetting(profileId, 'personaConfidants', []),
+    reports: readSetting(profileId, 'personaReports', []),
+    allEntries,
+    playerStats: computeStats(allEntries, activeStats(statDefinitions).map(stat => stat.key)),
+  });
+};
+
+/**
+ * 导出全部档案
+ * @param {Array<object>} profiles
+ * @returns {Promise<object>}
+ */
+export const buildProfilesBundle = async (profiles) => ({
+  format: PROFILES_BUNDLE_FORMAT,
+  schemaVersion: SCHEMA_VERSION,
+  exportDate: new Date().toISOString(),
+  profiles: await Promise.all(profiles.map(async profile => ({
+    id: profile.id,
+    name: profile.name,
+    data: await buildProfileBackup(profile.id),
+  }))),
+});
+
+/**
+ * 判断文件内容是否是全部档案的备份
+ * @param {string} text
+ * @returns {boolean}
+ */
+export const isProfilesBundle = (text) => {
+  try {
+    return JSON.parse(text)?.format === PROFILES_BUNDLE_FORMAT;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * 解析并校验全部档案的备份，任意一个档案有问题都拒绝整个文件
+ * @param {string} text
+ * @returns {Array<{id: string, name: string, data: object}>}
+ */
+export const parseProfilesBundle = (text) => {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch {
+    throw new Error("文件不是有效的 JSON。");
+  }
+  if (!Array.isArray(bundle?.profiles) || bundle.profiles.length === 0) {
+    throw new Error("无效的档案备份：没有任何档案。");
+  }
+  const seen = new Set();
+  return bundle.profiles.map((item, index) => {
+    if (!item || typeof item.id !== 'string' || !PROFILE_ID_PATTERN.test(item.id) ||
+        typeof item.name !== 'string' || !item.name.trim()) {
+      throw new Error(`无效的档案备份：第 ${index + 1} 个档案缺少 id 或名称。`);
+    }
+    if (seen.has(item.id)) {
+      throw new Error(`无效的档案备份：档案 id 重复 (${item.id})。`);
+    }
+    seen.add(item.id);
+    try {
+      return { id: item.id, name: item.name.trim(), data: parseBackup(JSON.stringify(item.data), []) };
+    } catch (e) {
+      e.message = `档案「${item.name}」：${e.message}`;
+      throw e;
+    }
+  });
+};
+
+/**
+ * 用备份覆盖一个档案的记录，属性、羁绊对象和回顾与档案现有的合并（与设置中的覆盖导入相同）
+ * @param {string} profileId
+ * @param {object} data - parseBackup 的结果
+ * @returns {Promise<void>}
+ */
+export const restoreProfile = async (profileId, data) => {
+  writeSetting(profileId, 'personaStatDefinitions', mergeStatDefinitions(
+    data.statDefinitions || DEFAULT_STAT_DEFINITIONS,
+    readSetting(profileId, 'personaStatDefinitions', [])
+  ));
+  writeSetting(profileId, 'personaConfidants',
+    mergeConfidants(data.confidants || [], readSetting(profileId, 'personaConfidants', [])));
+  writeSetting(profileId, 'personaReports',
+    mergeReports(data.reports || [], readSetting(profileId, 'personaReports', [])));
+  await replaceAllEntries(profileId, data.allEntries);
+  if (isDesktop()) {
+    await writeDesktopDataFile(profileId, { schemaVersion: SCHEMA_VERSION, allEntries: data.allEntries });
+  }
+};
+
+/**
+ * 保存档案现在的记录、属性、羁绊对象和回顾，覆盖导入前使用，撤销时用 restoreProfileSnapshot 恢复
+ * @param {string} profileId
+ * @returns {Promise<{id: string, allEntries: Array<object>, statDefinitions: Array<object>, confidants: Array<object>, reports: Array<object>}>}
+ */
+export const snapshotProfile = async (profileId) => ({
+  id: profileId,
+  allEntries: await loadAllEntries(profileId),
+  statDefinitions: readSetting(profileId, 'personaStatDefinitions', DEFAULT_STAT_DEFINITIONS),
+  confidants: readSetting(profileId, 'personaConfidants', []),
+  reports: readSetting(profileId, 'personaReports', []),
+});
+
+/**
+ * 把档案恢复成 snapshotProfile 保存时的样子（只用于不是当前打开的档案，当前档案的设置由界面的状态保存）
+ * @param {object} snapshot - snapshotProfile 的结果
+ * @returns {Promise<void>}
+ */
+export const restoreProfileSnapshot = async (snapshot) => {
+  writeSetting(snapshot.id, 'personaStatDefinitions', snapshot.statDefinitions);
+  writeSetting(snapshot.id, 'personaConfidants', snapshot.confidants);
+  writeSetting(snapshot.id, 'personaReports', snapshot.reports);
+  await replaceAllEntries(snapshot.id, snapshot.allEntries);
+  if (isDesktop()) {
+    await writeDesktopDataFile(snapshot.id, { schemaVersion: SCHEMA_VERSION, allEntries: snapshot.allEntries });
+  }
+};
+
+/**
+ * 删除档案的全部数据。自动备份文件保留，需要时仍可以导入。
+ * @param {string} profileId
+ * @returns {Promise<void>}
+ */
+export const deleteProfileData = async (profileId) => {
+  PROFILE_SETTING_KEYS.forEach(key => localStorage.removeItem(profileStorageKey(profileId, key)));
+  await deleteEntryDatabase(profileId);
+  if (isDesktop()) await deleteDesktopDataFile(profileId);
+};
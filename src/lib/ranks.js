@@ -0,0 +1,128 @@
+// ---------------------------------
+// 属性等级表
+// ---------------------------------
+// 每一维是一组按门槛递增的等级，达到 threshold 点即升到该等级。
+// 门槛间距逐级变大，越往后越难升级。可以修改这里的表，或在“设置”中切换预设。
+// 用户自定义的属性没有专属的表，使用预设中的 fallback。
+
+export const RANK_PRESETS = {
+  persona: {
+    label: '女神异闻录风格',
+    tables: {
+      diligence: [
+        { title: '随性', threshold: 0 },
+        { title: '坚持', threshold: 16 },
+        { title: '坚强', threshold: 40 },
+        { title: '彻底', threshold: 80 },
+        { title: '坚如磐石', threshold: 140 },
+        { title: '不屈不挠', threshold: 220 },
+      ],
+      knowledge: [
+        { title: '一知半解', threshold: 0 },
+        { title: '见多识广', threshold: 16 },
+        { title: '学识渊博', threshold: 40 },
+        { title: '教授级', threshold: 80 },
+        { title: '博古通今', threshold: 140 },
+        { title: '贤者', threshold: 220 },
+      ],
+      courage: [
+        { title: '普通', threshold: 0 },
+        { title: '可靠', threshold: 16 },
+        { title: '勇敢', threshold: 40 },
+        { title: '大胆', threshold: 80 },
+        { title: '无畏', threshold: 140 },
+        { title: '英雄', threshold: 220 },
+      ],
+      understanding: [
+        { title: '基础', threshold: 0 },
+        { title: '和善', threshold: 16 },
+        { title: '宽厚', threshold: 40 },
+        { title: '慈爱', threshold: 80 },
+        { title: '包容万物', threshold: 140 },
+        { title: '圣人', threshold: 220 },
+      ],
+      expression: [
+        { title: '笨拙', threshold: 0 },
+        { title: '流畅', threshold: 16 },
+        { title: '有说服力', threshold: 40 },
+        { title: '动人', threshold: 80 },
+        { title: '引人入胜', threshold: 140 },
+        { title: '出口成章', threshold: 220 },
+      ],
+    },
+    fallback: [
+      { title: '入门', threshold: 0 },
+      { title: '熟练', threshold: 16 },
+      { title: '出色', threshold: 40 },
+      { title: '精通', threshold: 80 },
+      { title: '卓越', threshold: 140 },
+      { title: '大师', threshold: 220 },
+    ],
+  },
+  linear: {
+    label: '经典（每10点升一级）',
+    tables: {},
+    fallback: Array.from({ length: 21 }, (_, i) => ({ title: `Lv.${i}`, threshold: i * 10 })),
+  },
+};
+
+export const DEFAULT_RANK_PRESET = 'persona';
+
+/**
+ * 取得某个预设中某一维的等级表
+ * @param {string} preset - RANK_PRESETS 中的键
+ * @param {string} stat - 维度键
+ * @returns {Array<{title: string, threshold: number}>}
+ */
+export const getRankTable = (preset, stat) => {
+  const { tables, fallback } = RANK_PRESETS[preset] || RANK_PRESETS[DEFAULT_RANK_PRESET];
+  return tables[stat] || fallback;
+};
+
+/**
+ * 根据点数计算当前等级
+ * @param {number} value - 该维的总点数
+ * @param {Array<{title: string, threshold: number}>} table - 等级表
+ * @returns {{rank: number, title: string, threshold: number, nextThreshold: number|null, progress: number}}
+ *   rank 从1开始；已满级时 nextThreshold 为 null，progress 为100
+ */
+export const getRank = (value, table) => {
+  let index = 0;
+  while (index + 1 < table.length && value >= table[index + 1].threshold) {
+    index++;
+  }
+  const current = table[index];
+  const next = table[index + 1] || null;
+  const progress = next
+    ? Math.floor(((value - current.threshold) / (next.threshold - current.threshold)) * 100)
+    : 100;
+
+  return {
+    rank: index + 1,
+    title: current.title,
+    threshold: current.threshold,
+    nextThreshold: next ? next.threshold : null,
+    progress,
+  };
+};
+
+/**
+ * 比较前后两份属性总数，找出升级的维度
+ * @param {object} before - 之前的属性总数
+ * @param {object} after - 之后的属性总数
+ * @param {string} preset - 等级表预设
+ * @param {string[]} keys - 需要比较的属性键
+ * @returns {Array<{stat: string, rank: number, title: string}>}
+ */
+export const findRankUps = (before, after, preset, keys) => {
+  const rankUps = [];
+  for (const stat of keys) {
+    const table = getRankTable(preset, stat);
+    const oldRank = getRank(before[stat] || 0, table);
+    const newRank = getRank(after[stat] || 0, table);
+    if (newRank.rank > oldRank.rank) {
+      rankUps.push({ stat, rank: newRank.rank, title: newRank.title });
+    }
+  }
+  return rankUps;
+};
@@ -0,0 +1,182 @@
+import { addDays, parseDateStr, toDateStr } from './dates.js';
+
+// ---------------------------------
+// 每日提醒和晚间总结（本地通知）
+// ---------------------------------
+// 通过 Capacitor 的本地通知插件发送，插件作为参数传入，测试时可以换成假的插件
+// （只需要 schedule、cancel、checkPermissions、requestPermissions 和 addListener）。
+// 本地通知需要提前安排，发送时无法再判断“今天是否已经记录”，
+// 所以每次打开应用或记录变化时都重新安排：
+// - 提前安排未来几天的提醒，多天没打开应用时也会提醒；今天已经有记录就跳过今天的
+// - 晚间总结只安排今天的一条，内容是安排时今天的提升；今天没有记录或时间已过就不安排
+// 点击通知时 extra.screen 为 'add'，应用据此打开添加事项界面；extra.profileId 为安排通知的档案。
+// 提醒设置每个档案各有一份，通知 id 按档案 id 分段，各档案重新安排时只取消自己的通知。
+
+export const DEFAULT_REMINDER_CONFIG = {
+  enabled: false,
+  time: '20:00',
+  summaryEnabled: false,
+  summaryTime: '22:30',
+};
+
+// 提前安排几天的提醒
+export const REMINDER_DAYS_AHEAD = 7;
+
+// 每个档案占用 ID_STRIDE 个连续的 id：前 REMINDER_DAYS_AHEAD 个是每日提醒，接着一个是晚间总结。
+// 通知 id 是 32 位整数，分段从 ID_BASE 开始，不与旧版本使用的 1000–1006、2000 重叠
+const ID_BASE = 10000;
+const ID_STRIDE = 10;
+const ID_SEGMENTS = 100000;
+const SUMMARY_SLOT = REMINDER_DAYS_AHEAD;
+// 旧版本不区分档案时使用的 id，重新安排时一并取消
+const LEGACY_IDS = [...Array.from({ length: REMINDER_DAYS_AHEAD }, (_, offset) => 1000 + offset), 2000];
+
+/**
+ * 档案的第一个通知 id（由档案 id 的 FNV-1a 摘要决定）
+ * @param {string} profileId
+ * @returns {number}
+ */
+const profileIdBase = (profileId) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < profileId.length; i++) {
+    hash ^= profileId.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return ID_BASE + ((hash >>> 0) % ID_SEGMENTS) * ID_STRIDE;
+};
+
+/**
+ * 档案的全部通知 id，重新安排前先全部取消
+ * @param {string} profileId
+ * @returns {number[]}
+ */
+const managedIds = (profileId) =>
+  Array.from({ length: SUMMARY_SLOT + 1 }, (_, slot) => profileIdBase(profileId) + slot);
+
+/**
+ * 某天某个时刻（HH:MM，本地时间）
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @returns {Date}
+ */
+const atTime = (dateStr, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const date = parseDateStr(dateStr);
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+};
+
+/**
+ * 晚间总结的正文
+ * @param {Array<object>} todayEntries
+ * @param {Array<object>} stats - 启用的属性定义
+ * @returns {string}
+ */
+const summaryBody = (todayEntries, stats) => {
+  const gains = stats
+    .map(stat => [stat.name, todayEntries.reduce((sum, entry) => sum + (entry.gains[stat.key] || 0), 0)])
+    .filter(([, total]) => total > 0)
+    .map(([name, total]) => `${name} +${total}`);
+  return `今天记录了 ${todayEntries.length} 件事。${gains.length > 0 ? `提升：${gains.join('、')}` : '属性没有提升。'}`;
+};
+
+/**
+ * 计算现在需要安排的通知
+ * @param {string} profileId
+ * @param {object} config - 提醒设置，见 DEFAULT_REMINDER_CONFIG
+ * @param {Array<object>} entries - 记录，只用到今天的记录
+ * @param {Array<object>} stats - 启用的属性定义
+ * @param {Date} now
+ * @returns {Array<object>} - 本地通知插件 schedule 使用的格式
+ */
+export const planReminders = (profileId, config, entries, stats, now) => {
+  const idBase = profileIdBase(profileId);
+  const today = toDateStr(now);
+  const todayEntries = entries.filter(entry => entry.date === today);
+  const notifications = [];
+
+  if (config.enabled) {
+    for (let offset = todayEntries.length > 0 ? 1 : 0; offset < REMINDER_DAYS_AHEAD; offset++) {
+      const at = atTime(addDays(today, offset), config.time);
+      if (at <= now) continue;
+      notifications.push({
+        id: idBase + offset,
+        title: '该记录今天了',
+        body: '今天做了什么？记下来，别让连续记录中断。',
+        schedule: { at, allowWhileIdle: true },
+        extra: { screen: 'add', profileId },
+      });
+    }
+  }
+
+  if (config.summaryEnabled && todayEntries.length > 0) {
+    const at = atTime(today, config.summaryTime);
+    if (at > now) {
+      notifications.push({
+        id: idBase + SUMMARY_SLOT,
+        title: '今日总结',
+        body: summaryBody(todayEntries, stats),
+        schedule: { at, allowWhileIdle: true },
+        extra: { screen: 'add', profileId },
+      });
+    }
+  }
+
+  return notifications;
+};
+
+/**
+ * 请求通知权限
+ * @param {object} plugin - 本地通知插件
+ * @returns {Promise<boolean>} - 是否获得了权限
+ */
+export const requestReminderPermission = async (plugin) => {
+  const { display } = await plugin.requestPermissions();
+  return display === 'granted';
+};
+
+/**
+ * 取消档案之前安排的通知
+ * @param {object} plugin - 本地通知插件
+ * @param {string} profileId
+ * @returns {Promise<void>}
+ */
+export const cancelReminders = async (plugin, profileId) => {
+  await plugin.cancel({ notifications: [...managedIds(profileId), ...LEGACY_IDS].map(id => ({ id })) });
+};
+
+/**
+ * 取消档案之前安排的通知，再按当前的设置和记录重新安排。没有通知权限时只取消。
+ * @param {object} plugin - 本地通知插件
+ * @param {string} profileId
+ * @param {object} config - 提醒设置
+ * @param {Array<object>} entries - 记录，只用到今天的记录
+ * @param {Array<object>} stats - 启用的属性定义
+ * @param {Date} [now]
+ * @returns {Promise<Array<object>>} - 实际安排的通知
+ */
+export const syncReminders = async (plugin, profileId, config, entries, stats, now = new Date()) => {
+  await cancelReminders(plugin, profileId);
+  const planned = planReminders(profileId, config, entries, stats, now);
+  if (planned.length === 0) return [];
+  const { display } = await plugin.checkPermissions();
+  if (display !== 'granted') return [];
+  await plugin.schedule({ notifications: planned });
+  return planned;
+};
+
+/**
+ * 监听通知的点击，点击后打开通知指定的界面
+ * @param {object} plugin - 本地通知插件
+ * @param {function(string, string|undefined): void} onOpenScreen - 参数为界面和安排通知的档案 id
+ * @returns {function(): void} - 取消监听
+ */
+export const listenForReminderTaps = (plugin, onOpenScreen) => {
+  const handle = plugin.addListener('localNotificationActionPerformed', (action) => {
+    const { screen, profileId } = action.notification?.extra || {};
+    if (screen) onOpenScreen(screen, profileId);
+  });
+  return () => {
+    Promise.resolve(handle).then(listener => listener.remove());
+  };
+};
@@ -0,0 +1,159 @@
+import { requestAiJson } from './ai.js';
+import { addDays, parseDateStr, toDateStr, weekStart } from './dates.js';
+import { computeStats } from './stats.js';
+
+// ---------------------------------
+// 周/月回顾报告
+// ---------------------------------
+// 把一段时间内的记录整理成摘要发给AI，由AI写出回顾。
+// 成长最多和最被忽视的属性在本地按点数计算，AI只负责点评和建议，
+// 这样即使模型算错数字，报告中的统计也是准确的。
+// 报告：{ id, period, start, end, createdAt, entryCount, totals, mostGrown, neglected,
+//        summary, highlights, growthComment, neglectComment, suggestions }
+
+export const REPORT_PERIODS = {
+  week: '周',
+  month: '月',
+};
+
+// 发给AI的记录条数上限，超过时只保留提升最多的记录
+const MAX_REPORT_ENTRIES = 60;
+
+/**
+ * 计算某个周期的起止日期
+ * @param {'week'|'month'} period
+ * @param {string} date - 周期内的任意一天 YYYY-MM-DD
+ * @returns {{start: string, end: string}}
+ */
+export const getPeriodBounds = (period, date) => {
+  if (period === 'week') {
+    const start = weekStart(date);
+    return { start, end: addDays(start, 6) };
+  }
+  const day = parseDateStr(date);
+  return {
+    start: toDateStr(new Date(day.getFullYear(), day.getMonth(), 1)),
+    end: toDateStr(new Date(day.getFullYear(), day.getMonth() + 1, 0)),
+  };
+};
+
+/**
+ * 报告的 id：同一个周期只保留一份报告，重新生成时覆盖
+ * @param {'week'|'month'} period
+ * @param {string} start
+ * @returns {string}
+ */
+export const reportId = (period, start) => `${period}-${start}`;
+
+const gainSum = (entry) => Object.values(entry.gains || {}).reduce((sum, value) => sum + (Number(value) || 0), 0);
+
+/**
+ * 生成回顾提示词
+ */
+const buildReportPrompt = (period, start, end, entries, stats, totals) => {
+  const name = (key) => stats.find(stat => stat.key === key)?.name || key;
+  const selected = [...entries]
+    .sort((a, b) => gainSum(b) - gainSum(a))
+    .slice(0, MAX_REPORT_ENTRIES)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const lines = selected.map(entry => {
+    const gains = Object.keys(entry.gains || {})
+      .filter(key => entry.gains[key] > 0)
+      .map(key => `${name(key)}+${entry.gains[key]}`)
+      .join(' ');
+    return `- ${entry.date} ${entry.activity}：${entry.feeling}${gains ? `（${gains}）` : ''}`;
+  });
+  const totalLine = stats.map(stat => `${stat.name} +${totals[stat.key]}`).join('，');
+
+  return `你是一个模拟《女神异闻录》系列中属性成长系统的AI助手，现在要为用户写一份${REPORT_PERIODS[period]}度回顾。
+时间范围：${start} 至 ${end}，共 ${entries.length} 条记录${entries.length > selected.length ? `（以下列出提升最多的 ${selected.length} 条）` : ''}。
+各属性的提升：${totalLine}
+
+${lines.join('\n')}
+
+请用温暖、具体的中文写出：
+- summary：两三句话总结这段时间
+- highlights：最值得肯定的 2 到 4 件事
+- growthComment：对提升最多的属性的点评
+- neglectComment：对提升最少的属性的点评
+- suggestions：下一个周期的 2 到 3 条具体建议
+请只返回一个JSON对象，格式如下：
+${JSON.stringify({ summary: '', highlights: [], growthComment: '', neglectComment: '', suggestions: [] })}
+不要添加任何markdown标记或解释性文字。`;
+};
+
+const REPORT_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string' },
+    highlights: { type: 'array', items: { type: 'string' } },
+    growthComment: { type: 'string' },
+    neglectComment: { type: 'string' },
+    suggestions: { type: 'array', items: { type: 'string' } },
+  },
+  required: ['summary', 'highlights', 'growthComment', 'neglectComment', 'suggestions'],
+};
+
+const toStringList = (value) =>
+  Array.isArray(value) ? value.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim()) : [];
+
+/**
+ * 为一个周期生成回顾报告。周期内没有记录或AI调用失败时抛出错误。
+ * @param {'week'|'month'} period
+ * @param {string} date - 周期内的任意一天
+ * @param {Array<object>} allEntries - 全部记录
+ * @param {Array<object>} stats - 启用的属性定义
+ * @param {object} aiConfig - AI服务配置
+ * @returns {Promise<object>} - 报告
+ */
+export const generateReport = async (period, date, allEntries, stats, aiConfig) => {
+  const { start, end } = getPeriodBounds(period, date);
+  const entries = allEntries.filter(entry => entry.date >= start && entry.date <= end);
+  if (entries.length === 0) {
+    throw new Error('这段时间没有记录，无法生成回顾。');
+  }
+
+  const keys = stats.map(stat => stat.key);
+  const totals = computeStats(entries, keys);
+  const byTotal = [...keys].sort((a, b) => totals[b] - totals[a]);
+
+  const result = await requestAiJson(aiConfig, buildReportPrompt(period, start, end, entries, stats, totals), REPORT_SCHEMA);
+  return {
+    id: reportId(period, start),
+    period,
+    start,
+    end,
+    createdAt: new Date().toISOString(),
+    entryCount: entries.length,
+    totals,
+    mostGrown: byTotal[0],
+    neglected: byTotal[byTotal.length - 1],
+    summary: typeof result.summary === 'string' ? result.summary.trim() : '',
+    highlights: toStringList(result.highlights),
+    growthComment: typeof result.growthComment === 'string' ? result.growthComment.trim() : '',
+    neglectComment: typeof result.neglectComment === 'string' ? result.neglectComment.trim() : '',
+    suggestions: toStringList(result.suggestions),
+  };
+};
+
+/**
+ * 保存报告：同一周期的旧报告被替换，按开始日期从新到旧排列
+ * @param {Array<object>} reports
+ * @param {object} report
+ * @returns {Array<object>}
+ */
+export const upsertReport = (reports, report) =>
+  [report, ...reports.filter(item => item.id !== report.id)]
+    .sort((a, b) => b.start.localeCompare(a.start) || a.period.localeCompare(b.period));
+
+/**
+ * 合并两份报告列表：同一个 id 以 primary 中的为准
+ * @param {Array<object>} primary
+ * @param {Array<object>} secondary
+ * @returns {Array<object>}
+ */
+export const mergeReports = (primary, secondary) => {
+  const ids = new Set(primary.map(report => report.id));
+  return [...primary, ...secondary.filter(report => !ids.has(report.id))]
+    .sort((a, b) => b.start.localeCompare(a.start) || a.period.localeCompare(b.period));
+};
@@ -0,0 +1,56 @@
+import { normalizeGains, emptyGains, emptyReasons } from './stats.js';
+
+// ---------------------------------
+// 离线规则评分
+// ---------------------------------
+// AI不可用时，按关键词规则给出一个临时评分。
+// 每条规则：活动或感受中出现任一关键词，就给对应维度加分。
+
+// 默认规则，用户可以在“设置”中增删改
+export const DEFAULT_SCORING_RULES = [
+  { id: 'rule-diligence', keywords: ['坚持', '健身', '跑步', '打卡', '加班', '练习', '早起'], stat: 'diligence', points: 2 },
+  { id: 'rule-knowledge', keywords: ['读', '书', '学', '课', '论文', '考试', '研究'], stat: 'knowledge', points: 2 },
+  { id: 'rule-courage', keywords: ['第一次', '尝试', '挑战', '面试', '克服', '害怕', '紧张'], stat: 'courage', points: 2 },
+  { id: 'rule-understanding', keywords: ['朋友', '家人', '帮助', '倾听', '理解', '陪', '原谅'], stat: 'understanding', points: 2 },
+  { id: 'rule-expression', keywords: ['写', '演讲', '分享', '表达', '唱', '画', '聊天'], stat: 'expression', points: 2 },
+];
+
+/**
+ * 用关键词规则为一条记录打分
+ * @param {string} activity - 用户输入的活动
+ * @param {string} feeling - 用户输入的感受
+ * @param {Array<object>} rules - 评分规则
+ * @param {string[]} keys - 启用的属性键；指向其他属性的规则会被忽略
+ * @returns {{gains: object, reasons: object}} - 各属性提升及命中的关键词说明
+ */
+export const scoreWithRules = (activity, feeling, rules, keys) => {
+  const text = `${activity} ${feeling}`.toLowerCase();
+  const gains = emptyGains(keys);
+  const matchedWords = Object.fromEntries(keys.map(key => [key, []]));
+
+  for (const rule of rules) {
+    if (!keys.includes(rule.stat)) continue;
+    const matched = rule.keywords.filter(word => word && text.includes(word.toLowerCase()));
+    if (matched.length > 0) {
+      gains[rule.stat] += Number(rule.points) || 0;
+      matchedWords[rule.stat].push(...matched);
+    }
+  }
+
+  const reasons = emptyReasons(keys);
+  for (const key of keys) {
+    if (matchedWords[key].length > 0) {
+      reasons[key] = `离线规则命中关键词：${matchedWords[key].join('、')}`;
+    }
+  }
+
+  return { gains: normalizeGains(gains, keys), reasons };
+};
+
+/**
+ * 把用户输入的“逗号/空格分隔”的关键词字符串拆成数组
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const parseKeywords = (text) =>
+  text.split(/[,，、\s]+/).map(word => word.trim()).filter(Boolean);
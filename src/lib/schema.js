@@ -0,0 +1,285 @@
+import { DEFAULT_STAT_DEFINITIONS } from './stats.js';
+import { toDateStr, parseDateStr, timeSlotOf, TIME_SLOTS } from './dates.js';
+
+// ---------------------------------
+// 数据版本与迁移
+// ---------------------------------
+// 本地数据库和导出文件都带有 schemaVersion。
+// 读取旧版本数据时，按顺序执行 MIGRATIONS 中的函数，直到升级到当前版本。
+
+export const SCHEMA_VERSION = 4;
+
+/**
+ * 迁移函数表：MIGRATIONS[n] 把版本 n 的数据升级到版本 n + 1。
+ * 数据格式为 { schemaVersion, allEntries, ... }，迁移函数返回新的对象，不修改原数据。
+ */
+const MIGRATIONS = {
+  // v1：最初的格式，记录只有 id / date / activity / feeling / gains
+  // v2：增加评分来源、临时评分标记和AI原始评分
+  1: (data) => ({
+    ...data,
+    schemaVersion: 2,
+    allEntries: data.allEntries.map(entry => ({
+      scoredBy: 'ai',
+      provisional: false,
+      originalGains: entry.gains && typeof entry.gains === 'object' ? { ...entry.gains } : entry.gains,
+      ...entry,
+    })),
+  }),
+  // v3：属性改为用户自定义，导出文件附带 statDefinitions；旧文件使用默认的五维
+  2: (data) => ({
+    ...data,
+    schemaVersion: 3,
+    statDefinitions: data.statDefinitions ?? DEFAULT_STAT_DEFINITIONS,
+  }),
+  // v4：增加记录时间 createdAt 和时段 timeSlot。
+  // 旧版本用 UTC 日期作为 date，深夜记录的会落到第二天；能从 id 还原记录时间的，改成本地日期
+  3: (data) => ({
+    ...data,
+    schemaVersion: 4,
+    allEntries: data.allEntries.map(entry => {
+      const created = new Date(String(entry.id).slice(0, 24));
+      if (Number.isNaN(created.getTime())) {
+        return { createdAt: null, timeSlot: null, ...entry };
+      }
+      const isUtcDate = entry.date === created.toISOString().split('T')[0];
+      return {
+        createdAt: created.toISOString(),
+        timeSlot: timeSlotOf(created),
+        ...entry,
+        ...(isUtcDate ? { date: toDateStr(created) } : {}),
+      };
+    }),
+  }),
+};
+
+/**
+ * 把任意版本的数据升级到当前版本。没有 schemaVersion 的数据视为 v1。
+ * @param {object} data - { schemaVersion?, allEntries, ... }
+ * @returns {object} - 当前版本的数据
+ */
+export const migrateData = (data) => {
+  let version = data.schemaVersion ?? 1;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`无效的数据版本: ${data.schemaVersion}`);
+  }
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`数据版本 (v${version}) 比当前应用支持的版本 (v${SCHEMA_VERSION}) 更新，请先升级应用。`);
+  }
+
+  let result = { ...data, schemaVersion: version };
+  while (version < SCHEMA_VERSION) {
+    result = MIGRATIONS[version](result);
+    version = result.schemaVersion;
+  }
+  return result;
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * 检查单条记录，返回发现的问题（空数组表示通过）
+ * @param {object} entry
+ * @param {Set<string>} knownKeys - 允许出现在 gains 中的属性键
+ * @returns {string[]}
+ */
+const validateEntry = (entry, knownKeys) => {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return ['不是有效的记录对象'];
+  }
+
+  const problems = [];
+  if (typeof entry.id !== 'string' || !entry.id) {
+    problems.push('缺少 id');
+  }
+  if (typeof entry.date !== 'string' || !entry.date) {
+    problems.push('缺少 date');
+  } else if (!DATE_PATTERN.test(entry.date) || toDateStr(parseDateStr(entry.date)) !== entry.date) {
+    problems.push(`date 格式无效 (${entry.date})`);
+  }
+  if (typeof entry.activity !== 'string') {
+    problems.push('activity 不是文本');
+  }
+  if (!entry.gains || typeof entry.gains !== 'object' || Array.isArray(entry.gains)) {
+    problems.push('缺少 gains');
+  } else {
+    for (const [key, value] of Object.entries(entry.gains)) {
+      if (!knownKeys.has(key)) {
+        problems.push(`未知的维度 "${key}"`);
+      } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+        problems.push(`${key} 的值不是数字 (${JSON.stringify(value)})`);
+      }
+    }
+  }
+  if (entry.confidantIds !== undefined &&
+      (!Array.isArray(entry.confidantIds) || !entry.confidantIds.every(id => typeof id === 'string'))) {
+    problems.push('confidantIds 不是文本数组');
+  }
+  if (entry.timeSlot != null && !TIME_SLOTS.some(slot => slot.key === entry.timeSlot)) {
+    problems.push(`未知的时段 "${entry.timeSlot}"`);
+  }
+  if (entry.createdAt != null && Number.isNaN(new Date(entry.createdAt).getTime())) {
+    problems.push(`createdAt 不是有效的时间 (${entry.createdAt})`);
+  }
+  if ((entry.diaryId != null && typeof entry.diaryId !== 'string') ||
+      (entry.diaryText != null && typeof entry.diaryText !== 'string')) {
+    problems.push('diaryId 或 diaryText 不是文本');
+  }
+  return problems;
+};
+
+/**
+ * 检查全部记录
+ * @param {Array<object>} entries
+ * @param {Iterable<string>} knownKeys - 允许出现在 gains 中的属性键
+ * @returns {Array<{index: number, id: string|undefined, problems: string[]}>} - 未通过检查的记录
+ */
+export const validateEntries = (entries, knownKeys) => {
+  const keys = new Set(knownKeys);
+  const failures = [];
+  const seenIds = new Set();
+  entries.forEach((entry, index) => {
+    const problems = validateEntry(entry, keys);
+    if (typeof entry?.id === 'string' && entry.id) {
+      if (seenIds.has(entry.id)) problems.push('id 重复');
+      seenIds.add(entry.id);
+    }
+    if (problems.length > 0) {
+      failures.push({ index, id: entry?.id, problems });
+    }
+  });
+  return failures;
+};
+
+/**
+ * 检查属性定义列表，返回发现的问题（空数组表示通过）
+ * @param {*} definitions
+ * @returns {string[]}
+ */
+const validateStatDefinitions = (definitions) => {
+  if (!Array.isArray(definitions)) return ['statDefinitions 不是数组'];
+  const problems = [];
+  const seenKeys = new Set();
+  definitions.forEach((stat, index) => {
+    if (!stat || typeof stat.key !== 'string' || !stat.key) {
+      problems.push(`第 ${index + 1} 个属性缺少 key`);
+      return;
+    }
+    if (seenKeys.has(stat.key)) problems.push(`属性 "${stat.key}" 重复`);
+    seenKeys.add(stat.key);
+    if (typeof stat.name !== 'string' || !stat.name) problems.push(`属性 "${stat.key}" 缺少 name`);
+  });
+  return problems;
+};
+
+/**
+ * 检查羁绊名单，返回发现的问题（空数组表示通过）
+ * @param {*} confidants
+ * @returns {string[]}
+ */
+const validateConfidants = (confidants) => {
+  if (!Array.isArray(confidants)) return ['confidants 不是数组'];
+  const problems = [];
+  confidants.forEach((confidant, index) => {
+    if (!confidant || typeof confidant.id !== 'string' || !confidant.id) {
+      problems.push(`第 ${index + 1} 个羁绊缺少 id`);
+    } else if (typeof confidant.name !== 'string' || !confidant.name) {
+      problems.push(`羁绊 "${confidant.id}" 缺少 name`);
+    }
+  });
+  return problems;
+};
+
+/**
+ * 检查回顾报告列表，返回发现的问题（空数组表示通过）
+ * @param {*} reports
+ * @returns {string[]}
+ */
+const validateReports = (reports) => {
+  if (!Array.isArray(reports)) return ['reports 不是数组'];
+  const problems = [];
+  reports.forEach((report, index) => {
+    if (!report || typeof report.id !== 'string' || !report.id) {
+      problems.push(`第 ${index + 1} 份回顾缺少 id`);
+    } else if (!DATE_PATTERN.test(report.start) || !DATE_PATTERN.test(report.end)) {
+      problems.push(`回顾 "${report.id}" 的起止日期无效`);
+    }
+  });
+  return problems;
+};
+
+/**
+ * 生成导出文件（以及自动备份）的数据对象
+ * @param {object} fields - { statDefinitions, confidants, reports, allEntries, playerStats }
+ * @returns {object}
+ */
+export const buildBackup = (fields) => ({
+  schemaVersion: SCHEMA_VERSION,
+  ...fields,
+  exportDate: new Date().toISOString(),
+});
+
+/**
+ * 导入文件校验失败时抛出的错误，附带每条失败记录的原因
+ */
+export class BackupValidationError extends Error {
+  constructor(failures) {
+    super(`有 ${failures.length} 条记录未通过校验，未导入任何数据。`);
+    this.name = 'BackupValidationError';
+    this.failures = failures;
+  }
+}
+
+/**
+ * 解析并校验一份导出文件：先迁移到当前版本，再逐条检查。
+ * 任意一条记录有问题都会拒绝整个文件，避免损坏的备份覆盖现有数据。
+ * 记录中的属性键必须是本机已有的属性，或在文件的 statDefinitions 中有定义。
+ * @param {string} text - 文件内容
+ * @param {string[]} localKeys - 本机已定义的属性键（包括已退役的）
+ * @returns {object} - 当前版本的数据
+ */
+export const parseBackup = (text, localKeys) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("文件不是有效的 JSON。");
+  }
+  if (!data || typeof data !== 'object' || !Array.isArray(data.allEntries)) {
+    throw new Error("无效的文件格式：缺少 allEntries。");
+  }
+
+  if (data.statDefinitions !== undefined) {
+    const problems = validateStatDefinitions(data.statDefinitions);
+    if (problems.length > 0) {
+      throw new Error(`无效的属性定义：${problems.join('；')}`);
+    }
+  }
+  if (data.confidants !== undefined) {
+    const problems = validateConfidants(data.confidants);
+    if (problems.length > 0) {
+      throw new Error(`无效的羁绊名单：${problems.join('；')}`);
+    }
+  }
+  if (data.reports !== undefined) {
+    const problems = validateReports(data.reports);
+    if (problems.length > 0) {
+      throw new Error(`无效的回顾报告：${problems.join('；')}`);
+    }
+  }
+  const fileDefinitions = data.statDefinitions ?? DEFAULT_STAT_DEFINITIONS;
+  const knownKeys = [...localKeys, ...fileDefinitions.map(stat => stat.key)];
+
+  // 迁移前先检查基础字段，迁移后再检查一次，确保迁移结果也是有效的
+  const rawFailures = validateEntries(data.allEntries, knownKeys);
+  if (rawFailures.length > 0) {
+    throw new BackupValidationError(rawFailures);
+  }
+
+  const migrated = migrateData(data);
+  const failures = validateEntries(migrated.allEntries, knownKeys);
+  if (failures.length > 0) {
+    throw new BackupValidationError(failures);
+  }
+  return migrated;
+};
@@ -0,0 +1,61 @@
+// ---------------------------------
+// AI评分缓存
+// ---------------------------------
+// 每天重复的事项（健身、读书、语言课）不必每次都请求AI：
+// 以规范化后的事项+感受为键缓存AI的评分结果，命中时直接使用。
+// 缓存保存在 localStorage 中：{ [key]: { gains, reasons, people, time } }
+// 超过 SCORE_CACHE_TTL_MS 的结果视为过期；条目超过 MAX_SCORE_CACHE_ENTRIES 时淘汰最旧的。
+
+export const MAX_SCORE_CACHE_ENTRIES = 200;
+export const SCORE_CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * 规范化文本：全角转半角、转小写，去掉标点和空白，
+ * 这样只差一个标点或空格的记录也会命中同一个缓存
+ * @param {string} text
+ * @returns {string}
+ */
+export const normalizeScoreText = (text) =>
+  String(text || '').normalize('NFKC').toLowerCase().replace(/[\s\p{P}\p{S}]+/gu, '');
+
+/**
+ * 缓存键。属性集合不同时评分结构不同，所以属性键也是键的一部分。
+ * @param {string} activity
+ * @param {string} feeling
+ * @param {string[]} keys - 启用的属性键
+ * @returns {string}
+ */
+export const scoreCacheKey = (activity, feeling, keys) =>
+  `${[...keys].sort().join(',')}|${normalizeScoreText(activity)}|${normalizeScoreText(feeling)}`;
+
+/**
+ * 查找未过期的缓存结果
+ * @param {object} cache
+ * @param {string} key - scoreCacheKey 的结果
+ * @param {number} now - 当前时间戳
+ * @returns {{gains: object, reasons: object, people: string[]}|null}
+ */
+export const lookupScore = (cache, key, now) => {
+  const hit = cache[key];
+  if (!hit || now - hit.time > SCORE_CACHE_TTL_MS) return null;
+  return { gains: hit.gains, reasons: hit.reasons, people: hit.people || [] };
+};
+
+/**
+ * 写入一条AI评分结果，同时清理过期条目并限制总数
+ * @param {object} cache
+ * @param {string} key - scoreCacheKey 的结果
+ * @param {{gains: object, reasons: object, people?: string[]}} result
+ * @param {number} now - 当前时间戳
+ * @returns {object} - 新的缓存对象
+ */
+export const storeScore = (cache, key, result, now) => {
+  const kept = Object.entries(cache)
+    .filter(([itemKey, item]) => itemKey !== key && now - item.time <= SCORE_CACHE_TTL_MS)
+    .sort((a, b) => b[1].time - a[1].time)
+    .slice(0, MAX_SCORE_CACHE_ENTRIES - 1);
+  return {
+    [key]: { gains: result.gains, reasons: result.reasons, people: result.people || [], time: now },
+    ...Object.fromEntries(kept),
+  };
+};
@@ -0,0 +1,32 @@
+import { callAiModel } from './ai.js';
+import { scoreWithRules } from './rules.js';
+
+/**
+ * 为一条记录评分：优先使用AI，离线或失败时退回本地规则评分。
+ * @param {string} activity - 用户输入的活动
+ * @param {string} feeling - 用户输入的感受
+ * @param {object} aiConfig - AI服务配置
+ * @param {Array<object>} scoringRules - 离线评分规则
+ * @param {Array<object>} stats - 启用的属性定义
+ * @param {string[]} [knownPeople] - 已登记的羁绊对象名字
+ * @returns {Promise<{gains: object, reasons: object, people: string[], scoredBy: string, provisional: boolean}>}
+ *   离线评分时 people 为空，由调用方按名字匹配羁绊对象
+ */
+export const scoreActivity = async (activity, feeling, aiConfig, scoringRules, stats, knownPeople = []) => {
+  if (navigator.onLine) {
+    try {
+      const result = await callAiModel(activity, feeling, aiConfig, stats, knownPeople);
+      return { ...result, scoredBy: 'ai', provisional: false };
+    } catch (err) {
+      console.error("AI计算失败，改用本地规则评分:", err);
+    }
+  }
+
+  // 离线或AI失败时使用本地规则评分，并标记为临时评分，等待AI恢复后重新评分
+  return {
+    ...scoreWithRules(activity, feeling, scoringRules, stats.map(stat => stat.key)),
+    people: [],
+    scoredBy: 'rules',
+    provisional: true,
+  };
+};
@@ -0,0 +1,95 @@
+import { entryTimestamp } from './merge.js';
+
+// ---------------------------------
+// 全文搜索与筛选
+// ---------------------------------
+// 中文没有空格分词，所以直接按子串匹配：查询按空格拆成多个词，每个词都要出现在事项或感受中。
+// 文本的规范化（全角转半角、转小写）在 buildSearchIndex 中对全部记录只做一次，
+// 之后每次查询只是对预处理好的字符串做 includes，几万条记录也能即时返回。
+
+// 事项中的命中比感受中的更重要
+const ACTIVITY_WEIGHT = 3;
+const FEELING_WEIGHT = 1;
+
+export const SEARCH_SOURCES = {
+  all: '全部',
+  ai: 'AI评分',
+  provisional: '临时评分',
+};
+
+/**
+ * 规范化文本：全角字母数字转半角，并转成小写
+ * @param {string} text
+ * @returns {string}
+ */
+const normalizeText = (text) => String(text || '').normalize('NFKC').toLowerCase();
+
+/**
+ * 预处理全部记录的文本
+ * @param {Array<object>} entries
+ * @returns {Array<{entry: object, activity: string, feeling: string, time: number}>}
+ */
+export const buildSearchIndex = (entries) =>
+  entries.map(entry => ({
+    entry,
+    activity: normalizeText(entry.activity),
+    feeling: normalizeText(entry.feeling),
+    time: entryTimestamp(entry),
+  }));
+
+/**
+ * 子串出现的次数
+ */
+const countOccurrences = (text, term) => {
+  let count = 0;
+  for (let i = text.indexOf(term); i !== -1; i = text.indexOf(term, i + term.length)) {
+    count++;
+  }
+  return count;
+};
+
+/**
+ * 检查记录是否满足筛选条件
+ */
+const matchesFilters = (entry, filters) => {
+  if (filters.start && entry.date < filters.start) return false;
+  if (filters.end && entry.date > filters.end) return false;
+  if (filters.stat && !((Number(entry.gains?.[filters.stat]) || 0) >= (Number(filters.minGain) || 1))) return false;
+  if (filters.confidantId && !entry.confidantIds?.includes(filters.confidantId)) return false;
+  if (filters.source === 'ai' && entry.scoredBy !== 'ai') return false;
+  if (filters.source === 'provisional' && !entry.provisional) return false;
+  return true;
+};
+
+/**
+ * 搜索并筛选记录
+ * @param {Array<object>} index - buildSearchIndex 的结果
+ * @param {string} query - 搜索词，多个词用空格分隔
+ * @param {object} filters - { start?, end?, stat?, minGain?, confidantId?, source? }
+ * @param {'relevance'|'date'} sort - 按相关度（相同时按日期）或按日期从新到旧
+ * @returns {Array<{entry: object, score: number}>}
+ */
+export const searchEntries = (index, query, filters, sort) => {
+  const terms = normalizeText(query).split(/\s+/).filter(Boolean);
+  const results = [];
+
+  for (const item of index) {
+    if (!matchesFilters(item.entry, filters)) continue;
+    let score = 0;
+    let matchedAll = true;
+    for (const term of terms) {
+      const termScore = countOccurrences(item.activity, term) * ACTIVITY_WEIGHT +
+        countOccurrences(item.feeling, term) * FEELING_WEIGHT;
+      if (termScore === 0) {
+        matchedAll = false;
+        break;
+      }
+      score += termScore;
+    }
+    if (matchedAll) results.push({ entry: item.entry, score, date: item.entry.date, time: item.time });
+  }
+
+  const byDate = (a, b) => b.date.localeCompare(a.date) || b.time - a.time;
+  results.sort(sort === 'relevance' && terms.length > 0 ? (a, b) => b.score - a.score || byDate(a, b) : byDate);
+  return results.map(({ entry, score }) => ({ entry, score }));
+};
@@ -0,0 +1,183 @@
+// ---------------------------------
+// 属性定义与通用帮助函数
+// ---------------------------------
+// 属性（默认是《女神异闻录4》的五维）由用户在“设置”中定义：
+// { key, name, color, description, retired }
+// key 创建后不再改变，记录中的 gains 以 key 保存，所以改名、改色不影响旧记录。
+// 退役的属性不再参与评分和展示，但旧记录中的数值会保留。
+
+export const DEFAULT_STAT_DEFINITIONS = [
+  { key: 'diligence', name: "毅力", color: '#ec4899', description: '坚持、自律，把困难或重复的事做完', retired: false },
+  { key: 'knowledge', name: "知识", color: '#3b82f6', description: '学习、阅读、获得新的信息和技能', retired: false },
+  { key: 'courage', name: "勇气", color: '#ef4444', description: '尝试新事物、面对恐惧、走出舒适区', retired: false },
+  { key: 'understanding', name: "宽容", color: '#22c55e', description: '理解和关心他人，包容不同的观点', retired: false },
+  { key: 'expression', name: "表达力", color: '#eab308', description: '写作、演讲、创作，清楚地表达自己', retired: false },
+];
+
+// 单条记录中每一维允许的提升范围
+export const MIN_GAIN = 0;
+export const MAX_GAIN = 5;
+
+/**
+ * 当前启用（未退役）的属性
+ * @param {Array<object>} definitions - 属性定义
+ * @returns {Array<object>}
+ */
+export const activeStats = (definitions) => definitions.filter(stat => !stat.retired);
+
+/**
+ * 属性的显示名称；找不到定义时（例如导入的未知属性）直接显示 key
+ * @param {Array<object>} definitions - 属性定义
+ * @param {string} key
+ * @returns {string}
+ */
+export const statName = (definitions, key) =>
+  definitions.find(stat => stat.key === key)?.name || key;
+
+/**
+ * 生成一个所有维度都为0的对象
+ * @param {string[]} keys - 属性键
+ * @returns {object}
+ */
+export const emptyGains = (keys) =>
+  keys.reduce((acc, key) => {
+    acc[key] = 0;
+    return acc;
+  }, {});
+
+/**
+ * 生成一个所有维度理由都为空的对象
+ * @param {string[]} keys - 属性键
+ * @returns {object}
+ */
+export const emptyReasons = (keys) =>
+  keys.reduce((acc, key) => {
+    acc[key] = '';
+    return acc;
+  }, {});
+
+/**
+ * 把数值限制在单条记录允许的提升范围内
+ * @param {number} value
+ * @returns {number}
+ */
+export const clampGain = (value) => Math.min(MAX_GAIN, Math.max(MIN_GAIN, Math.round(value)));
+
+/**
+ * 把任意来源的提升数据整理成标准的提升对象：
+ * 缺失的维度补0，非数字视为0，并限制在允许范围内取整。
+ * @param {object} raw - AI或其他来源返回的原始数据
+ * @param {string[]} keys - 属性键
+ * @returns {object} - 标准的提升对象
+ */
+export const normalizeGains = (raw, keys) => {
+  const gains = emptyGains(keys);
+  if (!raw || typeof raw !== 'object') return gains;
+  for (const key of keys) {
+    const value = Number(raw[key]);
+    if (Number.isFinite(value)) {
+      gains[key] = clampGain(value);
+    }
+  }
+  return gains;
+};
+
+/**
+ * 根据全部记录计算各属性总数。总数始终由记录推导，
+ * 这样修改或删除记录后总数也不会出现偏差。
+ * @param {Array<object>} entries - 全部记录
+ * @param {string[]} keys - 需要统计的属性键
+ * @returns {object} - 各属性总数
+ */
+export const computeStats = (entries, keys) => {
+  const stats = emptyGains(keys);
+  for (const entry of entries) {
+    for (const key of keys) {
+      stats[key] += Number(entry.gains?.[key]) || 0;
+    }
+  }
+  return stats;
+};
+
+/**
+ * 空的记录汇总，见 addToSummary
+ * @returns {{count: number, provisionalCount: number, confidantLinks: Object<string, number>, days: Object<string, object>}}
+ */
+export const emptySummary = () => ({ count: 0, provisionalCount: 0, confidantLinks: {}, days: {} });
+
+/**
+ * 把一条记录计入汇总（直接修改 summary）。
+ * 汇总按日期保存 { count, gains, gained }：当天的记录数、各属性提升的合计、各属性有提升的记录数，
+ * 另外还有每个羁绊对象关联的记录数和待重新评分的记录数。
+ * 属性总数、目标进度、徽章和羁绊等级都由汇总计算，不需要把全部记录留在内存中。
+ * @param {object} summary
+ * @param {object} entry
+ */
+export const addToSummary = (summary, entry) => {
+  summary.count++;
+  if (entry.provisional) summary.provisionalCount++;
+  for (const id of entry.confidantIds || []) {
+    summary.confidantLinks[id] = (summary.confidantLinks[id] || 0) + 1;
+  }
+  if (!summary.days[entry.date]) summary.days[entry.date] = { count: 0, gains: {}, gained: {} };
+  const day = summary.days[entry.date];
+  day.count++;
+  for (const [key, value] of Object.entries(entry.gains || {})) {
+    const gain = Number(value) || 0;
+    day.gains[key] = (day.gains[key] || 0) + gain;
+    if (gain > 0) day.gained[key] = (day.gained[key] || 0) + 1;
+  }
+};
+
+/**
+ * 在已有的汇总上再计入一些记录，返回新的汇总，原来的汇总不变
+ * @param {Array<object>} entries
+ * @param {object} [base] - 已有的汇总
+ * @returns {object}
+ */
+export const summarizeEntries = (entries, base = emptySummary()) => {
+  const summary = {
+    ...base,
+    confidantLinks: { ...base.confidantLinks },
+    days: Object.fromEntries(Object.entries(base.days)
+      .map(([date, day]) => [date, { count: day.count, gains: { ...day.gains }, gained: { ...day.gained } }])),
+  };
+  entries.forEach(entry => addToSummary(summary, entry));
+  return summary;
+};
+
+/**
+ * 根据记录汇总计算各属性总数（每天的汇总和记录一样有 gains）
+ * @param {object} summary
+ * @param {string[]} keys
+ * @returns {object}
+ */
+export const summaryTotals = (summary, keys) => computeStats(Object.values(summary.days), keys);
+
+/**
+ * 记录被重新评分时，把用户之前的手动调整量叠加到新的评分上。
+ * 新评分中没有的属性（例如已退役的属性）保留原值。
+ * @param {object} entry - 原记录（含 gains 和 originalGains）
+ * @param {object} newGains - 新的评分结果
+ * @returns {object} - 调整后的提升
+ */
+export const rebaseGains = (entry, newGains) => {
+  const gains = { ...entry.gains };
+  for (const key of Object.keys(newGains)) {
+    const current = Number(entry.gains?.[key]) || 0;
+    const original = Number(entry.originalGains?.[key] ?? current) || 0;
+    gains[key] = clampGain((newGains[key] || 0) + current - original);
+  }
+  return gains;
+};
+
+/**
+ * 合并两份属性定义：同一个 key 以 primary 中的为准，secondary 中独有的属性追加在后面
+ * @param {Array<object>} primary
+ * @param {Array<object>} secondary
+ * @returns {Array<object>}
+ */
+export const mergeStatDefinitions = (primary, secondary) => {
+  const keys = new Set(primary.map(stat => stat.key));
+  return [...primary, ...secondary.filter(stat => !keys.has(stat.key))];
+};
@@ -0,0 +1,315 @@
+import { entryTimestamp } from './merge.js';
+import { SCHEMA_VERSION, migrateData, validateEntries } from './schema.js';
+
+// ---------------------------------
+// 与自建服务器同步记录（服务器见 sync-server.cjs）
+// ---------------------------------
+// 本机保存同步状态 { lastSeq, shadow, rejected }：
+// - lastSeq：上次拉取到的服务器序号
+// - shadow：{ [id]: { version, hash } }，每条记录上次同步时的服务器版本和内容摘要
+// - rejected：{ [id]: { version, attempts, problem } }，拉取后未通过校验的记录
+// 内容摘要与 shadow 不同的记录是本机修改过的；shadow 中有但本机没有的记录是本机删除的。
+// 每一轮先拉取再推送：
+// - 只有一边改过的记录直接采用改过的一边
+// - 两边都改过时保留最后修改的版本（按 updatedAt）；一边修改、一边删除时保留修改，不会丢掉编辑
+// 推送时带上 baseVersion，服务器发现版本已变化会拒绝并返回最新记录，下一轮重新合并。
+// 推送的记录附带 schemaVersion；拉取的记录与导入文件一样先迁移到当前版本再逐条校验，
+// 未通过的（来自更新版本的应用、含有本机没有的属性或格式损坏）不会应用：
+// - 本机也改过或删除了这条记录时，以服务器版本为基础推送本机的版本，覆盖服务器上无法使用的记录
+// - 否则 lastSeq 停在它之前，之后的几次同步重新拉取（例如升级应用或补上属性之后就能通过）；
+//   连续 MAX_REJECT_ATTEMPTS 次未通过后跳过它，只在 rejected 中列出，不再阻挡后面的记录
+// 服务器上的记录按同步空间分开，每个档案同步到自己的空间（默认为档案 id，
+// 有同步空间之前就设置了服务器的档案沿用服务器的 default 空间），
+// 不同设备上的同一个档案填相同的空间名即可互相同步。
+
+export const EMPTY_SYNC_STATE = { lastSeq: 0, shadow: {}, rejected: {} };
+
+// 同步空间名的格式，与 sync-server.cjs 一致
+export const SYNC_SPACE_PATTERN = /^[a-z0-9-]{1,64}$/;
+
+// 服务器的默认空间，有同步空间之前所有档案都同步到这里
+export const LEGACY_SYNC_SPACE = 'default';
+
+/**
+ * 档案使用的同步空间。设置中保存服务器时会一并保存空间；
+ * 保存过服务器但没有空间的设置来自有同步空间之前的版本，沿用默认空间，避免记录被换到新的空间。
+ * @param {object} config - 同步设置 { serverUrl, space? }
+ * @param {string} profileId
+ * @returns {string}
+ */
+export const resolveSyncSpace = (config, profileId) => {
+  if (config.space) return config.space;
+  return config.serverUrl ? LEGACY_SYNC_SPACE : profileId;
+};
+
+// 一次推送的记录数上限，第一次同步大量记录时分批上传
+const PUSH_BATCH_SIZE = 500;
+// 推送冲突时最多重试的轮数
+const MAX_SYNC_ROUNDS = 3;
+// 未通过校验的记录最多重新拉取几次同步，之后跳过
+export const MAX_REJECT_ATTEMPTS = 3;
+
+/**
+ * 键按字母排序的 JSON，保证相同内容的记录得到相同的摘要
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * 记录内容的摘要（FNV-1a），只用于判断记录是否改过
+ * @param {object} entry
+ * @returns {string}
+ */
+export const hashEntry = (entry) => {
+  const text = canonicalJson(entry);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `${(hash >>> 0).toString(36)}-${text.length.toString(36)}`;
+};
+
+/**
+ * 通过 HTTP 访问同步服务器
+ * @param {string} serverUrl - 例如 http://192.168.1.10:8787；开发时可以填 /api 走 Vite 代理
+ * @param {string} token - 服务器设置了 SYNC_TOKEN 时需要，否则为空
+ * @param {string} space - 同步空间，符合 SYNC_SPACE_PATTERN
+ * @returns {{pull: function(number): Promise<object>, push: function(Array<object>): Promise<object>}}
+ */
+export const createHttpTransport = (serverUrl, token, space) => {
+  const base = serverUrl.replace(/\/+$/, '');
+  const request = async (path, options = {}) => {
+    const response = await fetch(`${base}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+    });
+    if (response.status === 401) throw new Error('同步服务器拒绝访问，请检查令牌。');
+    if (!response.ok) throw new Error(`同步服务器返回错误 (${response.status})`);
+    return response.json();
+  };
+  return {
+    pull: (since) => request(`/changes?space=${space}&since=${since}`),
+    push: (changes) => request(`/push?space=${space}`, { method: 'POST', body: JSON.stringify({ changes }) }),
+  };
+};
+
+const isValidRemoteRecord = (record) =>
+  record && typeof record.id === 'string' && Number.isInteger(record.version) &&
+  (record.deleted || (record.entry && typeof record.entry === 'object' && record.entry.id === record.id));
+
+/**
+ * 把拉取到的记录迁移到当前版本并校验，与导入文件使用相同的 migrateData 和 validateEntries
+ * @param {object} record - 服务器上的记录
+ * @param {string[]} knownKeys - 本机已定义的属性键（包括已退役的）
+ * @returns {{record: object}|{problem: string}} - 迁移后的记录，或未通过的原因
+ */
+const prepareRemoteRecord = (record, knownKeys) => {
+  if (!isValidRemoteRecord(record)) return { problem: '记录格式无效' };
+  if (record.deleted) return { record };
+  try {
+    // 附带 schemaVersion 之前推送的记录都是当前版本
+    const data = migrateData({ schemaVersion: record.schemaVersion ?? SCHEMA_VERSION, allEntries: [record.entry] });
+    const failures = validateEntries(data.allEntries, knownKeys);
+    if (failures.length > 0) return { problem: failures[0].problems.join('；') };
+    return { record: { ...record, entry: data.allEntries[0] } };
+  } catch (e) {
+    return { problem: e.message };
+  }
+};
+
+/**
+ * 与服务器同步一次
+ * @param {Array<object>} entries - 本机全部记录
+ * @param {{lastSeq: number, shadow: object, rejected?: object}} state - 上次同步后的状态
+ * @param {object} transport - createHttpTransport 的结果
+ * @param {string[]} knownKeys - 本机已定义的属性键（包括已退役的），用于校验拉取的记录
+ * @returns {Promise<{
+ *   upserts: Array<object>, deletes: string[], state: object,
+ *   summary: {pulled: number, pushed: number, conflicts: number, rejected: number},
+ * }>} - upserts/deletes 为需要应用到本机的修改，state 为新的同步状态；
+ *   rejected 为目前未通过校验、没有应用的记录数（state.rejected 中的记录）
+ */
+export const syncEntries = async (entries, state, transport, knownKeys) => {
+  const local = new Map(entries.map(entry => [entry.id, entry]));
+  let shadow = { ...state.shadow };
+  let lastSeq = state.lastSeq;
+  const upserts = new Map();
+  const deletes = new Set();
+  const previousRejected = state.rejected || {};
+  // 本次同步中未通过校验的记录：id -> { version, problem }
+  const rejectedNow = new Map();
+  // 本次拉取到的每条记录的最新版本
+  const pulledVersions = new Map();
+  const summary = { pulled: 0, pushed: 0, conflicts: 0, rejected: 0 };
+
+  const localChanged = (id) => {
+    const entry = local.get(id);
+    if (!entry) return Boolean(shadow[id]);
+    return !shadow[id] || shadow[id].hash !== hashEntry(entry);
+  };
+
+  const takeRemote = (record) => {
+    local.set(record.id, record.entry);
+    upserts.set(record.id, record.entry);
+    deletes.delete(record.id);
+    shadow[record.id] = { version: record.version, hash: hashEntry(record.entry) };
+  };
+
+  // 保留本机的版本，以服务器版本为基础在推送时覆盖服务器上的记录
+  const keepLocal = (record) => {
+    shadow[record.id] = { version: record.version, hash: '' };
+  };
+
+  const applyRemote = (record) => {
+    const { id } = record;
+    // 自己推送上去的版本
+    if (shadow[id]?.version === record.version) return;
+
+    if (!localChanged(id)) {
+      if (record.deleted) {
+        if (local.has(id)) {
+          local.delete(id);
+          upserts.delete(id);
+          deletes.add(id);
+          summary.pulled++;
+        }
+        delete shadow[id];
+      } else {
+        takeRemote(record);
+        summary.pulled++;
+      }
+      return;
+    }
+
+    const mine = local.get(id);
+    if (record.deleted && !mine) {
+      delete shadow[id]; // 两边都删除了
+      return;
+    }
+    summary.conflicts++;
+    if (record.deleted) {
+      keepLocal(record);
+    } else if (!mine || entryTimestamp(record.entry) > entryTimestamp(mine)) {
+      takeRemote(record);
+    } else {
+      keepLocal(record);
+    }
+  };
+
+  for (let round = 0; round < MAX_SYNC_ROUNDS; round++) {
+    const pulled = await transport.pull(lastSeq);
+    if (pulled.seq < lastSeq) {
+      // 服务器的数据被重置过：本机的记录全部当作新记录重新上传
+      shadow = {};
+      lastSeq = 0;
+      round--;
+      continue;
+    }
+    let firstRetry = Infinity;
+    for (const change of pulled.changes) {
+      if (typeof change?.id === 'string' && Number.isInteger(change.version)) {
+        pulledVersions.set(change.id, Math.max(change.version, pulledVersions.get(change.id) ?? -1));
+      }
+      const { record, problem } = prepareRemoteRecord(change, knownKeys);
+      if (record) {
+        applyRemote(record);
+        continue;
+      }
+      const id = typeof change?.id === 'string' ? change.id : null;
+      const version = Number.isInteger(change?.version) ? change.version : null;
+      if (id === null || version === null) continue; // 连 id 和版本都没有，无法重试也无法覆盖
+      if (shadow[id]?.version === version) continue; // 已经用本机的版本覆盖过
+      rejectedNow.set(id, { version, problem });
+      if (localChanged(id)) {
+        summary.conflicts++;
+        keepLocal({ id, version });
+        continue;
+      }
+      const previous = previousRejected[id];
+      const attempts = (previous?.version === version ? previous.attempts : 0) + 1;
+      if (attempts < MAX_REJECT_ATTEMPTS) firstRetry = Math.min(firstRetry, version);
+    }
+    lastSeq = Math.min(pulled.seq, firstRetry - 1);
+
+    const outgoing = [];
+    for (const [id, entry] of local) {
+      if (localChanged(id)) {
+        outgoing.push({ id, baseVersion: shadow[id]?.version || 0, deleted: false, schemaVersion: SCHEMA_VERSION, entry });
+      }
+    }
+    for (const id of Object.keys(shadow)) {
+      if (!local.has(id)) outgoing.push({ id, baseVersion: shadow[id].version, deleted: true });
+    }
+    if (outgoing.length === 0) break;
+
+    let hasConflicts = false;
+    for (let i = 0; i < outgoing.length; i += PUSH_BATCH_SIZE) {
+      const result = await transport.push(outgoing.slice(i, i + PUSH_BATCH_SIZE));
+      for (const { id, version } of result.accepted) {
+        const entry = local.get(id);
+        if (entry) {
+          shadow[id] = { version, hash: hashEntry(entry) };
+        } else {
+          delete shadow[id];
+        }
+        summary.pushed++;
+      }
+      // 推送期间其他设备也改了这些记录，下一轮拉取后重新合并
+      if (result.conflicts.length > 0) hasConflicts = true;
+    }
+    if (!hasConflicts) break;
+  }
+
+  // 仍然未通过的记录累计次数；已被本机版本覆盖、或之后同步到更新版本的记录不再列出
+  const superseded = (id, version) =>
+    (shadow[id]?.version ?? -1) >= version || (pulledVersions.get(id) ?? -1) > version;
+  const rejected = {};
+  for (const [id, { version, problem }] of rejectedNow) {
+    if (superseded(id, version)) continue;
+    const previous = previousRejected[id];
+    rejected[id] = { version, problem, attempts: (previous?.version === version ? previous.attempts : 0) + 1 };
+  }
+  // 已经跳过、不会再拉取到的记录继续列出
+  for (const [id, item] of Object.entries(previousRejected)) {
+    if (!rejectedNow.has(id) && !superseded(id, item.version)) rejected[id] = item;
+  }
+  summary.rejected = Object.keys(rejected).length;
+  return {
+    upserts: [...upserts.values()],
+    deletes: [...deletes],
+    state: { lastSeq, shadow, rejected },
+    summary,
+  };
+};
+
+/**
+ * 把同步得到的修改应用到记录列表，保持原有顺序，新记录加在最后
+ * @param {Array<object>} entries
+ * @param {Array<object>} upserts
+ * @param {string[]} deletes
+ * @returns {Array<object>}
+ */
+export const applySyncChanges = (entries, upserts, deletes) => {
+  const removed = new Set(deletes);
+  const replacements = new Map(upserts.map(entry => [entry.id, entry]));
+  const next = entries
+    .filter(entry => !removed.has(entry.id))
+    .map(entry => {
+      const replacement = replacements.get(entry.id);
+      replacements.delete(entry.id);
+      return replacement || entry;
+    });
+  return [...next, ...replacements.values()];
+};
@@ -0,0 +1,91 @@
+import { timeSlotOf, toDateStr } from './dates.js';
+import { entryTimestamp } from './merge.js';
+import { normalizeScoreText } from './scoreCache.js';
+import { emptyReasons, normalizeGains } from './stats.js';
+
+// ---------------------------------
+// 常用事项模板
+// ---------------------------------
+// 模板：{ id, name, activity, feeling, gainsMode, gains, confidantIds }
+// gainsMode 为 'fixed' 时每次都使用模板中保存的 gains；
+// 为 'lastUsed' 时使用最近一条同名事项的提升，找不到时退回模板中的 gains。
+// 用模板一键记录时不请求AI，记录的 scoredBy 为 'template'。
+
+export const TEMPLATE_GAINS_MODES = {
+  fixed: '固定提升',
+  lastUsed: '沿用上次',
+};
+
+/**
+ * 新建一个模板
+ * @param {object} fields - { name, activity, feeling, gains, confidantIds?, gainsMode? }
+ * @returns {object}
+ */
+export const createTemplate = (fields) => ({
+  id: `template-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+  gainsMode: 'lastUsed',
+  confidantIds: [],
+  ...fields,
+  name: (fields.name || fields.activity).trim(),
+});
+
+/**
+ * 最近一条事项与模板相同的记录
+ * @param {object} template
+ * @param {Array<object>} entries
+ * @returns {object|null}
+ */
+const findLastUse = (template, entries) => {
+  const activity = normalizeScoreText(template.activity);
+  let last = null;
+  for (const entry of entries) {
+    if (normalizeScoreText(entry.activity) !== activity) continue;
+    if (!last || entry.date > last.date || (entry.date === last.date && entryTimestamp(entry) > entryTimestamp(last))) {
+      last = entry;
+    }
+  }
+  return last;
+};
+
+/**
+ * 模板这次使用的提升
+ * @param {object} template
+ * @param {Array<object>} entries - 全部记录
+ * @param {string[]} keys - 启用的属性键
+ * @returns {object}
+ */
+export const templateGains = (template, entries, keys) => {
+  const last = template.gainsMode === 'lastUsed' ? findLastUse(template, entries) : null;
+  return normalizeGains(last ? last.gains : template.gains, keys);
+};
+
+/**
+ * 用模板生成一条今天、当前时段的记录
+ * @param {object} template
+ * @param {Array<object>} entries - 全部记录
+ * @param {string[]} keys - 启用的属性键
+ * @param {Array<object>} confidants - 仍然存在的羁绊对象，已删除的不再关联
+ * @returns {object}
+ */
+export const entryFromTemplate = (template, entries, keys, confidants) => {
+  const now = new Date();
+  const gains = templateGains(template, entries, keys);
+  const reasons = emptyReasons(keys);
+  for (const key of keys) {
+    if (gains[key] > 0) reasons[key] = `来自模板「${template.name}」`;
+  }
+  return {
+    id: now.toISOString() + Math.random(),
+    date: toDateStr(now),
+    timeSlot: timeSlotOf(now),
+    createdAt: now.toISOString(),
+    activity: template.activity,
+    feeling: template.feeling || '',
+    gains,
+    originalGains: gains,
+    reasons,
+    scoredBy: 'template',
+    provisional: false,
+    confidantIds: (template.confidantIds || []).filter(id => confidants.some(confidant => confidant.id === id)),
+  };
+};
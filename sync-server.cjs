@@ -0,0 +1,189 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+// ---------------------------------
+// 自建同步服务器（npm run sync-server）
+// ---------------------------------
+// 只使用 Node 自带的模块，可以在家里的电脑或 NAS 上运行。
+// 记录按同步空间（space）分开保存，每个档案使用自己的空间，不同档案的记录和删除标记互不影响。
+// 每个空间的记录保存为 { id, version, deleted, schemaVersion, entry }：version 是空间内递增的序号，
+// schemaVersion 是推送这条记录的客户端的数据版本，服务器不解析记录内容，由客户端迁移和校验；
+// 删除的记录保留为 deleted: true 的删除标记，这样其他设备拉取时也能删除。
+//
+// GET  /health                        -> { ok: true }
+// GET  /changes?space=S&since=N       -> { seq, changes: [记录] }，version 大于 N 的记录
+// POST /push?space=S { changes: [{ id, baseVersion, deleted, schemaVersion, entry }] }
+//                                     -> { seq, accepted: [{ id, version }], conflicts: [记录] }
+//      baseVersion 与服务器上的版本一致时接受修改，否则返回服务器上的记录，由客户端合并后重新推送。
+// 不带 space 时使用 default 空间（数据文件沿用 records.json，兼容旧版本的客户端）。
+//
+// 环境变量：SYNC_PORT（默认 8787）、SYNC_DATA_DIR（默认 ./sync-data）、
+// SYNC_TOKEN（设置后客户端需要带上 Authorization: Bearer <token>）
+
+const PORT = Number(process.env.SYNC_PORT) || 8787;
+const DATA_DIR = process.env.SYNC_DATA_DIR || path.join(process.cwd(), 'sync-data');
+const TOKEN = process.env.SYNC_TOKEN || '';
+// 请求体的大小上限，防止异常请求占满内存
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+const DEFAULT_SPACE = 'default';
+// 空间名会用在文件名中，与客户端 src/lib/sync.js 的 SYNC_SPACE_PATTERN 一致
+const SPACE_PATTERN = /^[a-z0-9-]{1,64}$/;
+
+/**
+ * 先写临时文件再重命名，避免写到一半时崩溃导致文件损坏
+ */
+function writeFileAtomic(filePath, content) {
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, content, 'utf8');
+  fs.renameSync(tmpPath, filePath);
+}
+
+const isValidChange = (change) =>
+  change && typeof change.id === 'string' && change.id &&
+  Number.isInteger(change.baseVersion) && change.baseVersion >= 0 &&
+  (change.schemaVersion === undefined || Number.isInteger(change.schemaVersion)) &&
+  (change.deleted === true || (change.entry && typeof change.entry === 'object' && change.entry.id === change.id));
+
+/**
+ * 处理一批推送的修改，返回接受的和冲突的记录
+ */
+function applyPush(store, changes) {
+  const accepted = [];
+  const conflicts = [];
+  for (const change of changes) {
+    const current = store.records[change.id];
+    // 服务器上没有这条记录（新记录，或服务器数据被重置过）时直接接受
+    if (current && current.version !== change.baseVersion) {
+      conflicts.push(current);
+      continue;
+    }
+    store.seq++;
+    store.records[change.id] = change.deleted
+      ? { id: change.id, version: store.seq, deleted: true, entry: null }
+      : { id: change.id, version: store.seq, deleted: false, schemaVersion: change.schemaVersion, entry: change.entry };
+    accepted.push({ id: change.id, version: store.seq });
+  }
+  return { accepted, conflicts };
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('请求体过大'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * 创建同步服务器（不自动监听端口，测试时可以使用临时目录和端口，见 test/sync.test.js）
+ * @param {object} [options] - { dataDir, token }，默认使用环境变量中的设置
+ * @returns {http.Server}
+ */
+function createSyncServer({ dataDir = DATA_DIR, token = TOKEN } = {}) {
+  const storePath = (space) =>
+    path.join(dataDir, space === DEFAULT_SPACE ? 'records.json' : `records-${space}.json`);
+  // space -> { seq, records }
+  const stores = new Map();
+  const getStore = (space) => {
+    if (!stores.has(space)) {
+      try {
+        stores.set(space, JSON.parse(fs.readFileSync(storePath(space), 'utf8')));
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+        stores.set(space, { seq: 0, records: {} });
+      }
+    }
+    return stores.get(space);
+  };
+  const persist = (space) => {
+    fs.mkdirSync(dataDir, { recursive: true });
+    writeFileAtomic(storePath(space), JSON.stringify(stores.get(space)));
+  };
+
+  return http.createServer(async (req, res) => {
+    // 手机上的应用直接访问服务器，需要允许跨域
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      if (url.pathname === '/health' && req.method === 'GET') {
+        sendJson(res, 200, { ok: true });
+        return;
+      }
+      if (token && req.headers.authorization !== `Bearer ${token}`) {
+        sendJson(res, 401, { error: '未授权' });
+        return;
+      }
+      const space = url.searchParams.get('space') || DEFAULT_SPACE;
+      if (!SPACE_PATTERN.test(space)) {
+        sendJson(res, 400, { error: '无效的同步空间' });
+        return;
+      }
+
+      if (url.pathname === '/changes' && req.method === 'GET') {
+        const since = Number(url.searchParams.get('since')) || 0;
+        const { seq, records } = getStore(space);
+        const changes = Object.values(records)
+          .filter(record => record.version > since)
+          .sort((a, b) => a.version - b.version);
+        sendJson(res, 200, { seq, changes });
+        return;
+      }
+
+      if (url.pathname === '/push' && req.method === 'POST') {
+        let body;
+        try {
+          body = JSON.parse(await readBody(req));
+        } catch (e) {
+          sendJson(res, e.status || 400, { error: e.status ? e.message : '请求不是有效的 JSON' });
+          return;
+        }
+        if (!Array.isArray(body?.changes) || !body.changes.every(isValidChange)) {
+          sendJson(res, 400, { error: '无效的修改列表' });
+          return;
+        }
+        const current = getStore(space);
+        const result = applyPush(current, body.changes);
+        if (result.accepted.length > 0) persist(space);
+        sendJson(res, 200, { seq: current.seq, ...result });
+        return;
+      }
+
+      sendJson(res, 404, { error: '未知的地址' });
+    } catch (e) {
+      console.error('处理请求失败:', e);
+      sendJson(res, 500, { error: '服务器错误' });
+    }
+  });
+}
+
+module.exports = { createSyncServer, applyPush };
+
+if (require.main === module) {
+  createSyncServer().listen(PORT, () => {
+    console.log(`同步服务器已启动: http://localhost:${PORT}，数据目录: ${DATA_DIR}${TOKEN ? '，已启用令牌' : ''}`);
+  });
+}
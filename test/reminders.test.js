@@ -0,0 +1,147 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_REMINDER_CONFIG, REMINDER_DAYS_AHEAD, cancelReminders, listenForReminderTaps, planReminders, syncReminders,
+} from '../src/lib/reminders.js';
+
+// ---------------------------------
+// 每日提醒和晚间总结（npm test）
+// ---------------------------------
+// 本地通知插件换成只记录调用的假插件。
+
+const STATS = [{ key: 'knowledge', name: '知识' }, { key: 'guts', name: '勇气' }];
+const CONFIG = { ...DEFAULT_REMINDER_CONFIG, enabled: true, summaryEnabled: true };
+// 2026-10-18 上午 9 点（本地时间），提醒 20:00、总结 22:30 都还没到
+const MORNING = new Date(2026, 9, 18, 9, 0);
+
+const todayEntry = { id: 'e1', date: '2026-10-18', gains: { knowledge: 2, guts: 1 } };
+
+/**
+ * 假的本地通知插件：记录 cancel 和 schedule 的调用
+ */
+const createStubPlugin = ({ permission = 'granted' } = {}) => {
+  const plugin = {
+    cancelled: [],
+    scheduled: [],
+    listeners: {},
+    async cancel({ notifications }) {
+      plugin.cancelled.push(notifications.map(({ id }) => id));
+    },
+    async schedule({ notifications }) {
+      plugin.scheduled.push(notifications);
+    },
+    async checkPermissions() {
+      return { display: permission };
+    },
+    async requestPermissions() {
+      return { display: permission };
+    },
+    addListener(event, callback) {
+      plugin.listeners[event] = callback;
+      return Promise.resolve({ remove: () => delete plugin.listeners[event] });
+    },
+  };
+  return plugin;
+};
+
+const reminderDates = (notifications) => notifications
+  .filter(notification => notification.title !== '今日总结')
+  .map(notification => notification.schedule.at.getDate());
+
+describe('planReminders', () => {
+  test('schedules a reminder for today and the following days', () => {
+    const planned = planReminders('default', CONFIG, [], STATS, MORNING);
+    assert.deepEqual(reminderDates(planned), [18, 19, 20, 21, 22, 23, 24]);
+    assert.equal(planned.length, REMINDER_DAYS_AHEAD);
+  });
+
+  test("skips today's reminder once something is logged today", () => {
+    const planned = planReminders('default', CONFIG, [todayEntry], STATS, MORNING);
+    assert.deepEqual(reminderDates(planned), [19, 20, 21, 22, 23, 24]);
+  });
+
+  test("skips today's reminder when its time has passed", () => {
+    const planned = planReminders('default', CONFIG, [], STATS, new Date(2026, 9, 18, 21, 0));
+    assert.equal(reminderDates(planned)[0], 19);
+  });
+
+  test('sends the evening summary only when today has entries', () => {
+    const withoutEntries = planReminders('default', CONFIG, [], STATS, MORNING);
+    assert.ok(withoutEntries.every(notification => notification.title !== '今日总结'));
+
+    const withEntries = planReminders('default', CONFIG, [todayEntry], STATS, MORNING);
+    const summary = withEntries.find(notification => notification.title === '今日总结');
+    assert.ok(summary);
+    assert.match(summary.body, /今天记录了 1 件事/);
+    assert.match(summary.body, /知识 \+2、勇气 \+1/);
+  });
+
+  test('plans nothing when both notifications are off', () => {
+    assert.deepEqual(planReminders('default', DEFAULT_REMINDER_CONFIG, [todayEntry], STATS, MORNING), []);
+  });
+
+  test('uses a separate id range for each profile', () => {
+    const idsOf = (profileId) => planReminders(profileId, CONFIG, [todayEntry], STATS, MORNING)
+      .map(notification => notification.id);
+    const defaultIds = idsOf('default');
+    const otherIds = idsOf('profile-abc-1234');
+
+    assert.equal(new Set(defaultIds).size, defaultIds.length);
+    assert.ok(defaultIds.every(id => !otherIds.includes(id)));
+    // 与旧版本的固定 id 不重叠，并且在 Android 的 32 位整数范围内
+    assert.ok([...defaultIds, ...otherIds].every(id => Number.isInteger(id) && id >= 10000 && id < 2 ** 31));
+    // 同一个档案每次得到相同的 id
+    assert.deepEqual(idsOf('default'), defaultIds);
+  });
+});
+
+describe('syncReminders', () => {
+  test("cancels the profile's previous notifications and schedules new ones", async () => {
+    const plugin = createStubPlugin();
+    const planned = await syncReminders(plugin, 'default', CONFIG, [todayEntry], STATS, MORNING);
+
+    assert.equal(plugin.scheduled.length, 1);
+    assert.deepEqual(plugin.scheduled[0], planned);
+    const cancelled = plugin.cancelled[0];
+    assert.ok(planned.every(notification => cancelled.includes(notification.id)));
+    assert.ok(planned.every(notification => notification.extra.profileId === 'default'));
+  });
+
+  test("does not cancel another profile's notifications", async () => {
+    const plugin = createStubPlugin();
+    const other = await syncReminders(plugin, 'profile-abc-1234', CONFIG, [], STATS, MORNING);
+    await syncReminders(plugin, 'default', CONFIG, [], STATS, MORNING);
+
+    const cancelledByDefault = plugin.cancelled[1];
+    assert.ok(other.every(notification => !cancelledByDefault.includes(notification.id)));
+  });
+
+  test('only cancels when notifications are not permitted', async () => {
+    const plugin = createStubPlugin({ permission: 'denied' });
+    assert.deepEqual(await syncReminders(plugin, 'default', CONFIG, [], STATS, MORNING), []);
+    assert.equal(plugin.cancelled.length, 1);
+    assert.equal(plugin.scheduled.length, 0);
+  });
+
+  test('cancelReminders also clears the ids used by older versions', async () => {
+    const plugin = createStubPlugin();
+    await cancelReminders(plugin, 'default');
+    assert.ok([1000, 1006, 2000].every(id => plugin.cancelled[0].includes(id)));
+  });
+});
+
+describe('listenForReminderTaps', () => {
+  test('opens the screen and profile named in the notification', async () => {
+    const plugin = createStubPlugin();
+    const opened = [];
+    const stop = listenForReminderTaps(plugin, (screen, profileId) => opened.push([screen, profileId]));
+
+    plugin.listeners.localNotificationActionPerformed({ notification: { extra: { screen: 'add', profileId: 'default' } } });
+    plugin.listeners.localNotificationActionPerformed({ notification: {} });
+    assert.deepEqual(opened, [['add', 'default']]);
+
+    stop();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert.equal(plugin.listeners.localNotificationActionPerformed, undefined);
+  });
+});
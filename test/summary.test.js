@@ -0,0 +1,57 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { emptySummary, summarizeEntries, summaryTotals } from '../src/lib/stats.js';
+import { buildAchievements, computeAchievements } from '../src/lib/achievements.js';
+import { evaluateGoal } from '../src/lib/goals.js';
+import { DEFAULT_RANK_PRESET } from '../src/lib/ranks.js';
+
+// ---------------------------------
+// 记录汇总（npm test）
+// ---------------------------------
+// 属性总数、目标和徽章只从按日汇总计算，不需要全部记录。
+
+const STATS = [{ key: 'knowledge', name: '知识' }, { key: 'guts', name: '勇气' }];
+const KEYS = STATS.map(stat => stat.key);
+
+const entries = [
+  { id: 'a', date: '2026-10-12', gains: { knowledge: 2, guts: 0 }, confidantIds: ['c1'], provisional: true },
+  { id: 'b', date: '2026-10-12', gains: { knowledge: 1, guts: 3 }, confidantIds: ['c1', 'c2'] },
+  { id: 'c', date: '2026-10-13', gains: { knowledge: 0, guts: 1 } },
+];
+
+describe('summarizeEntries', () => {
+  test('sums gains, counts and confidant links per day', () => {
+    const summary = summarizeEntries(entries);
+    assert.equal(summary.count, 3);
+    assert.equal(summary.provisionalCount, 1);
+    assert.deepEqual(summary.confidantLinks, { c1: 2, c2: 1 });
+    assert.deepEqual(summary.days['2026-10-12'], { count: 2, gains: { knowledge: 3, guts: 3 }, gained: { knowledge: 2, guts: 1 } });
+    assert.deepEqual(summaryTotals(summary, KEYS), { knowledge: 3, guts: 4 });
+  });
+
+  test('adds entries without changing the base summary', () => {
+    const base = summarizeEntries(entries.slice(0, 2));
+    const next = summarizeEntries(entries.slice(2), base);
+    assert.deepEqual(next, summarizeEntries(entries));
+    assert.equal(base.count, 2);
+    assert.equal(base.days['2026-10-13'], undefined);
+    assert.deepEqual(summarizeEntries([], emptySummary()), emptySummary());
+  });
+});
+
+describe('goals and badges from the summary', () => {
+  const days = summarizeEntries(entries).days;
+
+  test('counts entries with a gain toward weekly goals', () => {
+    const goal = { type: 'weekly', stat: 'guts', count: 2, createdAt: '2026-10-12', deadline: '2026-11-30' };
+    // 2026-10-12 是周一，本周有两条勇气有提升的记录
+    assert.equal(evaluateGoal(goal, days, '2026-10-14', DEFAULT_RANK_PRESET).current, 2);
+  });
+
+  test('counts entries and streaks for badges', () => {
+    const state = computeAchievements(days, buildAchievements(STATS, DEFAULT_RANK_PRESET), '2026-10-14');
+    assert.equal(state.unlocked['entries-1'], '2026-10-12');
+    assert.equal(state.bestDailyStreak, 2);
+    assert.equal(state.loggedToday, false);
+  });
+});
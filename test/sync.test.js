@@ -0,0 +1,193 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import syncServer from '../sync-server.cjs';
+import {
+  EMPTY_SYNC_STATE, LEGACY_SYNC_SPACE, MAX_REJECT_ATTEMPTS, applySyncChanges, createHttpTransport, resolveSyncSpace, syncEntries,
+} from '../src/lib/sync.js';
+
+// ---------------------------------
+// 同步引擎 + 本地同步服务器（npm test）
+// ---------------------------------
+// 每个测试在临时目录中启动一个真实的 sync-server.cjs，两个“设备”通过 HTTP 与它同步。
+
+const STAT_KEYS = ['knowledge', 'guts'];
+const TOKEN = 'test-token';
+
+const makeEntry = (id, fields = {}) => ({
+  id,
+  date: '2026-01-05',
+  timeSlot: 'evening',
+  createdAt: '2026-01-05T12:00:00.000Z',
+  activity: `事项 ${id}`,
+  feeling: '',
+  gains: { knowledge: 1, guts: 0 },
+  confidantIds: [],
+  ...fields,
+});
+
+/**
+ * 模拟一台设备：本机记录和同步状态，sync() 与服务器同步一次并应用收到的修改
+ */
+const createDevice = (url, entries = []) => {
+  const device = {
+    entries,
+    state: EMPTY_SYNC_STATE,
+    async sync(transport = createHttpTransport(url, TOKEN, 'default')) {
+      const result = await syncEntries(device.entries, device.state, transport, STAT_KEYS);
+      device.entries = applySyncChanges(device.entries, result.upserts, result.deletes);
+      device.state = result.state;
+      return result.summary;
+    },
+  };
+  return device;
+};
+
+describe('sync engine against sync-server.cjs', () => {
+  let server;
+  let dataDir;
+  let url;
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'persona-sync-'));
+  });
+
+  beforeEach(async () => {
+    if (server) await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    server = syncServer.createSyncServer({ dataDir, token: TOKEN });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('pushes local entries and pulls them on another device', async () => {
+    const a = createDevice(url, [makeEntry('a1'), makeEntry('a2')]);
+    const b = createDevice(url);
+
+    assert.equal((await a.sync()).pushed, 2);
+    const summary = await b.sync();
+    assert.equal(summary.pulled, 2);
+    assert.deepEqual(b.entries.map(entry => entry.id).sort(), ['a1', 'a2']);
+    assert.ok(fs.existsSync(path.join(dataDir, 'records.json')));
+  });
+
+  test('rejects requests with a wrong token', async () => {
+    const device = createDevice(url, [makeEntry('a1')]);
+    await assert.rejects(device.sync(createHttpTransport(url, 'wrong', 'default')), /令牌/);
+  });
+
+  test('keeps sync spaces apart', async () => {
+    const a = createDevice(url, [makeEntry('a1')]);
+    await a.sync(createHttpTransport(url, TOKEN, 'profile-a'));
+    const b = createDevice(url);
+    await b.sync(createHttpTransport(url, TOKEN, 'profile-b'));
+    assert.deepEqual(b.entries, []);
+  });
+
+  test('propagates a delete marker', async () => {
+    const a = createDevice(url, [makeEntry('a1'), makeEntry('a2')]);
+    const b = createDevice(url);
+    await a.sync();
+    await b.sync();
+
+    a.entries = a.entries.filter(entry => entry.id !== 'a1');
+    assert.equal((await a.sync()).pushed, 1);
+    await b.sync();
+    assert.deepEqual(b.entries.map(entry => entry.id), ['a2']);
+  });
+
+  test('keeps the newer edit when both devices changed an entry', async () => {
+    const a = createDevice(url, [makeEntry('a1')]);
+    const b = createDevice(url);
+    await a.sync();
+    await b.sync();
+
+    a.entries = [{ ...a.entries[0], activity: '较早的修改', updatedAt: '2026-01-06T08:00:00.000Z' }];
+    b.entries = [{ ...b.entries[0], activity: '较晚的修改', updatedAt: '2026-01-06T09:00:00.000Z' }];
+    await a.sync();
+    const summary = await b.sync();
+    assert.equal(summary.conflicts, 1);
+    await a.sync();
+
+    assert.equal(a.entries[0].activity, '较晚的修改');
+    assert.equal(b.entries[0].activity, '较晚的修改');
+  });
+
+  test('keeps an edit over a concurrent delete', async () => {
+    const a = createDevice(url, [makeEntry('a1')]);
+    const b = createDevice(url);
+    await a.sync();
+    await b.sync();
+
+    a.entries = [];
+    await a.sync();
+    b.entries = [{ ...b.entries[0], activity: '删除后又修改', updatedAt: '2026-01-06T09:00:00.000Z' }];
+    await b.sync();
+    await a.sync();
+
+    assert.equal(a.entries[0]?.activity, '删除后又修改');
+  });
+
+  describe('rejected records', () => {
+    const pushRaw = (changes) => createHttpTransport(url, TOKEN, 'default').push(changes);
+
+    test('skips an invalid record, retries it and then moves past it', async () => {
+      const device = createDevice(url);
+      await pushRaw([{ id: 'bad', baseVersion: 0, deleted: false, entry: makeEntry('bad', { gains: { unknown: 1 } }) }]);
+      await pushRaw([{ id: 'good', baseVersion: 0, deleted: false, entry: makeEntry('good') }]);
+
+      for (let attempt = 1; attempt <= MAX_REJECT_ATTEMPTS; attempt++) {
+        const summary = await device.sync();
+        assert.equal(summary.rejected, 1);
+        assert.equal(device.state.rejected.bad.attempts, attempt);
+        assert.match(device.state.rejected.bad.problem, /unknown/);
+        // 重试期间 lastSeq 停在无效记录之前
+        assert.equal(device.state.lastSeq, attempt < MAX_REJECT_ATTEMPTS ? 0 : 2);
+      }
+      // 有效的记录照常应用，无效的记录不会进入本机
+      assert.deepEqual(device.entries.map(entry => entry.id), ['good']);
+      // 重试次数用完后不再重新拉取，但仍在状态中列出
+      assert.equal((await device.sync()).rejected, 1);
+      assert.equal(device.state.rejected.bad.attempts, MAX_REJECT_ATTEMPTS);
+    });
+
+    test('rejects records from a newer schema version', async () => {
+      const device = createDevice(url);
+      await pushRaw([{ id: 'future', baseVersion: 0, deleted: false, schemaVersion: 999, entry: makeEntry('future') }]);
+      const summary = await device.sync();
+      assert.equal(summary.rejected, 1);
+      assert.deepEqual(device.entries, []);
+    });
+
+    test('uploads a local edit over an invalid server record', async () => {
+      const a = createDevice(url, [makeEntry('a1')]);
+      await a.sync();
+      const version = a.state.shadow.a1.version;
+      await pushRaw([{ id: 'a1', baseVersion: version, deleted: false, entry: makeEntry('a1', { date: 'not-a-date' }) }]);
+
+      a.entries = [{ ...a.entries[0], activity: '本机的修改', updatedAt: '2026-01-06T09:00:00.000Z' }];
+      const summary = await a.sync();
+      assert.equal(summary.pushed, 1);
+      assert.equal(summary.rejected, 0);
+
+      const b = createDevice(url);
+      await b.sync();
+      assert.equal(b.entries[0].activity, '本机的修改');
+    });
+  });
+});
+
+describe('resolveSyncSpace', () => {
+  test('keeps profiles configured before sync spaces on the default space', () => {
+    assert.equal(resolveSyncSpace({ serverUrl: 'http://sync.local' }, 'profile-a'), LEGACY_SYNC_SPACE);
+    assert.equal(resolveSyncSpace({ serverUrl: 'http://sync.local', space: 'work' }, 'profile-a'), 'work');
+    assert.equal(resolveSyncSpace({ serverUrl: '' }, 'profile-a'), 'profile-a');
+  });
+});
@@ -1,3 +1,4 @@
+import process from 'node:process'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
@@ -8,8 +9,9 @@ export default defineConfig({
   plugins: [react(), tailwindcss()],
   server: {
     proxy: {
+      // 开发时把 /api 转发到同步服务器（npm run sync-server），设置中的服务器地址可以填 /api
       '/api': {
-        target: '',
+        target: process.env.SYNC_SERVER_URL || 'http://localhost:8787',
         changeOrigin: true,
         rewrite: (path) => path.replace(/^\/api/, '')
       }